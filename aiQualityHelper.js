@@ -0,0 +1,280 @@
+// Quality gate for AI-generated emails: every generation is checked before it is
+// stored, and regenerated with the failures as feedback when it does not pass.
+const admin = require("firebase-admin");
+const {
+  BOOKING_PAGE_URL,
+  AI_MAX_GENERATION_ATTEMPTS,
+  AI_QUALITY_RULES,
+  AI_DUPLICATE_SUBJECT_DAYS,
+  AI_ALLOWED_LINK_DOMAINS,
+  AI_BANNED_PHRASES,
+} = require("./config");
+const { generateJson } = require("./vertexHelper");
+
+const FRENCH_COUNTRIES = ["france", "belgium", "belgique", "canada", "switzerland", "suisse"];
+
+// Frequent words telling English and French apart, see detectLanguage
+const LANGUAGE_MARKERS = {
+  English: new Set(["the", "and", "you", "your", "for", "with", "to", "of", "is", "are", "we", "our", "this", "that", "on", "in", "can", "would"]),
+  French: new Set(["le", "la", "les", "des", "et", "vous", "votre", "vos", "pour", "avec", "une", "est", "dans", "que", "qui", "nous", "sur", "du", "au", "pas"]),
+};
+
+// Leftover template variables: [FirstName], {{first_name}}, {company}, <Name>
+const PLACEHOLDER_PATTERN = /\[[^\]\n]{1,40}\]|\{\{?\s*[\w.]+\s*\}?\}|<[A-Za-z_ ]{2,30}>/;
+
+const GREETING_PATTERN = /^(hi|hello|hey|dear|good (morning|afternoon)|bonjour|bonsoir|salut|cher|chère|madame|monsieur)\b/i;
+const SIGN_OFF_PATTERN = /^(best|best regards|kind regards|warm regards|regards|cheers|sincerely|thanks|thank you|many thanks|cordialement|bien cordialement|bien à vous|salutations|meilleures salutations|merci|à bientôt)[\s,.!]*$/i;
+
+const URL_PATTERN = /https?:\/\/[^\s)>\]"']+/gi;
+
+// Outreach emails are never replies or forwards, a fake prefix misleads the recipient
+const REPLY_PREFIX_PATTERN = /^(re|tr|fw|fwd)\s*:/i;
+
+/**
+ * Returns the language an AI email must be written in, French for French speaking
+ * countries when the prospect has no language.
+ * @param {object} prospectData - Prospect data.
+ * @returns {string|null} 'French', 'English', or null for other languages (not checked).
+ */
+function getExpectedLanguage(prospectData) {
+  const language = prospectData.language?.toLowerCase();
+  if (language) {
+    if (["fr", "french", "français"].includes(language)) return "French";
+    if (["en", "english", "anglais"].includes(language)) return "English";
+    return null;
+  }
+  return FRENCH_COUNTRIES.includes(prospectData.country?.toLowerCase() || "")
+    ? "French"
+    : "English";
+}
+
+/**
+ * Guesses whether a text is English or French from its frequent words.
+ * @param {string} text - Text to check.
+ * @returns {string|null} 'French', 'English', or null when too short to tell.
+ */
+function detectLanguage(text) {
+  const words = text.toLowerCase().split(/[^a-zàâçéèêëîïôûùüÿœ]+/);
+  const hits = { English: 0, French: 0 };
+  for (const word of words) {
+    for (const language of Object.keys(hits)) {
+      if (LANGUAGE_MARKERS[language].has(word)) hits[language]++;
+    }
+  }
+  if (hits.English + hits.French < 5) return null;
+  return hits.French > hits.English ? "French" : "English";
+}
+
+/**
+ * Normalizes a subject for duplicate detection.
+ * @param {string} subject - Subject line.
+ * @returns {string}
+ */
+function normalizeSubject(subject) {
+  return (subject || "")
+    .toLowerCase()
+    .replace(/^(re|tr|fw|fwd)\s*:\s*/, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Checks a subject line: length, reply prefixes, placeholders and banned phrases.
+ * @param {string} subject - Subject line.
+ * @param {object} rules - Entry of AI_QUALITY_RULES.
+ * @param {string} label - Name of the subject in the reasons.
+ * @returns {string[]} Failure reasons.
+ */
+function checkSubject(subject, rules, label) {
+  const reasons = [];
+  const length = (subject || "").trim().length;
+  if (length < rules.subjectMinChars || length > rules.subjectMaxChars) {
+    reasons.push(
+      `${label} has ${length} characters (expected ${rules.subjectMinChars}-${rules.subjectMaxChars})`
+    );
+  }
+  if (REPLY_PREFIX_PATTERN.test((subject || "").trim())) {
+    reasons.push(`${label} starts with a reply or forward prefix`);
+  }
+  if (PLACEHOLDER_PATTERN.test(subject || "")) {
+    reasons.push(`${label} contains a placeholder`);
+  }
+  const banned = findBannedPhrases(subject || "");
+  if (banned.length > 0) {
+    reasons.push(`${label} contains banned phrases: ${banned.join(", ")}`);
+  }
+  return reasons;
+}
+
+/**
+ * Lists the AI_BANNED_PHRASES found in a text.
+ * @param {string} text - Text to check.
+ * @returns {string[]}
+ */
+function findBannedPhrases(text) {
+  const lower = text.toLowerCase();
+  return AI_BANNED_PHRASES.filter((phrase) => lower.includes(phrase));
+}
+
+/**
+ * Checks whether a URL points to AI_ALLOWED_LINK_DOMAINS.
+ * @param {string} url - URL found in the body.
+ * @returns {boolean}
+ */
+function isAllowedLink(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+  return AI_ALLOWED_LINK_DOMAINS.some(
+    (domain) => host === domain || host.endsWith(`.${domain}`)
+  );
+}
+
+/**
+ * Checks an AI-generated email before it is stored.
+ * @param {object} email - Generated { subject, body, subjectVariants? }.
+ * @param {object} prospectData - Prospect the email is for.
+ * @param {object} [options]
+ * @param {string} [options.kind='initial'] - Key of AI_QUALITY_RULES.
+ * @param {Set<string>} [options.recentSubjects] - Normalized subjects of other
+ *   prospects (see loadRecentAiSubjects), for kinds with `uniqueSubject`.
+ * @returns {string[]} Failure reasons, empty when the email passes.
+ */
+function validateAiEmail(email, prospectData, { kind = "initial", recentSubjects } = {}) {
+  const rules = AI_QUALITY_RULES[kind];
+  const subject = email?.subject?.trim() || "";
+  const body = email?.body?.trim() || "";
+  if (!subject || !body) return ["Missing subject or body"];
+
+  const reasons = checkSubject(subject, rules, "Subject");
+  for (const [variantId, variantSubject] of Object.entries(email.subjectVariants || {})) {
+    reasons.push(...checkSubject(variantSubject, rules, `Subject variant ${variantId}`));
+  }
+
+  const wordCount = body.split(/\s+/).length;
+  if (wordCount < rules.bodyMinWords || wordCount > rules.bodyMaxWords) {
+    reasons.push(
+      `Body has ${wordCount} words (expected ${rules.bodyMinWords}-${rules.bodyMaxWords})`
+    );
+  }
+
+  const expectedLanguage = getExpectedLanguage(prospectData);
+  const detectedLanguage = detectLanguage(`${subject} ${body}`);
+  if (expectedLanguage && detectedLanguage && detectedLanguage !== expectedLanguage) {
+    reasons.push(`Written in ${detectedLanguage} instead of ${expectedLanguage}`);
+  }
+
+  if (PLACEHOLDER_PATTERN.test(body)) {
+    reasons.push(`Body contains a placeholder (${body.match(PLACEHOLDER_PATTERN)[0]})`);
+  }
+
+  const lines = body.split("\n").map((line) => line.trim()).filter(Boolean);
+  const firstName = prospectData.firstName?.toLowerCase();
+  if (
+    GREETING_PATTERN.test(lines[0]) ||
+    (firstName && lines[0].toLowerCase().replace(/[\s,!.]+$/, "") === firstName)
+  ) {
+    reasons.push("Body starts with a greeting");
+  }
+  // The sign-off may be followed by a name
+  if (lines.length > 1 && lines.slice(-2).some((line) => SIGN_OFF_PATTERN.test(line))) {
+    reasons.push("Body ends with a sign-off");
+  }
+
+  const banned = findBannedPhrases(body);
+  if (banned.length > 0) {
+    reasons.push(`Body contains banned phrases: ${banned.join(", ")}`);
+  }
+
+  const links = body.match(URL_PATTERN) || [];
+  const disallowedLinks = links.filter((url) => !isAllowedLink(url));
+  if (disallowedLinks.length > 0) {
+    reasons.push(`Body links outside the allow-list: ${disallowedLinks.join(", ")}`);
+  }
+  if (rules.requireBookingLink && !body.includes(BOOKING_PAGE_URL)) {
+    reasons.push("Booking link is missing");
+  }
+
+  if (rules.uniqueSubject && recentSubjects?.has(normalizeSubject(subject))) {
+    reasons.push("Subject was already used for another prospect");
+  }
+  return reasons;
+}
+
+/**
+ * Loads the normalized subjects of the AI initial emails generated recently, for
+ * the duplicate subject check.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @param {Date} now - Current time of the run.
+ * @returns {Promise<Set<string>>} Empty if the subjects could not be loaded.
+ */
+async function loadRecentAiSubjects(db, logger, now) {
+  const since = new Date(now.getTime() - AI_DUPLICATE_SUBJECT_DAYS * 24 * 60 * 60 * 1000);
+  try {
+    const snapshot = await db
+      .collection("prospects")
+      .where("aiGenerationTimestamp", ">=", admin.firestore.Timestamp.fromDate(since))
+      .select("aiInitialEmail.subject")
+      .get();
+    return new Set(
+      snapshot.docs
+        .map((doc) => normalizeSubject(doc.get("aiInitialEmail.subject")))
+        .filter(Boolean)
+    );
+  } catch (error) {
+    logger.error("Could not load recent AI subjects, skipping the duplicate check:", error);
+    return new Set();
+  }
+}
+
+/**
+ * Generates an email and regenerates it, with the failures added to the prompt,
+ * until it passes validateAiEmail or AI_MAX_GENERATION_ATTEMPTS is reached.
+ * @param {object} generativeModel - Model from getGenerativeModel.
+ * @param {string} promptText - Prompt to send.
+ * @param {object} responseSchema - JSON schema with subject and body.
+ * @param {object} prospectData - Prospect the email is for.
+ * @param {object} [options] - Options of validateAiEmail.
+ * @returns {Promise<{data: object|null, aggregatedResponse: object, attempts: number, reasons: string[]}>}
+ *   `data` is null when the last attempt still failed, `reasons` lists its failures.
+ * @throws {Error} If the model fails or returns invalid JSON.
+ */
+async function generateCheckedEmail(
+  generativeModel,
+  promptText,
+  responseSchema,
+  prospectData,
+  options = {}
+) {
+  let reasons = [];
+  let aggregatedResponse = null;
+  let attempt = 0;
+  while (attempt < AI_MAX_GENERATION_ATTEMPTS) {
+    attempt++;
+    const feedback =
+      reasons.length > 0
+        ? `\n**Your previous answer was rejected, fix these issues:**\n${reasons
+            .map((reason) => `* ${reason}`)
+            .join("\n")}\n`
+        : "";
+    const result = await generateJson(generativeModel, promptText + feedback, responseSchema);
+    aggregatedResponse = result.aggregatedResponse;
+    reasons = validateAiEmail(result.data, prospectData, options);
+    if (reasons.length === 0) {
+      return { data: result.data, aggregatedResponse, attempts: attempt, reasons };
+    }
+  }
+  return { data: null, aggregatedResponse, attempts: attempt, reasons };
+}
+
+module.exports = {
+  getExpectedLanguage,
+  normalizeSubject,
+  validateAiEmail,
+  loadRecentAiSubjects,
+  generateCheckedEmail,
+};
@@ -5,11 +5,150 @@ const countries = require('i18n-iso-countries');
 // This loads the country name data for these languages
 countries.registerLocale(require("i18n-iso-countries/langs/en.json"));
 countries.registerLocale(require("i18n-iso-countries/langs/fr.json"));
+// Native names of the countries with recipient rules (e.g. 'Deutschland'), see getCountryISO2Code
+const NATIVE_NAME_LOCALES = ['de', 'es', 'it', 'nl', 'pt', 'pl', 'sv', 'da', 'fi', 'cs', 'sk', 'sl', 'hr', 'hu', 'ro',
+    'bg', 'el', 'et', 'lv', 'lt', 'mt', 'ga', 'is', 'nb'];
+NATIVE_NAME_LOCALES.forEach((locale) => countries.registerLocale(require(`i18n-iso-countries/langs/${locale}.json`)));
 // --- Limits ---
 const MAX_PROSPECTS_TO_ENRICH_PER_RUN = 2; // Adjust based on budget/time
 const MAX_INITIAL_EMAILS_PER_RUN = 25;     // Target weekly send list size
 const MAX_FOLLOWUP_EMAILS_PER_RUN = 75;   // Adjust as needed
 const MAX_AI_EMAILS_PER_RUN = 50;
+const MAX_CRM_SYNCS_PER_RUN = 100;        // Queued CRM writes, see crmSyncHelper.js
+const MAX_EXPERIMENTS_PER_RUN = 20;       // Experiments evaluated, see experimentHelper.js
+
+// Upper bounds for per-request limit overrides (?limits=phase:n)
+const MAX_LIMIT_OVERRIDES = {
+    enrichment: 20,   // Proxycurl credits
+    ai: 100,
+    initial: 100,     // Sender reputation
+    followups: 200,
+    crmSync: 500,     // HubSpot API rate limits
+    experiments: 100,
+};
+
+// A run's claim on a prospect expires after this, so crashed runs never block it for long.
+// Keep it above the function timeout.
+const PROSPECT_LEASE_MINUTES = 15;
+
+// Send ledger entries still 'in_flight' after this, with no SendGrid event, are marked 'needs_review'
+const SEND_IN_FLIGHT_TIMEOUT_MINUTES = 30;
+
+// SendGrid retries webhook batches for up to 3 days; applied event IDs are kept this long
+// in `sendgridEvents` so a retried batch is not counted twice (expiresAt, Firestore TTL)
+const SENDGRID_EVENT_DEDUP_DAYS = 7;
+
+// --- Enrichment providers ---
+// Ordered fallback chain per lookup, comma separated provider names: 'proxycurl'
+// or the name of an HTTP provider from ENRICHMENT_HTTP_PROVIDERS (see httpEnrichmentProvider.js)
+const parseProviderChain = (value) => value.split(',').map((name) => name.trim()).filter(Boolean);
+const ENRICHMENT_PROVIDER_CHAINS = {
+    profile: parseProviderChain(process.env.ENRICHMENT_PROFILE_PROVIDERS || 'proxycurl'),
+    workEmail: parseProviderChain(process.env.ENRICHMENT_WORK_EMAIL_PROVIDERS || 'proxycurl'),
+    personalEmail: parseProviderChain(process.env.ENRICHMENT_PERSONAL_EMAIL_PROVIDERS || 'proxycurl'),
+};
+
+// Raw provider responses are reused from `enrichmentCache` for this long
+const ENRICHMENT_CACHE_TTL_DAYS = parseInt(process.env.ENRICHMENT_CACHE_TTL_DAYS || '90', 10);
+// Prospects enriched longer ago are re-enriched before their first email of a new sequence (0 = never)
+const REENRICH_AFTER_DAYS = parseInt(process.env.REENRICH_AFTER_DAYS || '180', 10);
+// Transient enrichment failures are retried with exponential backoff:
+// base * 2^(attempt - 1), capped. After the maximum the prospect is marked enrichment_failed.
+const ENRICHMENT_MAX_ATTEMPTS = parseInt(process.env.ENRICHMENT_MAX_ATTEMPTS || '5', 10);
+const ENRICHMENT_RETRY_BASE_MINUTES = 60;
+const ENRICHMENT_RETRY_MAX_MINUTES = 7 * 24 * 60;
+
+// --- Proxycurl credits ---
+// Spend caps in credits, per UTC day and month (0 = no cap)
+const PROXYCURL_DAILY_CREDIT_BUDGET = parseInt(process.env.PROXYCURL_DAILY_CREDIT_BUDGET || '0', 10);
+const PROXYCURL_MONTHLY_CREDIT_BUDGET = parseInt(process.env.PROXYCURL_MONTHLY_CREDIT_BUDGET || '0', 10);
+// Cost per call, used when the response has no X-Proxycurl-Credit-Cost header
+const PROXYCURL_CREDIT_COSTS = {
+    profile: 2, // Person profile (1) + extra=include (1)
+    workEmail: 3,
+    personalEmail: 1, // Per address returned, page_size is 1
+};
+
+// --- Email validation ---
+// Validation results stored on the prospect are reused for this long
+const EMAIL_VALIDATION_TTL_DAYS = 30;
+// 'dns' (default) or 'stub' to accept every domain without network lookups when running locally
+const EMAIL_VALIDATION_MX_RESOLVER = process.env.EMAIL_VALIDATION_MX_RESOLVER || 'dns';
+// Risky addresses (role accounts, catch-all hints, unverified work emails):
+// 'lane' sends a few per run through the low-confidence lane, 'skip' never sends them
+const LOW_CONFIDENCE_EMAIL_POLICY = process.env.LOW_CONFIDENCE_EMAIL_POLICY || 'lane';
+const MAX_LOW_CONFIDENCE_SENDS_PER_RUN = parseInt(process.env.MAX_LOW_CONFIDENCE_SENDS_PER_RUN || '5', 10);
+// Optional SendGrid IP pool for the low-confidence lane, keeps its bounces off the main pool
+const LOW_CONFIDENCE_IP_POOL = process.env.SENDGRID_LOW_CONFIDENCE_IP_POOL || null;
+// Extra domains, comma separated, on top of the built-in lists of emailValidationHelper.js
+const EXTRA_DISPOSABLE_DOMAINS = (process.env.DISPOSABLE_EMAIL_DOMAINS || '').split(',').map((domain) => domain.trim().toLowerCase()).filter(Boolean);
+const CATCH_ALL_DOMAINS = (process.env.CATCH_ALL_EMAIL_DOMAINS || '').split(',').map((domain) => domain.trim().toLowerCase()).filter(Boolean);
+
+// --- Recipient selection (see recipientHelper.js) ---
+// Address kinds in order of preference: 'verified_work', 'unverified_work', 'provided'
+// (the uploaded `email`, treated as 'personal' on a free-mail domain) and 'personal'
+const RECIPIENT_PREFERENCE = (process.env.RECIPIENT_PREFERENCE || 'verified_work,unverified_work,provided,personal')
+    .split(',').map((kind) => kind.trim()).filter(Boolean);
+// Per-country rules, first match wins; `exclude` lists address kinds never used there
+const RECIPIENT_COUNTRY_RULES = [
+    {
+        name: 'eu_eea_ch_no_personal', // GDPR/ePrivacy: B2B outreach to professional addresses only
+        countries: [
+            'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+            'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE', // EU
+            'IS', 'LI', 'NO', // EEA
+            'CH',
+        ],
+        exclude: ['personal'],
+    },
+];
+// Rule applied when the prospect's country is missing or unknown, fails closed by default ('none' for no rule)
+const RECIPIENT_UNKNOWN_COUNTRY_RULE = process.env.RECIPIENT_UNKNOWN_COUNTRY_RULE || 'eu_eea_ch_no_personal';
+
+// --- CRM sync (see crmSyncHelper.js) ---
+// Enrichments, emails, replies and moves to leads are queued for HubSpot only when enabled
+const CRM_SYNC_ENABLED = process.env.CRM_SYNC_ENABLED === 'true';
+// 'hubspot' (default) or 'stub' to log the writes without calling HubSpot
+const CRM_CLIENT = process.env.CRM_CLIENT || 'hubspot';
+// Custom contact property mirroring `outreachStatus`, create it in HubSpot first (single-line text)
+const CRM_OUTREACH_STATUS_PROPERTY = process.env.HUBSPOT_OUTREACH_STATUS_PROPERTY || 'outreach_status';
+// Failed writes are retried with exponential backoff, base * 2^(attempt - 1), capped
+const CRM_SYNC_MAX_ATTEMPTS = parseInt(process.env.CRM_SYNC_MAX_ATTEMPTS || '8', 10);
+const CRM_SYNC_RETRY_BASE_MINUTES = 5;
+const CRM_SYNC_RETRY_MAX_MINUTES = 24 * 60;
+
+// --- A/B experiments (see experimentHelper.js) ---
+// Defaults for experiments that do not set minSamplePerVariant / observationDays / confidence.
+// Evaluated once, on the first sends of each variant, after the observation window
+const EXPERIMENT_MIN_SAMPLE_PER_VARIANT = parseInt(process.env.EXPERIMENT_MIN_SAMPLE_PER_VARIANT || '100', 10);
+const EXPERIMENT_OBSERVATION_DAYS = 7;
+const EXPERIMENT_CONFIDENCE = 0.95;
+// Reply intents (see replyHelper.js) counted as conversions by the 'reply' metric, unless
+// the experiment sets replyIntents
+const EXPERIMENT_REPLY_INTENTS = ['interested', 'meeting_booked'];
+
+// --- AI email quality gate (see aiQualityHelper.js) ---
+// Booking page offered by the AI emails, required in initial emails
+const BOOKING_PAGE_URL = process.env.BOOKING_PAGE_URL || 'https://calendar.app.google/YCJdfWBPQKEzvEN69';
+// Generations failing the checks are retried with the failures as feedback
+const AI_MAX_GENERATION_ATTEMPTS = parseInt(process.env.AI_MAX_GENERATION_ATTEMPTS || '3', 10);
+// Checks per kind of email, bodies are counted in words
+const AI_QUALITY_RULES = {
+    initial: { subjectMinChars: 5, subjectMaxChars: 90, bodyMinWords: 40, bodyMaxWords: 220, requireBookingLink: true, uniqueSubject: true },
+    followup: { subjectMinChars: 5, subjectMaxChars: 120, bodyMinWords: 12, bodyMaxWords: 120, requireBookingLink: false, uniqueSubject: false },
+};
+// Subjects generated for other prospects in this window count as duplicates
+const AI_DUPLICATE_SUBJECT_DAYS = 30;
+// Hosts (and their subdomains) the AI may link to
+const AI_ALLOWED_LINK_DOMAINS = ['calendar.app.google', 'prorecruit.tech',
+    ...(process.env.AI_ALLOWED_LINK_DOMAINS || '').split(',').map((domain) => domain.trim().toLowerCase()).filter(Boolean)];
+// Claims we cannot back and phrases that hurt replies, matched case-insensitively
+const AI_BANNED_PHRASES = [
+    'guarantee', 'garanti', '100%', 'risk-free', 'sans risque', 'zero bias', 'zéro biais', 'eliminates all bias',
+    'just checking in', 'just following up', 'did you see my email', 'avez-vous vu mon email',
+    'i hope this email finds you well', "j'espère que vous allez bien", 'as an ai', "en tant qu'ia",
+    ...(process.env.AI_BANNED_PHRASES || '').split(',').map((phrase) => phrase.trim().toLowerCase()).filter(Boolean),
+];
 
 // --- Statuses ---
 const EMAIL_STATUS = {
@@ -17,23 +156,34 @@ const EMAIL_STATUS = {
     VERIFIED: 'verified',
     FAILED: 'lookup_failed', // Consistent with task description
     PROCESSING: 'enrichment_inprogress', // Optional: To prevent re-processing during run
+    BOUNCED: 'bounced', // Hard bounce reported by the SendGrid Event Webhook
 };
 
 const OUTREACH_STATUS = {
     PENDING_UPLOAD: 'pending_upload', // Ready for first email
-    ENRICHMENT_FAILED: 'enrichment_failed', // If enrichment fails badly
+    ENRICHMENT_FAILED: 'enrichment_failed', // Permanent failure or too many attempts, needs manual review
     SEQUENCE_STARTED: 'sequence_started', // First email sent
     FOLLOWUP_1: 'followup_1',           // Follow-up 1 sent
     FOLLOWUP_2: 'followup_2',           // Follow-up 2 sent (add more if needed)
     MOVED_TO_LEADS: 'move_to_leads',
-    // Add terminal statuses mentioned in task (reply handling is manual/external for now)
+    // Terminal statuses, set by the inbound reply webhook (see replyHelper.js)
     REPLIED_POSITIVE: 'replied_positive',
     REPLIED_NEGATIVE: 'replied_negative',
     MEETING_BOOKED: 'meeting_booked',
     UNSUBSCRIBED: 'unsubscribed',
     DO_NOT_CONTACT: 'do_not_contact', // For compliance
+    SUPPRESSED: 'suppressed', // Matched the global suppression list (see suppressionHelper.js)
+    UNDELIVERABLE: 'undeliverable', // Recipient failed pre-send validation (see emailValidationHelper.js)
+    // Only addresses a country rule excludes (see recipientHelper.js); cleared when
+    // a work email arrives later (Proxycurl callback or re-enrichment)
+    NO_ALLOWED_ADDRESS: 'no_allowed_address',
+    // Enriched without any usable address; cleared the same way
+    NO_USABLE_ADDRESS: 'no_usable_address',
 };
 
+// Enriched prospects waiting for an address, re-enriched like pending ones
+const AWAITING_ADDRESS_STATUSES = [OUTREACH_STATUS.NO_ALLOWED_ADDRESS, OUTREACH_STATUS.NO_USABLE_ADDRESS];
+
 // --- Follow-up Logic ---
 const FOLLOWUP_INTERVALS_DAYS = {
     [OUTREACH_STATUS.SEQUENCE_STARTED]: 2, // Send Followup 1, 2 days after initial send
@@ -41,15 +191,28 @@ const FOLLOWUP_INTERVALS_DAYS = {
     // Add more intervals if needed
 };
 
-function getFollowupDueDate(lastContactedTimestamp, currentOutreachStatus) {
-    if (!lastContactedTimestamp || !FOLLOWUP_INTERVALS_DAYS[currentOutreachStatus]) {
+// Follow-ups pause this long after an out-of-office reply without a return date
+const OOO_FOLLOWUP_DELAY_DAYS = 7;
+
+function getFollowupDueDate(lastContactedTimestamp, delayDays) {
+    if (!lastContactedTimestamp || typeof delayDays !== 'number') {
         return null;
     }
     const dueDate = new Date(lastContactedTimestamp.toDate()); // Convert Firestore Timestamp to JS Date
-    dueDate.setDate(dueDate.getDate() + FOLLOWUP_INTERVALS_DAYS[currentOutreachStatus]);
+    dueDate.setDate(dueDate.getDate() + delayDays);
     return admin.firestore.Timestamp.fromDate(dueDate);
 }
 
+// --- Send Window ---
+// Emails only go out inside this window, in the recipient's local time (see sendWindowHelper.js).
+const SEND_WINDOW = {
+    days: (process.env.SEND_WINDOW_DAYS || '2,3,4,5').split(',').map(Number), // 0=Sun, 1=Mon, ... 6=Sat (default Tue-Fri)
+    start: process.env.SEND_WINDOW_START || '08:30', // HH:mm, local time
+    end: process.env.SEND_WINDOW_END || '11:00',     // HH:mm, local time (exclusive)
+};
+// Used when a prospect's timezone cannot be resolved from country/city/location
+const DEFAULT_TIMEZONE = process.env.DEFAULT_SEND_TIMEZONE || 'America/Toronto';
+
 // --- SendGrid Template IDs ---
 // Structure: marketing_outreach_{type}_{lang}_{country/general}
 const TEMPLATE_IDS = {
@@ -76,25 +239,55 @@ const TEMPLATE_IDS = {
 };
 
 function determineTemplateId(prospectData, emailType = 'initial') {
-    const lang = prospectData.language?.toLowerCase() || 'en'; // Default to 'en'
-    const country = getCountryISO2Code(prospectData.country) || 'GENERAL'; // Default to 'GENERAL'
-    const key = `${lang}_${country}`;
-    const generalKey = `${lang}_general`;
-
     const templateSet = TEMPLATE_IDS[emailType];
     if (!templateSet) {
         console.error(`Invalid email type for template lookup: ${emailType}`);
         return null;
     }
+    return resolveTemplateId(prospectData, templateSet);
+}
+
+/**
+ * Picks the template for a prospect's locale from a { en_US, fr_general, ... } map.
+ * @param {object} prospectData - Prospect data (language, country).
+ * @param {object} templateSet - Template IDs keyed by `{lang}_{ISO2}` or `{lang}_general`.
+ * @returns {string|null} Template ID or null.
+ */
+function resolveTemplateId(prospectData, templateSet) {
+    const lang = prospectData.language?.toLowerCase() || 'en'; // Default to 'en'
+    const country = getCountryISO2Code(prospectData.country) || 'GENERAL'; // Default to 'GENERAL'
+    const key = `${lang}_${country}`;
+    const generalKey = `${lang}_general`;
 
     // Try specific locale, then general locale, then null
     return templateSet[key] || templateSet[generalKey] || null;
 }
 
+// --- Outreach Sequences ---
+// Built-in sequences. Documents in the Firestore `sequences` collection with the
+// same shape override these by id or add new ones (see sequenceHelper.js).
+// Step 0 is always the initial email sent by handleInitialEmails; `steps` are the follow-ups.
+const DEFAULT_SEQUENCE_ID = 'default';
+const DEFAULT_SEQUENCES = [
+    {
+        id: DEFAULT_SEQUENCE_ID,
+        name: 'Default (initial + 2 follow-ups)',
+        priority: 0, // Lowest, used when no other sequence matches
+        match: {}, // Matches every prospect
+        steps: [
+            { delayDays: FOLLOWUP_INTERVALS_DAYS[OUTREACH_STATUS.SEQUENCE_STARTED], templateType: 'followup' },
+            { delayDays: FOLLOWUP_INTERVALS_DAYS[OUTREACH_STATUS.FOLLOWUP_1], templateType: 'followup' },
+        ],
+        completeAfterDays: 3, // Days after the last step before moving to leads
+        exitConditions: { onReply: true, onClick: false, onOpen: false },
+    },
+];
+
 /**
- * Transforms a full country name (English or French) into its ISO 3166-1 alpha-2 code.
+ * Transforms a country into its ISO 3166-1 alpha-2 code. Accepts alpha-2 codes,
+ * English and French names, and native names from NATIVE_NAME_LOCALES.
  *
- * @param {string} countryName The full name of the country in English or French.
+ * @param {string} countryName The country code or name.
  * @returns {string | null} The uppercase 2-letter ISO code (e.g., 'US', 'FR')
  * or null if the country name is not found or invalid.
  */
@@ -107,6 +300,9 @@ function getCountryISO2Code(countryName) {
   
     // Trim whitespace for robustness
     const trimmedName = countryName.trim();
+    if (/^[a-z]{2}$/i.test(trimmedName) && countries.isValid(trimmedName.toUpperCase())) {
+      return trimmedName.toUpperCase();
+    }
   
     // Try to get the code using the English name database
     // The library is generally case-insensitive for lookups.
@@ -116,6 +312,12 @@ function getCountryISO2Code(countryName) {
     if (!isoCode) {
       isoCode = countries.getAlpha2Code(trimmedName, 'fr');
     }
+
+    // Then the native names
+    for (const locale of NATIVE_NAME_LOCALES) {
+      if (isoCode) break;
+      isoCode = countries.getAlpha2Code(trimmedName, locale);
+    }
   
     // Return the code if found, otherwise return null
     return isoCode || null;
@@ -127,9 +329,59 @@ module.exports = {
     MAX_INITIAL_EMAILS_PER_RUN,
     MAX_FOLLOWUP_EMAILS_PER_RUN,
     MAX_AI_EMAILS_PER_RUN,
+    MAX_CRM_SYNCS_PER_RUN,
+    MAX_EXPERIMENTS_PER_RUN,
+    MAX_LIMIT_OVERRIDES,
+    PROSPECT_LEASE_MINUTES,
+    SEND_IN_FLIGHT_TIMEOUT_MINUTES,
+    SENDGRID_EVENT_DEDUP_DAYS,
+    ENRICHMENT_PROVIDER_CHAINS,
+    ENRICHMENT_CACHE_TTL_DAYS,
+    REENRICH_AFTER_DAYS,
+    ENRICHMENT_MAX_ATTEMPTS,
+    ENRICHMENT_RETRY_BASE_MINUTES,
+    ENRICHMENT_RETRY_MAX_MINUTES,
+    PROXYCURL_DAILY_CREDIT_BUDGET,
+    PROXYCURL_MONTHLY_CREDIT_BUDGET,
+    PROXYCURL_CREDIT_COSTS,
+    EMAIL_VALIDATION_TTL_DAYS,
+    EMAIL_VALIDATION_MX_RESOLVER,
+    LOW_CONFIDENCE_EMAIL_POLICY,
+    MAX_LOW_CONFIDENCE_SENDS_PER_RUN,
+    LOW_CONFIDENCE_IP_POOL,
+    EXTRA_DISPOSABLE_DOMAINS,
+    CATCH_ALL_DOMAINS,
+    RECIPIENT_PREFERENCE,
+    RECIPIENT_COUNTRY_RULES,
+    RECIPIENT_UNKNOWN_COUNTRY_RULE,
+    CRM_SYNC_ENABLED,
+    CRM_CLIENT,
+    CRM_OUTREACH_STATUS_PROPERTY,
+    CRM_SYNC_MAX_ATTEMPTS,
+    CRM_SYNC_RETRY_BASE_MINUTES,
+    CRM_SYNC_RETRY_MAX_MINUTES,
+    EXPERIMENT_MIN_SAMPLE_PER_VARIANT,
+    EXPERIMENT_OBSERVATION_DAYS,
+    EXPERIMENT_CONFIDENCE,
+    EXPERIMENT_REPLY_INTENTS,
+    BOOKING_PAGE_URL,
+    AI_MAX_GENERATION_ATTEMPTS,
+    AI_QUALITY_RULES,
+    AI_DUPLICATE_SUBJECT_DAYS,
+    AI_ALLOWED_LINK_DOMAINS,
+    AI_BANNED_PHRASES,
     EMAIL_STATUS,
     OUTREACH_STATUS,
+    AWAITING_ADDRESS_STATUSES,
     FOLLOWUP_INTERVALS_DAYS,
+    OOO_FOLLOWUP_DELAY_DAYS,
+    TEMPLATE_IDS,
+    DEFAULT_SEQUENCE_ID,
+    DEFAULT_SEQUENCES,
+    SEND_WINDOW,
+    DEFAULT_TIMEZONE,
     getFollowupDueDate,
     determineTemplateId,
+    resolveTemplateId,
+    getCountryISO2Code,
 };
\ No newline at end of file
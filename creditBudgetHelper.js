@@ -0,0 +1,114 @@
+// Proxycurl usage ledger and credit budgets. Every Proxycurl call is logged in
+// `proxycurlUsage`; `proxycurlUsageTotals` keeps per day and per month sums so
+// budget checks cost two reads.
+const admin = require("firebase-admin");
+const {
+  PROXYCURL_DAILY_CREDIT_BUDGET,
+  PROXYCURL_MONTHLY_CREDIT_BUDGET,
+  PROXYCURL_CREDIT_COSTS,
+} = require("./config");
+
+// Most a single prospect can cost when nothing is cached
+const MAX_CREDITS_PER_PROSPECT = Object.values(PROXYCURL_CREDIT_COSTS).reduce(
+  (sum, cost) => sum + cost,
+  0
+);
+
+/**
+ * Returns the UTC day and month a usage falls in, also the totals document IDs.
+ * @param {Date} date - Usage time.
+ * @returns {{day: string, month: string}} e.g. { day: 'day:2024-05-31', month: 'month:2024-05' }.
+ */
+function getUsagePeriods(date) {
+  const isoDate = date.toISOString();
+  return {
+    day: `day:${isoDate.slice(0, 10)}`,
+    month: `month:${isoDate.slice(0, 7)}`,
+  };
+}
+
+/**
+ * Logs one Proxycurl call and adds its credits to the day and month totals.
+ * Errors are logged, not thrown: the call already happened.
+ * @param {object} usage - { lookup, endpoint, credits, status, linkedinUrl, prospectId, runId }.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ */
+async function recordProxycurlUsage(usage, db, logger) {
+  const now = admin.firestore.Timestamp.now();
+  const periods = getUsagePeriods(now.toDate());
+  const increments = {
+    credits: admin.firestore.FieldValue.increment(usage.credits),
+    calls: admin.firestore.FieldValue.increment(1),
+    byLookup: {
+      [usage.lookup]: admin.firestore.FieldValue.increment(usage.credits),
+    },
+    updatedTimestamp: now,
+  };
+  try {
+    const batch = db.batch();
+    batch.set(db.collection("proxycurlUsage").doc(), {
+      lookup: usage.lookup,
+      endpoint: usage.endpoint,
+      credits: usage.credits,
+      status: usage.status ?? null,
+      linkedinUrl: usage.linkedinUrl || null,
+      prospectId: usage.prospectId || null,
+      runId: usage.runId || null,
+      day: periods.day.slice(4),
+      month: periods.month.slice(6),
+      timestamp: now,
+    });
+    for (const period of [periods.day, periods.month]) {
+      batch.set(db.collection("proxycurlUsageTotals").doc(period), increments, {
+        merge: true,
+      });
+    }
+    await batch.commit();
+  } catch (error) {
+    logger.error(
+      `Failed to record Proxycurl usage (${usage.lookup}, ${usage.credits} credits):`,
+      error
+    );
+  }
+}
+
+/**
+ * Reads the credits spent today and this month against the configured budgets.
+ * @param {object} db - Firestore instance.
+ * @param {Date} [now] - Reference time.
+ * @returns {Promise<object>} { daily: {budget, used, remaining}, monthly: {...},
+ *   remaining, exhausted }. `budget` and `remaining` are null when uncapped.
+ */
+async function getCreditBudget(db, now = new Date()) {
+  const periods = getUsagePeriods(now);
+  const [dayDoc, monthDoc] = await db.getAll(
+    db.collection("proxycurlUsageTotals").doc(periods.day),
+    db.collection("proxycurlUsageTotals").doc(periods.month)
+  );
+  const describe = (doc, budget) => {
+    const used = (doc.exists && doc.data().credits) || 0;
+    return {
+      budget: budget > 0 ? budget : null,
+      used,
+      remaining: budget > 0 ? Math.max(budget - used, 0) : null,
+    };
+  };
+  const daily = describe(dayDoc, PROXYCURL_DAILY_CREDIT_BUDGET);
+  const monthly = describe(monthDoc, PROXYCURL_MONTHLY_CREDIT_BUDGET);
+  const caps = [daily.remaining, monthly.remaining].filter((value) => value !== null);
+  const remaining = caps.length > 0 ? Math.min(...caps) : null;
+  return {
+    daily,
+    monthly,
+    remaining,
+    // Stop before a prospect could overspend, not after
+    exhausted: remaining !== null && remaining < MAX_CREDITS_PER_PROSPECT,
+  };
+}
+
+module.exports = {
+  MAX_CREDITS_PER_PROSPECT,
+  recordProxycurlUsage,
+  getCreditBudget,
+};
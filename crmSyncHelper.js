@@ -0,0 +1,406 @@
+// HubSpot sync: prospect events (enriched, emailed, replied, moved to leads)
+// are queued in `crmSyncQueue` and written by the `crmSync` phase, which
+// upserts the contact, mirrors `outreachStatus` and logs the event as a note.
+const axios = require("axios");
+const admin = require("firebase-admin");
+const {
+  CRM_SYNC_ENABLED,
+  CRM_CLIENT,
+  CRM_OUTREACH_STATUS_PROPERTY,
+  CRM_SYNC_MAX_ATTEMPTS,
+  CRM_SYNC_RETRY_BASE_MINUTES,
+  CRM_SYNC_RETRY_MAX_MINUTES,
+  PROSPECT_LEASE_MINUTES,
+} = require("./config");
+const { updateProspect } = require("./firestoreHelper");
+const { recordOutcome } = require("./runHelper");
+
+const HUBSPOT_API_URL = "https://api.hubapi.com";
+const HUBSPOT_ACCESS_TOKEN = process.env.HUBSPOT_ACCESS_TOKEN_PATH;
+// HubSpot-defined association type: note to contact
+const NOTE_TO_CONTACT_ASSOCIATION_TYPE_ID = 202;
+
+const CRM_SYNC_EVENTS = {
+  ENRICHED: "enriched",
+  EMAILED: "emailed",
+  REPLIED: "replied",
+  MOVED_TO_LEADS: "moved_to_leads",
+};
+
+const QUEUE_STATUS = {
+  PENDING: "pending",
+  DONE: "done",
+  FAILED: "failed", // Permanent error or CRM_SYNC_MAX_ATTEMPTS reached
+};
+
+/**
+ * @typedef {object} CrmClient
+ * @property {string} name - Client name, stored with synced items.
+ * @property {function(): boolean} isConfigured - Whether credentials are available.
+ * @property {function(string, object): Promise<{id: string}>} upsertContact -
+ *   Creates or updates the contact with this email.
+ * @property {function(string, {timestamp: Date, body: string}): Promise<void>} logEngagement -
+ *   Adds an engagement to the contact's timeline.
+ */
+
+/** @type {CrmClient} */
+const hubspotClient = {
+  name: "hubspot",
+
+  isConfigured() {
+    return !!HUBSPOT_ACCESS_TOKEN;
+  },
+
+  async upsertContact(email, properties) {
+    const response = await axios.post(
+      `${HUBSPOT_API_URL}/crm/v3/objects/contacts/batch/upsert`,
+      { inputs: [{ idProperty: "email", id: email, properties }] },
+      {
+        headers: { Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}` },
+        timeout: 15000,
+      }
+    );
+    return { id: response.data.results[0].id };
+  },
+
+  async logEngagement(contactId, engagement) {
+    await axios.post(
+      `${HUBSPOT_API_URL}/crm/v3/objects/notes`,
+      {
+        properties: {
+          hs_timestamp: engagement.timestamp.toISOString(),
+          hs_note_body: engagement.body,
+        },
+        associations: [
+          {
+            to: { id: contactId },
+            types: [
+              {
+                associationCategory: "HUBSPOT_DEFINED",
+                associationTypeId: NOTE_TO_CONTACT_ASSOCIATION_TYPE_ID,
+              },
+            ],
+          },
+        ],
+      },
+      {
+        headers: { Authorization: `Bearer ${HUBSPOT_ACCESS_TOKEN}` },
+        timeout: 15000,
+      }
+    );
+  },
+};
+
+/**
+ * Logs instead of calling HubSpot (CRM_CLIENT=stub); `calls` keeps every write
+ * for local scripts.
+ * @type {CrmClient & {calls: object[]}}
+ */
+const stubCrmClient = {
+  name: "stub",
+  calls: [],
+
+  isConfigured() {
+    return true;
+  },
+
+  async upsertContact(email, properties) {
+    this.calls.push({ method: "upsertContact", email, properties });
+    return { id: `stub:${email}` };
+  },
+
+  async logEngagement(contactId, engagement) {
+    this.calls.push({ method: "logEngagement", contactId, engagement });
+  },
+};
+
+let crmClient = CRM_CLIENT === "stub" ? stubCrmClient : hubspotClient;
+
+/**
+ * Replaces the CRM client, e.g. with stubCrmClient in local scripts.
+ * @param {CrmClient} client - See hubspotClient.
+ */
+function setCrmClient(client) {
+  crmClient = client;
+}
+
+/**
+ * Queues a prospect event for the CRM. No-op when CRM_SYNC_ENABLED is off or in
+ * a dry run. Errors are logged, not thrown: the event itself already happened.
+ * @param {string} prospectId - Prospect document ID.
+ * @param {string} event - One of CRM_SYNC_EVENTS.
+ * @param {object} details - Event data shown in the note (recipient, intent...).
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @param {object} [run] - Run context (see runHelper.js), if any.
+ */
+async function queueCrmSync(prospectId, event, details, db, logger, run) {
+  if (!CRM_SYNC_ENABLED || run?.dryRun) return;
+  const now = admin.firestore.Timestamp.now();
+  try {
+    await db.collection("crmSyncQueue").add({
+      prospectId,
+      event,
+      details,
+      status: QUEUE_STATUS.PENDING,
+      attempts: 0,
+      eventTimestamp: now,
+      nextAttemptAt: now,
+      runId: run?.id || null,
+      createdTimestamp: now,
+    });
+  } catch (error) {
+    logger.error(`Failed to queue CRM sync (${event}) for prospect ${prospectId}:`, error);
+  }
+}
+
+/**
+ * Builds the contact properties from the prospect. Empty values are left out
+ * so they never blank what sales entered in HubSpot.
+ * @param {object} prospectData - Prospect data.
+ * @returns {object} HubSpot contact properties.
+ */
+function buildContactProperties(prospectData) {
+  const properties = {
+    firstname: prospectData.firstName,
+    lastname: prospectData.lastName,
+    jobtitle: prospectData.jobTitle,
+    company: prospectData.companyName || prospectData.company,
+    website: prospectData.companyWebsite,
+    city: prospectData.city,
+    country: prospectData.country,
+    [CRM_OUTREACH_STATUS_PROPERTY]: prospectData.outreachStatus,
+  };
+  return Object.fromEntries(
+    Object.entries(properties).filter(
+      ([, value]) => typeof value === "string" && value.trim() !== ""
+    )
+  );
+}
+
+/**
+ * Returns the address the CRM contact is keyed on: the one we email, else the
+ * uploaded or work email.
+ * @param {object} prospectData - Prospect data.
+ * @returns {string|null}
+ */
+function getContactEmail(prospectData) {
+  const email =
+    prospectData.sequenceRecipient?.email ||
+    prospectData.email ||
+    prospectData.workEmail;
+  return typeof email === "string" && email.includes("@")
+    ? email.trim().toLowerCase()
+    : null;
+}
+
+/**
+ * Formats the note logged for an event.
+ * @param {object} item - Queue item.
+ * @returns {string}
+ */
+function buildEngagementBody(item) {
+  const details = item.details || {};
+  switch (item.event) {
+    case CRM_SYNC_EVENTS.ENRICHED:
+      return `Prospect enriched${details.providers ? ` (${Object.values(details.providers).join(", ")})` : ""}.`;
+    case CRM_SYNC_EVENTS.EMAILED:
+      return (
+        `Outreach email sent to ${details.recipient}: ` +
+        `${details.sequenceStep > 0 ? `follow-up ${details.sequenceStep}` : "initial email"}` +
+        ` of sequence ${details.sequenceId || "default"}.` +
+        (details.subject ? `\nSubject: ${details.subject}` : "")
+      );
+    case CRM_SYNC_EVENTS.REPLIED:
+      return (
+        `Reply received (intent: ${details.intent}).` +
+        (details.summary ? `\n${details.summary}` : "")
+      );
+    case CRM_SYNC_EVENTS.MOVED_TO_LEADS:
+      return `Moved to leads (${details.reason || "sequence ended"}).`;
+    default:
+      return `Outreach event: ${item.event}.`;
+  }
+}
+
+/**
+ * Checks whether a CRM error is worth retrying: network errors, rate limits,
+ * server errors and auth errors (a rotated token gets fixed without losing writes).
+ * @param {Error} error - Client error.
+ * @returns {boolean}
+ */
+function isTransientCrmError(error) {
+  const status = error.response?.status;
+  return !status || status >= 500 || [401, 403, 408, 429].includes(status);
+}
+
+/**
+ * Builds the queue item update after a failed write.
+ * @param {object} item - Queue item.
+ * @param {Error} error - Client error.
+ * @param {Date} now - Reference time.
+ * @returns {object} Update with `status` failed, or the next attempt.
+ */
+function buildCrmRetryUpdate(item, error, now) {
+  const attempts = (item.attempts || 0) + 1;
+  const lastError = error.response?.data?.message || error.message;
+  if (!isTransientCrmError(error) || attempts >= CRM_SYNC_MAX_ATTEMPTS) {
+    return { status: QUEUE_STATUS.FAILED, attempts, lastError, failedTimestamp: admin.firestore.Timestamp.fromDate(now) };
+  }
+  const delayMinutes = Math.min(
+    CRM_SYNC_RETRY_BASE_MINUTES * 2 ** (attempts - 1),
+    CRM_SYNC_RETRY_MAX_MINUTES
+  );
+  return {
+    attempts,
+    lastError,
+    nextAttemptAt: admin.firestore.Timestamp.fromMillis(
+      now.getTime() + delayMinutes * 60 * 1000
+    ),
+  };
+}
+
+/**
+ * Claims a queue item so overlapping runs never log the same note twice.
+ * @param {object} itemRef - Queue document reference.
+ * @param {object} run - Run context.
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<object|null>} Item data, or null if done or claimed elsewhere.
+ */
+async function claimQueueItem(itemRef, run, db) {
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(itemRef);
+    const now = admin.firestore.Timestamp.now();
+    const lease = doc.exists && doc.data().lease;
+    if (
+      !doc.exists ||
+      doc.data().status !== QUEUE_STATUS.PENDING ||
+      (lease && lease.runId !== run.id && lease.expiresAt > now)
+    ) {
+      return null;
+    }
+    transaction.update(itemRef, {
+      lease: {
+        runId: run.id,
+        expiresAt: admin.firestore.Timestamp.fromMillis(
+          now.toMillis() + PROSPECT_LEASE_MINUTES * 60 * 1000
+        ),
+      },
+    });
+    return doc.data();
+  });
+}
+
+/**
+ * Writes due queue items to the CRM (the `crmSync` phase). The prospect is
+ * read at sync time, so the contact always gets the current outreach status.
+ * @param {object} run - Run context (see runHelper.js); a dry run only lists due items.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<object>} Stats: { due, synced, retryScheduled, failed, skipped }.
+ */
+async function processCrmSyncQueue(run, db, logger) {
+  const stats = { due: 0, synced: 0, retryScheduled: 0, failed: 0, skipped: 0 };
+  if (!CRM_SYNC_ENABLED) {
+    logger.info("CRM sync disabled (CRM_SYNC_ENABLED). Skipping.");
+    return stats;
+  }
+  if (!crmClient.isConfigured()) {
+    throw new Error(`CRM client '${crmClient.name}' is not configured.`);
+  }
+
+  const snapshot = await db
+    .collection("crmSyncQueue")
+    .where("status", "==", QUEUE_STATUS.PENDING)
+    .where("nextAttemptAt", "<=", admin.firestore.Timestamp.fromDate(run.now))
+    .orderBy("nextAttemptAt")
+    .limit(run.limits.crmSync)
+    .get();
+  stats.due = snapshot.size;
+
+  for (const doc of snapshot.docs) {
+    const { prospectId, event } = doc.data();
+    if (run.dryRun) {
+      recordOutcome(run, "crmSync", prospectId, "crm_sync", event, { queueId: doc.id });
+      continue;
+    }
+    const item = await claimQueueItem(doc.ref, run, db);
+    if (!item) {
+      stats.skipped++;
+      recordOutcome(run, "crmSync", prospectId, "skip", "Synced or claimed by another run", { queueId: doc.id });
+      continue;
+    }
+
+    const prospectDoc = await db.collection("prospects").doc(prospectId).get();
+    const prospectData = prospectDoc.exists ? prospectDoc.data() : null;
+    const email = prospectData && getContactEmail(prospectData);
+    if (!email) {
+      const reason = prospectData ? "No email address" : "Prospect not found";
+      await doc.ref.update({
+        status: QUEUE_STATUS.FAILED,
+        lastError: reason,
+        lease: admin.firestore.FieldValue.delete(),
+      });
+      stats.failed++;
+      recordOutcome(run, "crmSync", prospectId, "crm_sync_failed", reason, { queueId: doc.id, event });
+      continue;
+    }
+
+    try {
+      const contact = await crmClient.upsertContact(email, buildContactProperties(prospectData));
+      await crmClient.logEngagement(contact.id, {
+        timestamp: item.eventTimestamp.toDate(),
+        body: buildEngagementBody(item),
+      });
+      await doc.ref.update({
+        status: QUEUE_STATUS.DONE,
+        client: crmClient.name,
+        crmContactId: contact.id,
+        syncedTimestamp: admin.firestore.Timestamp.now(),
+        lease: admin.firestore.FieldValue.delete(),
+      });
+      if (prospectData.crmContactId !== contact.id) {
+        await updateProspect(prospectId, { crmContactId: contact.id }, db, logger, run);
+      }
+      stats.synced++;
+      recordOutcome(run, "crmSync", prospectId, "crm_synced", event, {
+        queueId: doc.id,
+        crmContactId: contact.id,
+      });
+    } catch (error) {
+      const update = buildCrmRetryUpdate(item, error, run.now);
+      logger.error(
+        `CRM sync (${event}) failed for prospect ${prospectId} (attempt ${update.attempts}):`,
+        update.lastError
+      );
+      await doc.ref.update({ ...update, lease: admin.firestore.FieldValue.delete() });
+      if (update.status === QUEUE_STATUS.FAILED) {
+        stats.failed++;
+      } else {
+        stats.retryScheduled++;
+      }
+      recordOutcome(
+        run,
+        "crmSync",
+        prospectId,
+        update.status === QUEUE_STATUS.FAILED ? "crm_sync_failed" : "retry_scheduled",
+        update.lastError,
+        {
+          queueId: doc.id,
+          event,
+          attempts: update.attempts,
+          nextAttemptAt: update.nextAttemptAt?.toDate().toISOString(),
+        }
+      );
+    }
+  }
+  return stats;
+}
+
+module.exports = {
+  CRM_SYNC_EVENTS,
+  stubCrmClient,
+  setCrmClient,
+  queueCrmSync,
+  processCrmSyncQueue,
+};
@@ -0,0 +1,232 @@
+// Pre-send recipient validation: syntax, MX records, disposable domains, role
+// accounts and catch-all hints, summed up in a deliverability verdict.
+const dns = require("dns").promises;
+const admin = require("firebase-admin");
+const {
+  EMAIL_VALIDATION_TTL_DAYS,
+  EMAIL_VALIDATION_MX_RESOLVER,
+  EXTRA_DISPOSABLE_DOMAINS,
+  CATCH_ALL_DOMAINS,
+} = require("./config");
+
+const VERDICTS = {
+  DELIVERABLE: "deliverable",
+  RISKY: "risky", // Low confidence, see LOW_CONFIDENCE_EMAIL_POLICY
+  UNDELIVERABLE: "undeliverable",
+  UNKNOWN: "unknown", // MX lookup failed (timeout, SERVFAIL): not stored, checked again later
+};
+
+// Common throwaway inboxes; extend with DISPOSABLE_EMAIL_DOMAINS
+const DISPOSABLE_DOMAINS = new Set([
+  "10minutemail.com",
+  "dispostable.com",
+  "fakeinbox.com",
+  "getnada.com",
+  "guerrillamail.com",
+  "maildrop.cc",
+  "mailinator.com",
+  "mailnesia.com",
+  "mintemail.com",
+  "mohmal.com",
+  "sharklasers.com",
+  "temp-mail.org",
+  "tempmail.com",
+  "throwawaymail.com",
+  "trashmail.com",
+  "yopmail.com",
+  ...EXTRA_DISPOSABLE_DOMAINS,
+]);
+
+// Shared inboxes rather than a person (English and French)
+const ROLE_LOCAL_PARTS = new Set([
+  "admin",
+  "billing",
+  "careers",
+  "contact",
+  "emploi",
+  "hello",
+  "help",
+  "hr",
+  "info",
+  "jobs",
+  "marketing",
+  "noreply",
+  "no-reply",
+  "office",
+  "postmaster",
+  "recrutement",
+  "recruiting",
+  "rh",
+  "sales",
+  "support",
+  "talent",
+  "team",
+  "webmaster",
+]);
+
+// Deliberately simple: one @, no spaces, a dotted domain with a 2+ letter TLD
+const EMAIL_SYNTAX = /^[^\s@"(),:;<>[\]\\]+@([a-z0-9-]+\.)+[a-z]{2,}$/i;
+
+/**
+ * Checks whether a domain has an A or AAAA record.
+ * @param {string} domain - Email domain.
+ * @returns {Promise<boolean>}
+ * @throws {Error} On lookup failures other than "no records".
+ */
+async function hasAddressRecord(domain) {
+  for (const resolve of [dns.resolve4, dns.resolve6]) {
+    try {
+      if ((await resolve(domain)).length > 0) return true;
+    } catch (error) {
+      if (!["ENODATA", "ENOTFOUND"].includes(error.code)) throw error;
+    }
+  }
+  return false;
+}
+
+/**
+ * Looks up the mail hosts of a domain through DNS. Without MX records the
+ * domain itself receives mail if it has an address record (implicit MX,
+ * RFC 5321 §5.1); a null MX (".") means it accepts no mail.
+ * @param {string} domain - Email domain.
+ * @returns {Promise<string[]>} Mail hosts, empty if the domain accepts no mail
+ *   or does not exist.
+ * @throws {Error} On lookup failures other than "no records" (timeouts, SERVFAIL).
+ */
+async function resolveMxWithDns(domain) {
+  try {
+    const records = await dns.resolveMx(domain);
+    // The null MX "." is returned as an empty exchange
+    return records.map((record) => record.exchange).filter(Boolean);
+  } catch (error) {
+    if (error.code === "ENOTFOUND") return [];
+    if (error.code !== "ENODATA") throw error;
+  }
+  return (await hasAddressRecord(domain)) ? [domain] : [];
+}
+
+// Accepts every domain, for local runs without DNS (EMAIL_VALIDATION_MX_RESOLVER=stub)
+const resolveMxStub = async (domain) => [`mx.${domain}`];
+
+let mxResolver =
+  EMAIL_VALIDATION_MX_RESOLVER === "stub" ? resolveMxStub : resolveMxWithDns;
+
+/**
+ * Replaces the MX resolver, e.g. with a stub in local scripts.
+ * @param {Function} resolver - (domain) => Promise<string[]>, see resolveMxWithDns.
+ */
+function setMxResolver(resolver) {
+  mxResolver = resolver;
+}
+
+/**
+ * Checks whether the recipient is the work email that the enrichment provider
+ * could not verify. Older prospects lack `workEmailStatus`, a pending lookup
+ * means the same thing for them.
+ * @param {object} prospectData - Prospect data.
+ * @param {string} email - Normalized recipient.
+ * @returns {boolean}
+ */
+function isUnverifiedWorkEmail(prospectData, email) {
+  const workEmail = (prospectData.workEmail || "").trim().toLowerCase();
+  if (!workEmail || workEmail !== email) return false;
+  return prospectData.workEmailStatus
+    ? prospectData.workEmailStatus !== "verified"
+    : prospectData.workEmailLookupPending === true;
+}
+
+/**
+ * Validates a recipient address.
+ * @param {string} recipientEmail - Address about to be emailed.
+ * @param {object} [prospectData] - Prospect data, for provider verification hints.
+ * @returns {Promise<object>} { email, verdict, reasons, checks: { syntax, mx, mxHosts,
+ *   disposable, role, catchAllHint, unverifiedWorkEmail } }. `mx` is null when
+ *   the lookup itself failed, the verdict is then unknown unless another check
+ *   makes the address undeliverable.
+ */
+async function validateEmailAddress(recipientEmail, prospectData = {}) {
+  const email = (recipientEmail || "").trim().toLowerCase();
+  const [localPart, domain = ""] = email.split("@");
+  const checks = {
+    syntax: EMAIL_SYNTAX.test(email),
+    mx: null,
+    mxHosts: [],
+    disposable: DISPOSABLE_DOMAINS.has(domain),
+    role: ROLE_LOCAL_PARTS.has(localPart.split("+")[0]),
+    catchAllHint:
+      CATCH_ALL_DOMAINS.includes(domain) ||
+      /catch.?all|accept.?all/i.test(prospectData.workEmailStatus || ""),
+    unverifiedWorkEmail: isUnverifiedWorkEmail(prospectData, email),
+  };
+  const undeliverable = [];
+  const risky = [];
+  let lookupError = null;
+
+  if (!checks.syntax) {
+    undeliverable.push("invalid syntax");
+  } else {
+    try {
+      checks.mxHosts = await mxResolver(domain);
+      checks.mx = checks.mxHosts.length > 0;
+      if (!checks.mx) undeliverable.push("domain accepts no mail");
+    } catch (error) {
+      lookupError = `MX lookup failed (${error.code || error.message})`;
+    }
+  }
+  if (checks.disposable) undeliverable.push("disposable domain");
+  if (checks.role) risky.push("role account");
+  if (checks.catchAllHint) risky.push("catch-all domain");
+  if (checks.unverifiedWorkEmail) risky.push("work email not verified by provider");
+
+  let verdict = VERDICTS.DELIVERABLE;
+  if (undeliverable.length > 0) {
+    verdict = VERDICTS.UNDELIVERABLE;
+  } else if (lookupError) {
+    verdict = VERDICTS.UNKNOWN;
+    risky.unshift(lookupError);
+  } else if (risky.length > 0) {
+    verdict = VERDICTS.RISKY;
+  }
+  return { email, verdict, reasons: [...undeliverable, ...risky], checks };
+}
+
+/**
+ * Returns the validation stored on the prospect when it still applies to this
+ * recipient, otherwise validates again. Unknown verdicts are never reused.
+ * @param {object} prospectData - Prospect data.
+ * @param {string} recipientEmail - Address about to be emailed.
+ * @returns {Promise<{validation: object, cached: boolean}>} validation includes
+ *   `validatedTimestamp`, ready to be stored as the prospect's `emailValidation`.
+ */
+async function getEmailValidation(prospectData, recipientEmail) {
+  const stored = prospectData.emailValidation;
+  const email = (recipientEmail || "").trim().toLowerCase();
+  // A late provider verification changes the verdict
+  const workEmailStatus = prospectData.workEmailStatus || null;
+  if (
+    stored?.email === email &&
+    stored.verdict !== VERDICTS.UNKNOWN &&
+    stored.workEmailStatus === workEmailStatus &&
+    stored.validatedTimestamp &&
+    Date.now() - stored.validatedTimestamp.toMillis() <
+      EMAIL_VALIDATION_TTL_DAYS * 24 * 60 * 60 * 1000
+  ) {
+    return { validation: stored, cached: true };
+  }
+  const validation = await validateEmailAddress(recipientEmail, prospectData);
+  return {
+    validation: {
+      ...validation,
+      workEmailStatus,
+      validatedTimestamp: admin.firestore.Timestamp.now(),
+    },
+    cached: false,
+  };
+}
+
+module.exports = {
+  VERDICTS,
+  setMxResolver,
+  validateEmailAddress,
+  getEmailValidation,
+};
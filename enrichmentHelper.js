@@ -0,0 +1,634 @@
+const admin = require("firebase-admin");
+const {
+  EMAIL_STATUS,
+  ENRICHMENT_PROVIDER_CHAINS,
+  ENRICHMENT_CACHE_TTL_DAYS,
+  REENRICH_AFTER_DAYS,
+  ENRICHMENT_MAX_ATTEMPTS,
+  ENRICHMENT_RETRY_BASE_MINUTES,
+  ENRICHMENT_RETRY_MAX_MINUTES,
+  OUTREACH_STATUS,
+  AWAITING_ADDRESS_STATUSES,
+} = require("./config");
+const { proxycurlProvider, normalizeLinkedinUrl } = require("./proxycurlHelper");
+const { createHttpEnrichmentProvider } = require("./httpEnrichmentProvider");
+
+/**
+ * @typedef {object} EnrichmentProvider
+ * @property {string} name - Name used in ENRICHMENT_*_PROVIDERS chains.
+ * @property {Function} isConfigured - Returns false when credentials are missing.
+ * Each lookup is a pair: `fetch*` (prospectData, linkedinUrl, logger, usage) => Promise<raw>
+ * calls the API and returns its raw JSON (null when not found), `map*` turns a raw
+ * response into the normalized result. Raw responses are cached in `enrichmentCache`,
+ * so changing a map function can be applied without new API calls.
+ * @property {Function} [fetchProfile]
+ * @property {Function} [mapProfile] - (raw, prospectData, linkedinUrl) =>
+ *   {found: boolean, fields?: object}, fields use the prospect schema
+ *   (firstName, jobTitle, companyName, country...).
+ * @property {Function} [fetchWorkEmail]
+ * @property {Function} [mapWorkEmail] - (raw) =>
+ *   {email: string, verified: boolean, pending?: boolean, status?: string}.
+ * @property {Function} [fetchPersonalEmails]
+ * @property {Function} [mapPersonalEmails] - (raw) =>
+ *   {emails: string[], invalidEmails?: string[]}.
+ * Fetches throw on API errors so the chain can fall back to the next provider.
+ * `usage` ({ db, runId, prospectId, credits }) lets paid providers log their
+ * cost and add it to `usage.credits`.
+ */
+
+// Fields the AI prompt needs; later profile providers fill them when missing
+const REQUIRED_PROFILE_FIELDS = ["firstName", "jobTitle", "companyName", "country"];
+
+const LOOKUP_METHODS = {
+  profile: { fetch: "fetchProfile", map: "mapProfile" },
+  workEmail: { fetch: "fetchWorkEmail", map: "mapWorkEmail" },
+  personalEmail: { fetch: "fetchPersonalEmails", map: "mapPersonalEmails" },
+};
+
+// Fields written from email lookups and statuses, left alone when remapping profiles
+const NON_PROFILE_FIELDS = [
+  "workEmail",
+  "workEmailStatus",
+  "workEmailLookupPending",
+  "personalEmail",
+  "personal_emails",
+  "invalid_emails",
+  "emailStatus",
+  "enrichmentSuccess",
+  "enrichmentTimestamp",
+];
+
+// Firestore documents are limited to 1 MiB
+const MAX_CACHED_RESPONSE_LENGTH = 900 * 1024;
+
+let providersByName;
+
+/**
+ * Returns the known providers: Proxycurl plus the HTTP providers configured in
+ * ENRICHMENT_HTTP_PROVIDERS. Invalid HTTP configurations are logged and ignored.
+ * @param {object} logger - Logger instance.
+ * @returns {Map<string, EnrichmentProvider>}
+ */
+function getEnrichmentProviders(logger) {
+  if (providersByName) return providersByName;
+  providersByName = new Map([[proxycurlProvider.name, proxycurlProvider]]);
+  if (process.env.ENRICHMENT_HTTP_PROVIDERS) {
+    try {
+      for (const config of JSON.parse(process.env.ENRICHMENT_HTTP_PROVIDERS)) {
+        const provider = createHttpEnrichmentProvider(config);
+        providersByName.set(provider.name, provider);
+      }
+    } catch (error) {
+      logger.error("Invalid ENRICHMENT_HTTP_PROVIDERS, ignoring it:", error.message);
+    }
+  }
+  return providersByName;
+}
+
+/**
+ * Returns the configured providers able to run a lookup, in chain order.
+ * @param {string} lookup - 'profile', 'workEmail' or 'personalEmail'.
+ * @param {object} logger - Logger instance.
+ * @returns {EnrichmentProvider[]}
+ */
+function getProviderChain(lookup, logger) {
+  const providers = getEnrichmentProviders(logger);
+  return ENRICHMENT_PROVIDER_CHAINS[lookup]
+    .map((name) => {
+      const provider = providers.get(name);
+      if (!provider) logger.warn(`Unknown enrichment provider '${name}'.`);
+      return provider;
+    })
+    .filter(
+      (provider) =>
+        provider &&
+        typeof provider[LOOKUP_METHODS[lookup].fetch] === "function" &&
+        typeof provider[LOOKUP_METHODS[lookup].map] === "function" &&
+        provider.isConfigured()
+    );
+}
+
+/**
+ * Returns the `enrichmentCache` document of one provider lookup.
+ * @param {object} db - Firestore instance.
+ * @param {string} linkedinUrl - Normalized LinkedIn URL.
+ * @param {string} providerName - Provider name.
+ * @param {string} lookup - 'profile', 'workEmail' or 'personalEmail'.
+ * @returns {object} Document reference.
+ */
+function getCacheRef(db, linkedinUrl, providerName, lookup) {
+  // LinkedIn URLs contain '/', which Firestore IDs cannot
+  return db
+    .collection("enrichmentCache")
+    .doc(`${encodeURIComponent(linkedinUrl)}:${providerName}:${lookup}`);
+}
+
+/**
+ * Reads a cached raw response.
+ * @param {object} cacheRef - Document reference from getCacheRef.
+ * @param {number} maxAgeDays - Entries fetched longer ago are ignored.
+ * @returns {Promise<{raw: *}|null>} Cached response or null if missing/expired.
+ */
+async function readCachedResponse(cacheRef, maxAgeDays) {
+  const doc = await cacheRef.get();
+  if (!doc.exists) return null;
+  const entry = doc.data();
+  const ageMillis = Date.now() - entry.fetchedTimestamp.toMillis();
+  if (ageMillis > maxAgeDays * 24 * 60 * 60 * 1000) return null;
+  return { raw: JSON.parse(entry.response) };
+}
+
+/**
+ * Caches a raw response. Stored as a JSON string since raw payloads may hold
+ * nested arrays, which Firestore rejects. `expiresAt` can drive a Firestore TTL policy.
+ * @param {object} cacheRef - Document reference from getCacheRef.
+ * @param {object} entry - { linkedinUrl, provider, lookup, raw }.
+ * @param {object} logger - Logger instance.
+ */
+async function writeCachedResponse(cacheRef, entry, logger) {
+  const response = JSON.stringify(entry.raw ?? null);
+  if (response.length > MAX_CACHED_RESPONSE_LENGTH) {
+    logger.warn(`Not caching ${entry.provider} ${entry.lookup} response for ${entry.linkedinUrl}: too large.`);
+    return;
+  }
+  const now = admin.firestore.Timestamp.now();
+  try {
+    await cacheRef.set({
+      linkedinUrl: entry.linkedinUrl,
+      provider: entry.provider,
+      lookup: entry.lookup,
+      response,
+      fetchedTimestamp: now,
+      expiresAt: admin.firestore.Timestamp.fromMillis(
+        now.toMillis() + ENRICHMENT_CACHE_TTL_DAYS * 24 * 60 * 60 * 1000
+      ),
+    });
+  } catch (error) {
+    logger.error(`Failed to cache ${entry.provider} ${entry.lookup} response:`, error);
+  }
+}
+
+// Credential and credit errors: the provider account is unusable until fixed
+const ACCOUNT_HTTP_STATUSES = [401, 402, 403];
+// HTTP statuses worth retrying; other 4xx mean the request itself is wrong
+const TRANSIENT_HTTP_STATUSES = [...ACCOUNT_HTTP_STATUSES, 408, 425, 429];
+
+/**
+ * Classifies a failed provider call. Network errors, timeouts, rate limits, 5xx
+ * and credential/credit errors (not the prospect's fault) are transient.
+ * @param {Error} error - axios or provider error.
+ * @returns {{transient: boolean, accountError: boolean, status: number|null,
+ *   retryAfterMs: number|null}}
+ */
+function classifyLookupError(error) {
+  const status = error.response?.status ?? null;
+  let retryAfterMs = null;
+  const retryAfter = error.response?.headers?.["retry-after"];
+  if (status === 429 && retryAfter) {
+    // Either a number of seconds or an HTTP date
+    retryAfterMs = /^\d+$/.test(retryAfter)
+      ? parseInt(retryAfter, 10) * 1000
+      : Math.max(Date.parse(retryAfter) - Date.now(), 0) || null;
+  }
+  return {
+    transient:
+      status === null || status >= 500 || TRANSIENT_HTTP_STATUSES.includes(status),
+    accountError: ACCOUNT_HTTP_STATUSES.includes(status),
+    status,
+    retryAfterMs,
+  };
+}
+
+/**
+ * Runs one lookup through its provider chain until `onResult` accepts a result.
+ * Each provider is answered from `enrichmentCache` when possible, from its API otherwise.
+ * @param {string} lookup - 'profile', 'workEmail' or 'personalEmail'.
+ * @param {object} prospectData - Prospect data, including fields found so far.
+ * @param {string} linkedinUrl - Normalized LinkedIn URL.
+ * @param {object} context - { db, logger, options, usage } (options from enrichProspect).
+ * @param {Function} onResult - (result, provider) => true to stop the chain.
+ * @returns {Promise<{attempted: number, errors: object[], apiCalls: number}>}
+ *   errors: { message, transient, status, retryAfterMs }, see classifyLookupError.
+ */
+async function runProviderChain(lookup, prospectData, linkedinUrl, context, onResult) {
+  const { db, logger, options, usage } = context;
+  const methods = LOOKUP_METHODS[lookup];
+  const chain = getProviderChain(lookup, logger);
+  const errors = [];
+  let attempted = 0;
+  let apiCalls = 0;
+  for (const provider of chain) {
+    try {
+      const cacheRef = getCacheRef(db, linkedinUrl, provider.name, lookup);
+      const cached = await readCachedResponse(
+        cacheRef,
+        options.maxCacheAgeDays ?? ENRICHMENT_CACHE_TTL_DAYS
+      );
+      if (!cached && options.cacheOnly) continue;
+      attempted++;
+
+      let raw;
+      if (cached) {
+        logger.info(`Using cached ${provider.name} ${lookup} for ${linkedinUrl}.`);
+        raw = cached.raw;
+      } else {
+        apiCalls++;
+        raw = await provider[methods.fetch](
+          prospectData,
+          linkedinUrl,
+          logger,
+          usage
+        );
+      }
+      const result = provider[methods.map](raw, prospectData, linkedinUrl);
+      // Pending work emails may still resolve on the callback, do not pin them
+      if (!cached && !result.pending) {
+        await writeCachedResponse(
+          cacheRef,
+          { linkedinUrl, provider: provider.name, lookup, raw },
+          logger
+        );
+      }
+      if (onResult(result, provider)) break;
+    } catch (error) {
+      logger.error(
+        `${provider.name} ${lookup} lookup failed for ${linkedinUrl}:`,
+        error.message
+      );
+      if (error.response) {
+        logger.error(`${provider.name} Error Status: ${error.response.status}`);
+        logger.error(`${provider.name} Error Body:`, error.response.data);
+      }
+      errors.push({
+        message: `${provider.name}: ${error.message}`,
+        ...classifyLookupError(error),
+      });
+    }
+  }
+  return { attempted, errors, apiCalls };
+}
+
+/**
+ * Builds the update written when enrichment fails.
+ * @param {string} error - Reason.
+ * @param {number} [creditsUsed] - Paid credits spent before failing.
+ * @param {object} [retry] - { permanent: retrying cannot help, rateLimited: a 429 was
+ *   returned, accountError: a 401/402/403 was returned, retryAfterMs: its Retry-After }.
+ * @returns {{success: false, error: string, creditsUsed: number, permanent: boolean,
+ *   rateLimited: boolean, accountError: boolean, retryAfterMs: number|null, updateData: object}}
+ */
+function buildEnrichmentFailure(error, creditsUsed = 0, retry = {}) {
+  return {
+    success: false,
+    error,
+    creditsUsed,
+    permanent: !!retry.permanent,
+    rateLimited: !!retry.rateLimited,
+    accountError: !!retry.accountError,
+    retryAfterMs: retry.retryAfterMs ?? null,
+    updateData: {
+      emailStatus: EMAIL_STATUS.FAILED,
+      enrichmentTimestamp: admin.firestore.Timestamp.now(),
+      enrichmentSuccess: false,
+    },
+  };
+}
+
+/**
+ * Builds the failure for lookups that all errored: permanent only when no error
+ * was transient, honoring the longest Retry-After.
+ * @param {object[]} errors - Chain errors, see runProviderChain.
+ * @param {number} creditsUsed - Paid credits spent before failing.
+ * @returns {object} See buildEnrichmentFailure.
+ */
+function buildApiErrorFailure(errors, creditsUsed) {
+  const retryAfters = errors
+    .map((error) => error.retryAfterMs)
+    .filter((value) => value !== null);
+  return buildEnrichmentFailure(
+    `Enrichment API Error (${errors.map((error) => error.message).join("; ")})`,
+    creditsUsed,
+    {
+      permanent: !errors.some((error) => error.transient),
+      rateLimited: errors.some((error) => error.status === 429),
+      accountError: errors.some((error) => error.accountError),
+      retryAfterMs: retryAfters.length > 0 ? Math.max(...retryAfters) : null,
+    }
+  );
+}
+
+/**
+ * Enriches a prospect through the provider chains of ENRICHMENT_PROVIDER_CHAINS:
+ * the profile, the work email and the personal emails can each come from a
+ * different provider. The first provider that finds the profile wins, later
+ * ones only fill REQUIRED_PROFILE_FIELDS it left empty.
+ *
+ * Raw responses are reused from `enrichmentCache` (see runProviderChain).
+ *
+ * @param {object} prospectData - Prospect data from Firestore.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @param {object} [options] - { cacheOnly: no API calls, maxCacheAgeDays: ignore older
+ *   cache entries, runId: logged with paid calls }.
+ * @returns {Promise<{success: boolean, error: string|null, updateData: object, apiCalls: number, creditsUsed: number}>}
+ *   Same shape as before providers existed; `enrichmentProviders` records who
+ *   supplied what.
+ */
+async function enrichProspect(prospectData, db, logger, options = {}) {
+  const linkedinUrl = normalizeLinkedinUrl(prospectData.linkedinUrl);
+  if (!linkedinUrl) {
+    logger.warn(
+      `Prospect ${prospectData.id} missing linkedinUrl. Skipping enrichment.`
+    );
+    return buildEnrichmentFailure("Missing LinkedIn URL", 0, { permanent: true });
+  }
+  if (getProviderChain("profile", logger).length === 0) {
+    logger.error("No configured enrichment provider for profiles.");
+    return buildEnrichmentFailure("Missing API Key");
+  }
+
+  const usage = { db, runId: options.runId, prospectId: prospectData.id, credits: 0 };
+  const context = { db, logger, options, usage };
+
+  // --- 1. Profile ---
+  let profileFields = null;
+  const enrichmentProviders = {};
+  const profileChain = await runProviderChain(
+    "profile",
+    prospectData,
+    linkedinUrl,
+    context,
+    (result, provider) => {
+      if (!result?.found) return false;
+      if (!profileFields) {
+        profileFields = { ...result.fields };
+        enrichmentProviders.profile = provider.name;
+      } else {
+        for (const field of REQUIRED_PROFILE_FIELDS) {
+          if (!profileFields[field] && result.fields[field]) {
+            profileFields[field] = result.fields[field];
+            enrichmentProviders[field] = provider.name;
+          }
+        }
+      }
+      return REQUIRED_PROFILE_FIELDS.every((field) => profileFields[field]);
+    }
+  );
+  if (!profileFields) {
+    if (profileChain.attempted === 0) {
+      return buildEnrichmentFailure("No cached profile", usage.credits);
+    }
+    // Only API errors are worth retrying, a missing profile stays missing
+    if (profileChain.errors.length === profileChain.attempted) {
+      return buildApiErrorFailure(profileChain.errors, usage.credits);
+    }
+    logger.warn(`No provider found a profile for ${linkedinUrl}.`);
+    return buildEnrichmentFailure("Profile not found", usage.credits, {
+      permanent: true,
+    });
+  }
+
+  const updateData = {
+    ...profileFields,
+    linkedinUrl,
+    linkedinUrlFound: true,
+    linkedinProfileUrl: linkedinUrl,
+    enrichmentSuccess: true,
+  };
+  const enrichedProspect = { ...prospectData, ...updateData };
+  let emailStatus = EMAIL_STATUS.FAILED; // Default to failed
+
+  // --- 2. Work Email ---
+  let workEmailPending = false;
+  const workEmailChain = await runProviderChain(
+    "workEmail",
+    enrichedProspect,
+    linkedinUrl,
+    context,
+    (result, provider) => {
+      workEmailPending = workEmailPending || !!result.pending;
+      if (result.verified) {
+        updateData.workEmail = result.email;
+        updateData.workEmailStatus = result.status || "verified";
+        emailStatus = EMAIL_STATUS.VERIFIED; // Success!
+        enrichmentProviders.workEmail = provider.name;
+        logger.info(
+          `Verified email found by ${provider.name} for ${linkedinUrl}: ${result.email}`
+        );
+        return true;
+      }
+      logger.warn(
+        `${provider.name} work email not verified for ${linkedinUrl}. Status: ${result.status}, Email: ${result.email}`
+      );
+      // Keep an unverified address unless a later provider verifies one
+      if (!updateData.workEmail && result.email) {
+        updateData.workEmail = result.email;
+        // Checked before sending, see emailValidationHelper.js
+        updateData.workEmailStatus = result.status || "unverified";
+      }
+      return false;
+    }
+  );
+  if (emailStatus !== EMAIL_STATUS.VERIFIED) {
+    updateData.workEmail = updateData.workEmail || "";
+    // The result may still arrive on the callback endpoint (handleWorkEmailCallback)
+    updateData.workEmailLookupPending = workEmailPending;
+  }
+
+  // --- 3. Personal Email ---
+  const personalEmailChain = await runProviderChain(
+    "personalEmail",
+    enrichedProspect,
+    linkedinUrl,
+    context,
+    (result, provider) => {
+      if (!result?.emails?.length) return false;
+      updateData.personalEmail = result.emails[0];
+      updateData.personal_emails = result.emails;
+      updateData.invalid_emails = result.invalidEmails || [];
+      emailStatus = EMAIL_STATUS.VERIFIED; // Success!
+      enrichmentProviders.personalEmail = provider.name;
+      logger.info(
+        `Personal email found by ${provider.name} for ${linkedinUrl}: ${result.emails[0]}`
+      );
+      return true;
+    }
+  );
+
+  // No email at all and every email provider errored: retry the whole enrichment later
+  const emailLookupErrors = [...workEmailChain.errors, ...personalEmailChain.errors];
+  const emailLookupsAttempted =
+    workEmailChain.attempted + personalEmailChain.attempted;
+  if (
+    emailStatus !== EMAIL_STATUS.VERIFIED &&
+    emailLookupsAttempted > 0 &&
+    emailLookupErrors.length === emailLookupsAttempted
+  ) {
+    return buildApiErrorFailure(emailLookupErrors, usage.credits);
+  }
+
+  updateData.emailStatus = emailStatus;
+  updateData.enrichmentProviders = enrichmentProviders;
+  updateData.enrichmentTimestamp = admin.firestore.Timestamp.now(); // Always update timestamp
+  // Clear the retry state of earlier failed attempts
+  updateData.enrichmentAttempts = 0;
+  updateData.nextEnrichmentAttemptAt = admin.firestore.FieldValue.delete();
+  updateData.lastEnrichmentError = admin.firestore.FieldValue.delete();
+  logger.info(
+    `Enrichment of ${linkedinUrl} done: ${emailStatus}, providers: ${JSON.stringify(
+      enrichmentProviders
+    )}`
+  );
+  return {
+    success: true,
+    updateData,
+    error: null,
+    apiCalls:
+      profileChain.apiCalls + workEmailChain.apiCalls + personalEmailChain.apiCalls,
+    creditsUsed: usage.credits,
+  };
+}
+
+/**
+ * Adds the retry state to a failed enrichment's update: transient failures are
+ * retried with exponential backoff (at least the Retry-After), permanent ones
+ * and prospects past ENRICHMENT_MAX_ATTEMPTS move to the terminal
+ * `enrichment_failed` status for manual review. Provider account errors are
+ * not the prospect's fault: they are recorded without using up an attempt.
+ * @param {object} prospectData - Prospect data, for the previous attempt count.
+ * @param {object} failure - Result of a failed enrichProspect.
+ * @param {Date} [now] - Reference time.
+ * @returns {{updateData: object, terminal: boolean, nextAttemptAt: Date|null}}
+ */
+function buildEnrichmentRetryUpdate(prospectData, failure, now = new Date()) {
+  if (failure.accountError) {
+    return {
+      updateData: {
+        ...failure.updateData,
+        lastEnrichmentError: failure.error,
+        enrichmentFailureType: "provider_account",
+      },
+      terminal: false,
+      nextAttemptAt: null,
+    };
+  }
+  const attempts = (prospectData.enrichmentAttempts || 0) + 1;
+  const updateData = {
+    ...failure.updateData,
+    enrichmentAttempts: attempts,
+    lastEnrichmentError: failure.error,
+    enrichmentFailureType: failure.permanent ? "permanent" : "transient",
+  };
+  if (failure.permanent || attempts >= ENRICHMENT_MAX_ATTEMPTS) {
+    updateData.outreachStatus = OUTREACH_STATUS.ENRICHMENT_FAILED;
+    updateData.outreachStatusMessage = failure.permanent
+      ? `Enrichment failed permanently: ${failure.error}`
+      : `Enrichment failed after ${attempts} attempts: ${failure.error}`;
+    updateData.enrichmentFailedTimestamp = admin.firestore.Timestamp.fromDate(now);
+    updateData.nextEnrichmentAttemptAt = admin.firestore.FieldValue.delete();
+    return { updateData, terminal: true, nextAttemptAt: null };
+  }
+  const backoffMs =
+    Math.min(
+      ENRICHMENT_RETRY_BASE_MINUTES * 2 ** (attempts - 1),
+      ENRICHMENT_RETRY_MAX_MINUTES
+    ) *
+    60 *
+    1000;
+  const nextAttemptAt = new Date(
+    now.getTime() + Math.max(backoffMs, failure.retryAfterMs || 0)
+  );
+  updateData.nextEnrichmentAttemptAt = admin.firestore.Timestamp.fromDate(nextAttemptAt);
+  return { updateData, terminal: false, nextAttemptAt };
+}
+
+/**
+ * Checks whether a prospect's enrichment backoff has elapsed.
+ * @param {object} prospectData - Prospect data.
+ * @param {Date} [now] - Reference time.
+ * @returns {boolean}
+ */
+function isEnrichmentDue(prospectData, now = new Date()) {
+  return (
+    !prospectData.nextEnrichmentAttemptAt ||
+    prospectData.nextEnrichmentAttemptAt.toDate() <= now
+  );
+}
+
+/**
+ * Returns the enrichment timestamp before which a prospect waiting for its
+ * initial email is re-enriched, or null when re-enrichment is disabled.
+ * @param {Date} [now] - Reference time.
+ * @returns {Date|null}
+ */
+function getReenrichmentCutoff(now = new Date()) {
+  if (!(REENRICH_AFTER_DAYS > 0)) return null;
+  return new Date(now.getTime() - REENRICH_AFTER_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Checks whether an enriched prospect must be re-enriched before entering a sequence.
+ * Prospects without a LinkedIn profile (email-only imports) never are.
+ * @param {object} prospectData - Prospect data.
+ * @param {Date} [now] - Reference time.
+ * @returns {boolean}
+ */
+function isEnrichmentStale(prospectData, now = new Date()) {
+  const cutoff = getReenrichmentCutoff(now);
+  return (
+    !!cutoff &&
+    prospectData.enrichmentSuccess === true &&
+    prospectData.linkedinUrlFound === true &&
+    [OUTREACH_STATUS.PENDING_UPLOAD, ...AWAITING_ADDRESS_STATUSES].includes(
+      prospectData.outreachStatus
+    ) &&
+    !!prospectData.enrichmentTimestamp &&
+    prospectData.enrichmentTimestamp.toDate() < cutoff
+  );
+}
+
+/**
+ * Rebuilds a prospect's profile fields from cached raw responses with the
+ * current mappings. Makes no API calls and leaves email fields untouched.
+ * @param {object} prospectData - Prospect data from Firestore.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<{remapped: boolean, updateData?: object, error?: string}>}
+ */
+async function remapProspectFromCache(prospectData, db, logger) {
+  const result = await enrichProspect(prospectData, db, logger, {
+    cacheOnly: true,
+    maxCacheAgeDays: Infinity,
+  });
+  if (!result.success) {
+    return { remapped: false, error: result.error };
+  }
+  const updateData = { ...result.updateData };
+  NON_PROFILE_FIELDS.forEach((field) => delete updateData[field]);
+  // Email lookups are not remapped, keep whoever supplied the current addresses
+  const { workEmail, personalEmail, ...profileProviders } =
+    updateData.enrichmentProviders;
+  updateData.enrichmentProviders = {
+    workEmail: prospectData.enrichmentProviders?.workEmail,
+    personalEmail: prospectData.enrichmentProviders?.personalEmail,
+    ...profileProviders,
+  };
+  Object.keys(updateData.enrichmentProviders).forEach(
+    (key) =>
+      updateData.enrichmentProviders[key] === undefined &&
+      delete updateData.enrichmentProviders[key]
+  );
+  updateData.enrichmentRemappedTimestamp = admin.firestore.Timestamp.now();
+  return { remapped: true, updateData };
+}
+
+module.exports = {
+  REQUIRED_PROFILE_FIELDS,
+  getProviderChain,
+  enrichProspect,
+  remapProspectFromCache,
+  buildEnrichmentRetryUpdate,
+  isEnrichmentDue,
+  getReenrichmentCutoff,
+  isEnrichmentStale,
+};
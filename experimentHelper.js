@@ -0,0 +1,617 @@
+// A/B experiments on sequence steps. Prospects are assigned to a variant by a
+// hash of their ID; the variant travels in SendGrid customArgs and is recorded
+// under `experiments.<experimentId>` on the prospect, where the stored opens,
+// clicks and replies are counted. Each experiment is evaluated once, on a fixed
+// sample per variant after an observation window, so repeated runs do not
+// inflate false positives. A significant winner gets promoted, otherwise the
+// control is kept: every later prospect receives it.
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const {
+  TEMPLATE_IDS,
+  EXPERIMENT_MIN_SAMPLE_PER_VARIANT,
+  EXPERIMENT_OBSERVATION_DAYS,
+  EXPERIMENT_CONFIDENCE,
+  EXPERIMENT_REPLY_INTENTS,
+} = require("./config");
+const { recordOutcome } = require("./runHelper");
+
+const EXPERIMENT_STATUS = {
+  RUNNING: "running",
+  COMPLETED: "completed", // Winner promoted
+  PAUSED: "paused", // No assignments, prospects get the step's normal email
+};
+
+const VARIANT_TYPES = {
+  DEFAULT: "default", // Whatever the step sends without an experiment (control)
+  TEMPLATE: "template", // A SendGrid template: templateIds or templateType
+  AI_PROMPT: "ai_prompt", // AI content generated with extra promptInstructions
+  AI_SUBJECT: "ai_subject", // AI body with one of several AI subject lines (subjectStyle)
+};
+
+const METRICS = ["open", "click", "reply"];
+
+/**
+ * @typedef {object} ExperimentVariant
+ * @property {string} id - Variant ID, sent as the `experimentVariant` custom arg.
+ * @property {string} type - One of VARIANT_TYPES.
+ * @property {number} [weight] - Relative share of prospects, default 1.
+ * @property {object} [templateIds] - Template variants: template IDs per locale.
+ * @property {string} [templateType] - Template variants: key of TEMPLATE_IDS instead.
+ * @property {string} [promptInstructions] - ai_prompt variants: added to the AI prompt.
+ * @property {string} [subjectStyle] - ai_subject variants: how this subject line is written.
+ */
+
+/**
+ * @typedef {object} Experiment
+ * @property {string} id - `experiments` document ID.
+ * @property {string} sequenceId - Sequence whose step is tested.
+ * @property {number} step - Step tested, 0 for the initial email.
+ * @property {string} status - One of EXPERIMENT_STATUS.
+ * @property {string} [metric] - 'open', 'click' or 'reply' (default) decides the winner.
+ * @property {string[]} [replyIntents] - Reply intents counted by the 'reply' metric,
+ *   EXPERIMENT_REPLY_INTENTS by default.
+ * @property {number} [minSamplePerVariant] - Fixed sample: the first sends per variant
+ *   that are evaluated.
+ * @property {number} [observationDays] - Days after the last sample send before evaluating.
+ * @property {number} [confidence] - e.g. 0.95.
+ * @property {ExperimentVariant[]} variants - At least two.
+ * @property {string} [winner] - Promoted variant ID (the control when no variant
+ *   was significantly better), set when completed.
+ * @property {boolean} [significant] - Whether the winner was significantly better, set when completed.
+ */
+
+/**
+ * Checks an experiment definition.
+ * @param {Experiment} experiment - Experiment to check.
+ * @returns {string|null} Error message or null if valid.
+ */
+function validateExperiment(experiment) {
+  if (!experiment.sequenceId) return "Missing sequenceId";
+  if (!Number.isInteger(experiment.step) || experiment.step < 0) {
+    return "step must be an integer >= 0";
+  }
+  if (experiment.metric && !METRICS.includes(experiment.metric)) {
+    return `Unknown metric '${experiment.metric}'`;
+  }
+  if (
+    experiment.replyIntents !== undefined &&
+    (!Array.isArray(experiment.replyIntents) || experiment.replyIntents.length === 0)
+  ) {
+    return "replyIntents must be a non-empty array";
+  }
+  if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+    return "At least two variants are required";
+  }
+  const ids = new Set();
+  for (const variant of experiment.variants) {
+    if (!variant.id || ids.has(variant.id)) return "Variant IDs must be unique and non-empty";
+    ids.add(variant.id);
+    switch (variant.type) {
+      case VARIANT_TYPES.DEFAULT:
+        break;
+      case VARIANT_TYPES.TEMPLATE:
+        if (!variant.templateIds && !TEMPLATE_IDS[variant.templateType]) {
+          return `Variant ${variant.id} needs templateIds or a known templateType`;
+        }
+        break;
+      case VARIANT_TYPES.AI_PROMPT:
+        if (!variant.promptInstructions) return `Variant ${variant.id} needs promptInstructions`;
+        break;
+      case VARIANT_TYPES.AI_SUBJECT:
+        if (!variant.subjectStyle) return `Variant ${variant.id} needs a subjectStyle`;
+        break;
+      default:
+        return `Variant ${variant.id} has an unknown type '${variant.type}'`;
+    }
+  }
+  if (experiment.winner && !ids.has(experiment.winner)) {
+    return `Unknown winner '${experiment.winner}'`;
+  }
+  return null;
+}
+
+/**
+ * Loads running and completed experiments. Invalid definitions are logged and ignored.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<Experiment[]>}
+ */
+async function loadExperiments(db, logger) {
+  try {
+    const snapshot = await db
+      .collection("experiments")
+      .where("status", "in", [EXPERIMENT_STATUS.RUNNING, EXPERIMENT_STATUS.COMPLETED])
+      .get();
+    const experiments = [];
+    for (const doc of snapshot.docs) {
+      const experiment = { ...doc.data(), id: doc.id };
+      const error = validateExperiment(experiment);
+      if (error) {
+        logger.error(`Ignoring invalid experiment ${doc.id}: ${error}`);
+        continue;
+      }
+      experiments.push(experiment);
+    }
+    return experiments.sort((a, b) => a.id.localeCompare(b.id));
+  } catch (error) {
+    logger.error("Could not load experiments, sending without them:", error);
+    return [];
+  }
+}
+
+/**
+ * Returns the experiment of a sequence step. Running experiments come before
+ * completed ones; among equals the first by ID wins.
+ * @param {Experiment[]} experiments - Result of loadExperiments.
+ * @param {string} sequenceId - Sequence ID.
+ * @param {number} step - Step number, 0 for the initial email.
+ * @returns {Experiment|null}
+ */
+function findExperiment(experiments, sequenceId, step) {
+  const matching = experiments.filter(
+    (experiment) => experiment.sequenceId === sequenceId && experiment.step === step
+  );
+  return (
+    matching.find((experiment) => experiment.status === EXPERIMENT_STATUS.RUNNING) ||
+    matching[0] ||
+    null
+  );
+}
+
+/**
+ * Assigns a prospect to a variant: the promoted winner of a completed
+ * experiment, otherwise a weighted bucket from a hash of experiment and
+ * prospect IDs, so the same prospect always gets the same variant.
+ * @param {Experiment} experiment - Experiment.
+ * @param {string} prospectId - Prospect document ID.
+ * @returns {ExperimentVariant}
+ */
+function assignVariant(experiment, prospectId) {
+  if (experiment.status === EXPERIMENT_STATUS.COMPLETED && experiment.winner) {
+    return experiment.variants.find((variant) => variant.id === experiment.winner);
+  }
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${experiment.id}:${prospectId}`)
+    .digest();
+  const position = hash.readUInt32BE(0) / 0x100000000; // [0, 1)
+  const weights = experiment.variants.map((variant) => Math.max(variant.weight ?? 1, 0));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let cumulative = 0;
+  for (const [index, variant] of experiment.variants.entries()) {
+    cumulative += weights[index] / total;
+    if (position < cumulative) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Returns the experiment instructions to add to an AI prompt: the variant's
+ * promptInstructions and a request for one subject line per ai_subject variant.
+ * @param {Experiment|null} experiment - Experiment of the step.
+ * @param {ExperimentVariant|null} variant - Assigned variant.
+ * @returns {string} Prompt addendum, empty when not needed.
+ */
+function buildExperimentPromptAddendum(experiment, variant) {
+  const parts = [];
+  if (variant?.type === VARIANT_TYPES.AI_PROMPT) {
+    parts.push(`**Additional instructions:** ${variant.promptInstructions}`);
+  }
+  const subjectVariants = getSubjectVariants(experiment);
+  if (subjectVariants.length > 0) {
+    parts.push(
+      "**Alternative subject lines:** Also fill 'subjectVariants' with one subject line per key, written in the style described:\n" +
+        subjectVariants.map((v) => `* ${v.id}: ${v.subjectStyle}`).join("\n")
+    );
+  }
+  return parts.length > 0 ? `\n${parts.join("\n\n")}\n` : "";
+}
+
+/**
+ * Lists the ai_subject variants of an experiment.
+ * @param {Experiment|null} experiment - Experiment.
+ * @returns {ExperimentVariant[]}
+ */
+function getSubjectVariants(experiment) {
+  return (experiment?.variants || []).filter(
+    (variant) => variant.type === VARIANT_TYPES.AI_SUBJECT
+  );
+}
+
+/**
+ * Extends an AI response schema with `subjectVariants` when the experiment
+ * tests AI subject lines.
+ * @param {object} schema - Response schema with subject and body.
+ * @param {Experiment|null} experiment - Experiment of the step.
+ * @returns {object} Schema to send.
+ */
+function withSubjectVariants(schema, experiment) {
+  const subjectVariants = getSubjectVariants(experiment);
+  if (subjectVariants.length === 0) return schema;
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      subjectVariants: {
+        type: "object",
+        properties: Object.fromEntries(
+          subjectVariants.map((variant) => [
+            variant.id,
+            { type: "string", description: variant.subjectStyle },
+          ])
+        ),
+        required: subjectVariants.map((variant) => variant.id),
+      },
+    },
+    required: [...schema.required, "subjectVariants"],
+  };
+}
+
+/**
+ * Returns the experiment fields to store with generated AI content, so the
+ * send can tell which variant the content was written for.
+ * @param {Experiment|null} experiment - Experiment of the step.
+ * @param {ExperimentVariant|null} variant - Assigned variant.
+ * @param {object} generated - Parsed AI answer.
+ * @returns {object} { experimentId, promptVariant, subjectVariants } or {}.
+ */
+function getGeneratedExperimentFields(experiment, variant, generated) {
+  if (!experiment) return {};
+  return {
+    experimentId: experiment.id,
+    promptVariant: variant?.type === VARIANT_TYPES.AI_PROMPT ? variant.id : null,
+    subjectVariants: generated.subjectVariants || null,
+  };
+}
+
+/**
+ * Decides what a variant sends.
+ * @param {Experiment} experiment - Experiment of the step.
+ * @param {ExperimentVariant} variant - Assigned variant.
+ * @param {object|null} aiEmailData - AI content the step would send, if any.
+ * @returns {{aiEmailData: object|null, templateSet: object|null}|null} Content to
+ *   send (templateSet set for template variants), or null when the AI content
+ *   was not generated for this variant.
+ */
+function resolveVariantContent(experiment, variant, aiEmailData) {
+  switch (variant.type) {
+    case VARIANT_TYPES.TEMPLATE:
+      return {
+        aiEmailData: null,
+        templateSet:
+          variant.templateIds ||
+          TEMPLATE_IDS[variant.templateType],
+      };
+    case VARIANT_TYPES.AI_PROMPT:
+      return aiEmailData?.experimentId === experiment.id &&
+        aiEmailData.promptVariant === variant.id
+        ? { aiEmailData, templateSet: null }
+        : null;
+    case VARIANT_TYPES.AI_SUBJECT: {
+      const subject = aiEmailData?.subjectVariants?.[variant.id];
+      return subject
+        ? { aiEmailData: { ...aiEmailData, subject }, templateSet: null }
+        : null;
+    }
+    default:
+      return { aiEmailData, templateSet: null };
+  }
+}
+
+/**
+ * Decides what a prospect gets for a sequence step: the content of its
+ * experiment variant, or the step's normal content when the step has no
+ * experiment. Prospects whose variant content is missing (AI generation failed
+ * or ran before the experiment) get the normal content but stay in their
+ * variant, like every prospect of the control, so the variants stay comparable.
+ * @param {Experiment[]} experiments - Result of loadExperiments.
+ * @param {string} sequenceId - Sequence ID.
+ * @param {number} step - Step number, 0 for the initial email.
+ * @param {object} prospectData - Prospect data, with `id`.
+ * @param {object|null} aiEmailData - AI content the step would send, if any.
+ * @returns {{aiEmailData: object|null, templateSet: object|null, experiment: Experiment|null,
+ *   variant: ExperimentVariant|null, fallback: boolean, context: object}} `templateSet` overrides the
+ *   step's templates; `context` ({ experimentId, experimentVariant } or {}) goes
+ *   into the sequence context of prepareSendgridOptions.
+ */
+function resolveExperimentSend(experiments, sequenceId, step, prospectData, aiEmailData) {
+  const experiment = findExperiment(experiments, sequenceId, step);
+  const variant = experiment ? assignVariant(experiment, prospectData.id) : null;
+  if (!variant) {
+    return {
+      aiEmailData,
+      templateSet: null,
+      experiment: null,
+      variant: null,
+      fallback: false,
+      context: {},
+    };
+  }
+  const content = resolveVariantContent(experiment, variant, aiEmailData);
+  return {
+    ...(content || { aiEmailData, templateSet: null }),
+    experiment,
+    variant,
+    fallback: !content,
+    context: { experimentId: experiment.id, experimentVariant: variant.id },
+  };
+}
+
+/**
+ * Returns the experiment entry stored on the prospect after a send.
+ * @param {object} experimentSend - Result of resolveExperimentSend.
+ * @param {object} sentTimestamp - Firestore Timestamp.
+ * @returns {object} Update data, empty outside experiments.
+ */
+function buildExperimentAssignmentUpdate(experimentSend, sentTimestamp) {
+  if (!experimentSend.variant) return {};
+  return {
+    [`experiments.${experimentSend.experiment.id}`]: {
+      variant: experimentSend.variant.id,
+      step: experimentSend.experiment.step,
+      sentTimestamp,
+      // The step's normal content was sent, the variant's was missing
+      fallback: experimentSend.fallback,
+    },
+  };
+}
+
+/**
+ * Returns the fixed sample size per variant of an experiment.
+ * @param {Experiment} experiment - Experiment.
+ * @returns {number}
+ */
+function getSampleSize(experiment) {
+  return experiment.minSamplePerVariant || EXPERIMENT_MIN_SAMPLE_PER_VARIANT;
+}
+
+/**
+ * Counts conversions per variant on the fixed sample, the first sends of each
+ * variant, from the engagement stored on the tested email (`engagement.<email>`):
+ * opens, clicks, and replies to that email whose intent is one of the
+ * experiment's replyIntents (positive replies by default).
+ * @param {Experiment} experiment - Experiment.
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<object>} Per variant ID: { assigned, sent, opened, clicked,
+ *   replied, sampleCompletedAt }. `sent` and the conversions cover the sample only;
+ *   `sampleCompletedAt` (ISO date) is the last sample send, null until the sample is full.
+ */
+async function computeExperimentResults(experiment, db) {
+  const emailKey = experiment.step === 0 ? "initial" : `followup_${experiment.step}`;
+  const sampleSize = getSampleSize(experiment);
+  const replyIntents = experiment.replyIntents || EXPERIMENT_REPLY_INTENTS;
+  const results = {};
+  for (const variant of experiment.variants) {
+    const snapshot = await db
+      .collection("prospects")
+      .where(`experiments.${experiment.id}.variant`, "==", variant.id)
+      .select("experiments", "engagement")
+      .get();
+    const sends = snapshot.docs
+      .map((doc) => {
+        const prospect = doc.data();
+        const engagement = prospect.engagement?.[emailKey] || {};
+        const sentMillis =
+          prospect.experiments[experiment.id].sentTimestamp?.toMillis() ?? 0;
+        return {
+          sentMillis,
+          opened: engagement.opens > 0,
+          clicked: engagement.clicks > 0,
+          replied: (engagement.replyIntents || []).some((intent) =>
+            replyIntents.includes(intent)
+          ),
+        };
+      })
+      .sort((a, b) => a.sentMillis - b.sentMillis);
+    const sample = sends.slice(0, sampleSize);
+    results[variant.id] = {
+      assigned: sends.length,
+      sent: sample.length,
+      opened: sample.filter((send) => send.opened).length,
+      clicked: sample.filter((send) => send.clicked).length,
+      replied: sample.filter((send) => send.replied).length,
+      sampleCompletedAt:
+        sample.length === sampleSize
+          ? new Date(sample[sample.length - 1].sentMillis).toISOString()
+          : null,
+    };
+  }
+  return results;
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26).
+ * @param {number} z - z-score.
+ * @returns {number}
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf =
+    1 -
+    t *
+      (0.254829592 +
+        t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+      Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided p-value of a two-proportion z-test.
+ * @param {number} successesA - Conversions of A.
+ * @param {number} totalA - Sends of A.
+ * @param {number} successesB - Conversions of B.
+ * @param {number} totalB - Sends of B.
+ * @returns {number} p-value, 1 when there is nothing to compare.
+ */
+function twoProportionPValue(successesA, totalA, successesB, totalB) {
+  const pooled = (successesA + successesB) / (totalA + totalB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  if (!standardError) return 1;
+  const z = (successesA / totalA - successesB / totalB) / standardError;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+/**
+ * Returns the control of an experiment: its default variant, else the first one.
+ * @param {Experiment} experiment - Experiment.
+ * @returns {ExperimentVariant}
+ */
+function getControlVariant(experiment) {
+  return (
+    experiment.variants.find((variant) => variant.type === VARIANT_TYPES.DEFAULT) ||
+    experiment.variants[0]
+  );
+}
+
+/**
+ * Decides an experiment, once: when every variant's fixed sample is full and
+ * the observation window after its last send has passed. The best rate wins if
+ * it beats each other variant at the experiment confidence (Bonferroni-corrected
+ * for the number of comparisons), otherwise the control is kept.
+ * @param {Experiment} experiment - Experiment.
+ * @param {object} results - Result of computeExperimentResults.
+ * @param {Date} [now] - Reference time.
+ * @returns {{decided: boolean, winner: string|null, significant: boolean,
+ *   reason: string, rates: object, pValues: object}} `winner` is set when decided.
+ */
+function evaluateExperiment(experiment, results, now = new Date()) {
+  const metric = experiment.metric || "reply";
+  const converted = { open: "opened", click: "clicked", reply: "replied" }[metric];
+  const minSample = getSampleSize(experiment);
+  const observationDays = experiment.observationDays ?? EXPERIMENT_OBSERVATION_DAYS;
+  const alpha =
+    (1 - (experiment.confidence || EXPERIMENT_CONFIDENCE)) /
+    (experiment.variants.length - 1);
+  const rates = Object.fromEntries(
+    Object.entries(results).map(([id, counts]) => [
+      id,
+      counts.sent > 0 ? counts[converted] / counts.sent : 0,
+    ])
+  );
+
+  const undersampled = Object.entries(results)
+    .filter(([, counts]) => counts.sent < minSample)
+    .map(([id]) => id);
+  if (undersampled.length > 0) {
+    return {
+      decided: false,
+      winner: null,
+      significant: false,
+      reason: `Waiting for ${minSample} sends per variant (${undersampled.join(", ")})`,
+      rates,
+      pValues: {},
+    };
+  }
+  const sampleCompletedMillis = Math.max(
+    ...Object.values(results).map((counts) => Date.parse(counts.sampleCompletedAt) || 0)
+  );
+  const decisionAt = new Date(
+    sampleCompletedMillis + observationDays * 24 * 60 * 60 * 1000
+  );
+  if (now < decisionAt) {
+    return {
+      decided: false,
+      winner: null,
+      significant: false,
+      reason: `Sample complete, observing engagement until ${decisionAt.toISOString()}`,
+      rates,
+      pValues: {},
+    };
+  }
+
+  const [best] = Object.keys(rates).sort((a, b) => rates[b] - rates[a]);
+  const pValues = {};
+  for (const id of Object.keys(results)) {
+    if (id === best) continue;
+    pValues[id] = twoProportionPValue(
+      results[best][converted],
+      results[best].sent,
+      results[id][converted],
+      results[id].sent
+    );
+  }
+  const significant = Object.values(pValues).every((pValue) => pValue < alpha);
+  const control = getControlVariant(experiment).id;
+  return {
+    decided: true,
+    winner: significant ? best : control,
+    significant,
+    reason: significant
+      ? `${best} has the best ${metric} rate at p < ${alpha.toFixed(4)}`
+      : `No significant ${metric} difference at ${minSample} sends per variant, keeping ${control}`,
+    rates,
+    pValues,
+  };
+}
+
+/**
+ * Evaluates running experiments and promotes significant winners (the
+ * `experiments` phase). A dry run evaluates without writing.
+ * @param {object} run - Run context (see runHelper.js).
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<object>} Stats: { evaluated, promoted }.
+ */
+async function evaluateRunningExperiments(run, db, logger) {
+  const stats = { evaluated: 0, promoted: 0 };
+  const experiments = (await loadExperiments(db, logger))
+    .filter((experiment) => experiment.status === EXPERIMENT_STATUS.RUNNING)
+    .slice(0, run.limits.experiments);
+
+  for (const experiment of experiments) {
+    const results = await computeExperimentResults(experiment, db);
+    const evaluation = evaluateExperiment(experiment, results, run.now);
+    stats.evaluated++;
+    const update = {
+      results,
+      rates: evaluation.rates,
+      pValues: evaluation.pValues,
+      lastEvaluation: evaluation.reason,
+      lastEvaluatedTimestamp: admin.firestore.Timestamp.now(),
+    };
+    if (evaluation.decided) {
+      if (evaluation.significant) stats.promoted++;
+      Object.assign(update, {
+        status: EXPERIMENT_STATUS.COMPLETED,
+        winner: evaluation.winner,
+        significant: evaluation.significant,
+        completedTimestamp: admin.firestore.Timestamp.now(),
+      });
+      logger.info(`Experiment ${experiment.id}: promoting ${evaluation.winner}. ${evaluation.reason}`);
+    }
+    recordOutcome(
+      run,
+      "experiments",
+      experiment.id,
+      evaluation.decided
+        ? evaluation.significant
+          ? "promote_winner"
+          : "keep_control"
+        : "keep_running",
+      evaluation.reason,
+      { winner: evaluation.winner, results }
+    );
+    if (!run.dryRun) {
+      await db.collection("experiments").doc(experiment.id).update(update);
+    }
+  }
+  return stats;
+}
+
+module.exports = {
+  EXPERIMENT_STATUS,
+  VARIANT_TYPES,
+  validateExperiment,
+  loadExperiments,
+  findExperiment,
+  assignVariant,
+  buildExperimentPromptAddendum,
+  withSubjectVariants,
+  getGeneratedExperimentFields,
+  resolveExperimentSend,
+  buildExperimentAssignmentUpdate,
+  computeExperimentResults,
+  evaluateExperiment,
+  evaluateRunningExperiments,
+};
@@ -0,0 +1,306 @@
+// Prospect export for CRM hand-off and reporting: filters and field presets
+// turned into a paged Firestore query, streamed as CSV or NDJSON rows.
+const admin = require("firebase-admin");
+const { getCountryISO2Code } = require("./config");
+
+const EXPORT_PAGE_SIZE = 500;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+};
+
+// Field lists by preset name, `?fields=` picks any fields instead
+const EXPORT_PRESETS = {
+  crm_handoff: [
+    "id",
+    "firstName",
+    "lastName",
+    "fullName",
+    "email",
+    "workEmail",
+    "jobTitle",
+    "companyName",
+    "companyWebsite",
+    "linkedinUrl",
+    "country",
+    "city",
+    "language",
+    "segment",
+    "outreachStatus",
+    "emailStatus",
+    "sequenceStep",
+    "lastContactedTimestamp",
+    "lastReplyTimestamp",
+    "replyIntent",
+  ],
+  full_enrichment: [
+    "id",
+    "firstName",
+    "lastName",
+    "fullName",
+    "email",
+    "workEmail",
+    "workEmailStatus",
+    "personalEmail",
+    "personal_emails",
+    "headline",
+    "occupation",
+    "jobTitle",
+    "industry",
+    "summary",
+    "country",
+    "city",
+    "location",
+    "linkedinUrl",
+    "companyName",
+    "companyWebsite",
+    "companyLinkedinUrl",
+    "companyIndustry",
+    "companyDescription",
+    "companyLocation",
+    "numberOfEmployees",
+    "skills",
+    "languages",
+    "experiences",
+    "educations",
+    "enrichmentSource",
+    "enrichmentProviders",
+    "enrichmentTimestamp",
+  ],
+  reporting: [
+    "id",
+    "segment",
+    "language",
+    "country",
+    "outreachStatus",
+    "emailStatus",
+    "sequenceId",
+    "sequenceStep",
+    "sequenceExitReason",
+    "enrichmentTimestamp",
+    "lastContactedTimestamp",
+    "lastOpenedTimestamp",
+    "lastClickedTimestamp",
+    "lastReplyTimestamp",
+    "replyIntent",
+    "bounceTimestamp",
+  ],
+};
+
+// Query parameter -> prospect field, comma separated values match any
+const EQUALITY_FILTERS = {
+  outreachStatus: "outreachStatus",
+  emailStatus: "emailStatus",
+  language: "language",
+  segment: "segment",
+};
+
+// Query parameter prefix -> timestamp field, e.g. contactedFrom / contactedTo
+const DATE_FILTERS = {
+  contacted: "lastContactedTimestamp",
+  enriched: "enrichmentTimestamp",
+};
+
+/**
+ * Splits a comma separated query parameter.
+ * @param {string|string[]} value - Raw parameter.
+ * @returns {string[]} Trimmed, non-empty values.
+ */
+function splitParam(value) {
+  return [value]
+    .flat()
+    .filter((part) => typeof part === "string")
+    .flatMap((part) => part.split(","))
+    .map((part) => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Returns the ISO 3166 alpha-2 code for a country name or code.
+ * @param {string} country - 'France', 'Allemagne', 'FR'...
+ * @returns {string|null}
+ */
+function toCountryCode(country) {
+  if (typeof country !== "string" || !country.trim()) return null;
+  return getCountryISO2Code(country);
+}
+
+/**
+ * Parses export query parameters.
+ * @param {object} query - Request query: format, preset, fields, limit, the
+ *   EQUALITY_FILTERS parameters, country, and <prefix>From/<prefix>To for DATE_FILTERS
+ *   (ISO dates, `To` exclusive).
+ * @returns {{options?: object, error?: string}} Options for streamProspectExport.
+ */
+function parseExportQuery(query) {
+  const format = (query.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `Unknown format '${format}' (${Object.keys(EXPORT_FORMATS).join(", ")})` };
+  }
+
+  let fields = splitParam(query.fields);
+  if (fields.length === 0) {
+    const preset = query.preset || "crm_handoff";
+    if (!EXPORT_PRESETS[preset]) {
+      return { error: `Unknown preset '${preset}' (${Object.keys(EXPORT_PRESETS).join(", ")})` };
+    }
+    fields = EXPORT_PRESETS[preset];
+  }
+
+  const equality = {};
+  for (const [param, field] of Object.entries(EQUALITY_FILTERS)) {
+    const values = splitParam(query[param]);
+    if (values.length > 30) return { error: `Too many ${param} values (max 30)` };
+    if (values.length > 0) equality[field] = values;
+  }
+
+  const countryCodes = [];
+  for (const country of splitParam(query.country)) {
+    const code = toCountryCode(country);
+    if (!code) return { error: `Unknown country '${country}'` };
+    countryCodes.push(code);
+  }
+
+  const ranges = {};
+  for (const [prefix, field] of Object.entries(DATE_FILTERS)) {
+    for (const [suffix, bound] of [["From", "from"], ["To", "to"]]) {
+      const value = query[`${prefix}${suffix}`];
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid date for ${prefix}${suffix}: '${value}'` };
+      }
+      ranges[field] = { ...ranges[field], [bound]: date };
+    }
+  }
+
+  const limit = query.limit ? parseInt(query.limit, 10) : null;
+  if (query.limit && !(limit > 0)) return { error: `Invalid limit '${query.limit}'` };
+
+  return { options: { format, fields, equality, countryCodes, ranges, limit } };
+}
+
+/**
+ * Builds the Firestore query for the export filters. Country is matched in
+ * memory since prospects store it as a name in either language or as a code.
+ * Combined filters may need a composite index; Firestore's error links to it.
+ * @param {object} db - Firestore instance.
+ * @param {object} options - See parseExportQuery.
+ * @returns {object} Firestore query.
+ */
+function buildExportQuery(db, options) {
+  let query = db.collection("prospects");
+  for (const [field, values] of Object.entries(options.equality)) {
+    query =
+      values.length === 1
+        ? query.where(field, "==", values[0])
+        : query.where(field, "in", values);
+  }
+  for (const [field, range] of Object.entries(options.ranges)) {
+    if (range.from) {
+      query = query.where(field, ">=", admin.firestore.Timestamp.fromDate(range.from));
+    }
+    if (range.to) {
+      query = query.where(field, "<", admin.firestore.Timestamp.fromDate(range.to));
+    }
+  }
+  return query;
+}
+
+/**
+ * Converts a Firestore value for export: Timestamps become ISO strings.
+ * @param {*} value - Field value.
+ * @returns {*}
+ */
+function toExportValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toExportValue);
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, nested]) => [key, toExportValue(nested)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Formats a CSV cell. Objects and arrays are JSON. Text starting like a
+ * formula is prefixed with a quote so spreadsheets do not evaluate it.
+ * @param {*} value - Export value.
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  if (value === null) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Streams matching prospects to an HTTP response, one Firestore page at a
+ * time. The first page is read before headers are sent so that query errors
+ * (e.g. a missing index) can still become an error response.
+ * @param {object} res - HTTP response.
+ * @param {object} options - See parseExportQuery.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<number>} Rows written.
+ */
+async function streamProspectExport(res, options, db, logger) {
+  const query = buildExportQuery(db, options);
+  const format = EXPORT_FORMATS[options.format];
+  const countryCodes = new Set(options.countryCodes);
+  let rows = 0;
+  let lastDoc = null;
+  let headersSent = false;
+
+  while (options.limit === null || rows < options.limit) {
+    let page = query.limit(EXPORT_PAGE_SIZE);
+    if (lastDoc) page = page.startAfter(lastDoc);
+    const snapshot = await page.get();
+
+    if (!headersSent) {
+      const date = new Date().toISOString().slice(0, 10);
+      res.set("Content-Type", format.contentType);
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="prospects-${date}.${format.extension}"`
+      );
+      res.status(200);
+      if (options.format === "csv") res.write(options.fields.map(toCsvCell).join(",") + "\r\n");
+      headersSent = true;
+    }
+
+    for (const doc of snapshot.docs) {
+      const prospect = { id: doc.id, ...doc.data() };
+      if (countryCodes.size > 0 && !countryCodes.has(toCountryCode(prospect.country))) {
+        continue;
+      }
+      const values = options.fields.map((field) => toExportValue(prospect[field]));
+      res.write(
+        options.format === "csv"
+          ? values.map(toCsvCell).join(",") + "\r\n"
+          : JSON.stringify(
+              Object.fromEntries(options.fields.map((field, i) => [field, values[i]]))
+            ) + "\n"
+      );
+      rows++;
+      if (rows === options.limit) break;
+    }
+
+    if (snapshot.size < EXPORT_PAGE_SIZE) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  res.end();
+  logger.info(`Exported ${rows} prospects as ${options.format}.`);
+  return rows;
+}
+
+module.exports = {
+  EXPORT_PRESETS,
+  parseExportQuery,
+  streamProspectExport,
+};
@@ -1,4 +1,5 @@
 const admin = require('firebase-admin');
+const { PROSPECT_LEASE_MINUTES } = require('./config');
 
 // Initialize Firestore (do this once in index.js ideally)
 // admin.initializeApp();
@@ -10,13 +11,18 @@ const admin = require('firebase-admin');
  * @param {object} updateData - Data to update.
  * @param {object} db - Firestore instance.
  * @param {object} logger - Logger instance.
+ * @param {object} [options] - { dryRun }: when true the write is skipped (a run context can be passed as-is).
  * @returns {Promise<void>}
  */
-async function updateProspect(prospectId, updateData, db, logger) {
+async function updateProspect(prospectId, updateData, db, logger, options = {}) {
     if (!prospectId || !updateData || Object.keys(updateData).length === 0) {
         logger.warn('Attempted to update prospect with invalid ID or empty data.');
         return;
     }
+    if (options.dryRun) {
+        logger.debug(`Dry run: not updating prospect ${prospectId}.`);
+        return;
+    }
     const prospectRef = db.collection('prospects').doc(prospectId);
     try {
         await prospectRef.update({
@@ -30,4 +36,119 @@ async function updateProspect(prospectId, updateData, db, logger) {
     }
 }
 
-module.exports = { updateProspect };
\ No newline at end of file
+/**
+ * Returns why a prospect cannot be claimed, or null if it can.
+ * @param {object} doc - Prospect document snapshot.
+ * @param {object} run - Run context (see runHelper.js).
+ * @param {Function} isEligible - Checks the current prospect data is still eligible for the phase.
+ * @param {object} now - Firestore Timestamp.
+ * @returns {string|null}
+ */
+function getClaimRejection(doc, run, isEligible, now) {
+    if (!doc.exists) return 'Prospect no longer exists';
+    const lease = doc.data().lease;
+    if (lease && lease.runId !== run.id && lease.expiresAt > now) {
+        return `Claimed by run ${lease.runId} (${lease.phase})`;
+    }
+    if (!isEligible({ id: doc.id, ...doc.data() })) {
+        return 'No longer eligible (updated by another run)';
+    }
+    return null;
+}
+
+/**
+ * Claims a prospect for one phase of a run, so overlapping runs never process it twice.
+ * The claim is a `lease` field ({ runId, phase, expiresAt }) set in a transaction after
+ * re-reading the prospect; leases of crashed runs simply expire.
+ * In a dry run the prospect is only checked, not claimed.
+ * @param {string} prospectId - Document ID.
+ * @param {object} run - Run context (see runHelper.js).
+ * @param {string} phase - Pipeline phase claiming the prospect.
+ * @param {Function} isEligible - Receives the fresh prospect data, returns false if another
+ *   run already handled it (e.g. status changed).
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<{claimed: boolean, prospectData?: object, reason?: string}>}
+ */
+async function claimProspect(prospectId, run, phase, isEligible, db, logger) {
+    const prospectRef = db.collection('prospects').doc(prospectId);
+    const now = admin.firestore.Timestamp.now();
+
+    try {
+        if (run.dryRun) {
+            const doc = await prospectRef.get();
+            const reason = getClaimRejection(doc, run, isEligible, now);
+            return reason
+                ? { claimed: false, reason }
+                : { claimed: true, prospectData: { id: doc.id, ...doc.data() } };
+        }
+
+        return await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(prospectRef);
+            const reason = getClaimRejection(doc, run, isEligible, now);
+            if (reason) return { claimed: false, reason };
+
+            const lease = {
+                runId: run.id,
+                phase,
+                claimedTimestamp: now,
+                expiresAt: admin.firestore.Timestamp.fromMillis(
+                    now.toMillis() + PROSPECT_LEASE_MINUTES * 60 * 1000
+                ),
+            };
+            transaction.update(prospectRef, { lease });
+            return { claimed: true, prospectData: { id: doc.id, ...doc.data(), lease } };
+        });
+    } catch (error) {
+        logger.error(`Error claiming prospect ${prospectId}:`, error);
+        return { claimed: false, reason: `Claim failed: ${error.message}` };
+    }
+}
+
+/**
+ * Releases a claim made by claimProspect. Only the owning run's lease is removed;
+ * errors are logged since an unreleased lease expires anyway.
+ * @param {string} prospectId - Document ID.
+ * @param {object} run - Run context (see runHelper.js).
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<void>}
+ */
+async function releaseProspect(prospectId, run, db, logger) {
+    if (run.dryRun) return;
+    const prospectRef = db.collection('prospects').doc(prospectId);
+    try {
+        await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(prospectRef);
+            if (doc.exists && doc.data().lease?.runId === run.id) {
+                transaction.update(prospectRef, {
+                    lease: admin.firestore.FieldValue.delete(),
+                });
+            }
+        });
+    } catch (error) {
+        logger.error(`Error releasing lease on prospect ${prospectId}:`, error);
+    }
+}
+
+/**
+ * Iterates over the documents of a query page by page, so phases that skip
+ * documents (send windows, backoff) reach the ones further down instead of
+ * fetching the same first page every run. Stop iterating to stop fetching.
+ * @param {object} query - Firestore query, without limit.
+ * @param {number} pageSize - Documents per page.
+ * @returns {AsyncGenerator<object>} Document snapshots.
+ */
+async function* paginateQuery(query, pageSize) {
+    let lastDoc = null;
+    while (true) {
+        let page = query.limit(pageSize);
+        if (lastDoc) page = page.startAfter(lastDoc);
+        const snapshot = await page.get();
+        yield* snapshot.docs;
+        if (snapshot.size < pageSize) return;
+        lastDoc = snapshot.docs[snapshot.size - 1];
+    }
+}
+
+module.exports = { updateProspect, claimProspect, releaseProspect, paginateQuery };
\ No newline at end of file
@@ -0,0 +1,152 @@
+// AI follow-up emails: a short bump per sequence step that builds on the earlier
+// emails of the thread and their engagement. Generated when the step is due and
+// stored under `aiFollowupEmails.<step>`, so retries resend the same text.
+const { BOOKING_PAGE_URL } = require("./config");
+const { getExpectedLanguage, generateCheckedEmail } = require("./aiQualityHelper");
+const {
+  buildExperimentPromptAddendum,
+  withSubjectVariants,
+  getGeneratedExperimentFields,
+} = require("./experimentHelper");
+
+const followupOutputSchema = {
+  type: "object",
+  properties: {
+    subject: {
+      type: "string",
+      description:
+        "Short subject line of its own, without a 'Re:' or 'Fwd:' prefix (the follow-up is sent as a new email).",
+    },
+    body: {
+      type: "string",
+      description:
+        'Short follow-up body (2-4 sentences), no greeting (like "Hi [Name],") and no sign-off (like "Best regards,").',
+    },
+  },
+  required: ["subject", "body"],
+};
+
+/**
+ * Summarizes the opens and clicks of one email, see `engagement` in sendgridEventsHelper.js.
+ * @param {object} [engagement] - Engagement of the email.
+ * @returns {string}
+ */
+function describeEngagement(engagement) {
+  const opens = engagement?.opens || 0;
+  const clicks = engagement?.clicks || 0;
+  if (clicks > 0) return `opened ${opens} time(s), link clicked ${clicks} time(s)`;
+  if (opens > 0) return `opened ${opens} time(s), no click`;
+  return "no open or click recorded";
+}
+
+/**
+ * Lists the emails sent before a follow-up step, oldest first.
+ * @param {object} prospectData - Prospect data.
+ * @param {number} stepNumber - Follow-up step about to be sent (1 = first follow-up).
+ * @returns {Array<{step: number, subject: string|null, body: string|null, engagement: string}>}
+ *   subject/body are null for template emails.
+ */
+function getPreviousEmails(prospectData, stepNumber) {
+  const emails = [];
+  for (let step = 0; step < stepNumber; step++) {
+    const content =
+      step === 0
+        ? prospectData.aiInitialEmail
+        : prospectData.aiFollowupEmails?.[step];
+    emails.push({
+      step,
+      subject: content?.subject || null,
+      body: content?.body || null,
+      engagement: describeEngagement(
+        prospectData.engagement?.[step === 0 ? "initial" : `followup_${step}`]
+      ),
+    });
+  }
+  return emails;
+}
+
+/**
+ * Builds the follow-up prompt.
+ * @param {object} prospectData - Prospect data.
+ * @param {number} stepNumber - Follow-up step (1 = first follow-up).
+ * @param {number} totalSteps - Follow-ups in the prospect's sequence.
+ * @returns {string} Prompt text.
+ */
+function buildFollowupPrompt(prospectData, stepNumber, totalSteps) {
+  const language = getExpectedLanguage(prospectData) || "English";
+  const previousEmails = getPreviousEmails(prospectData, stepNumber)
+    .map((email) =>
+      [
+        `### ${email.step === 0 ? "Initial email" : `Follow-up ${email.step}`} (${email.engagement})`,
+        email.body
+          ? `Subject: ${email.subject}\n${email.body}`
+          : "(Standard template email, content not available)",
+      ].join("\n")
+    )
+    .join("\n\n");
+  const isLastStep = stepNumber >= totalSteps;
+
+  return `**Role:** You are an expert B2B copywriter writing follow-ups to a cold email thread for ProRecruit.tech, an AI-powered recruitment platform (CV analysis and ranking, psychoanalytical assessments, bias elimination, automated candidate notifications, centralized candidate management, tailored technical assessments).
+
+**Goal:** Write follow-up ${stepNumber} of ${totalSteps} to ${prospectData.firstName || "the contact"} (${prospectData.jobTitle || "hiring professional"} at ${prospectData.companyName || prospectData.company || "their company"}, ${prospectData.country || "country unknown"}) in ${language}. Return ONLY the JSON object matching the requested schema.
+
+**Earlier emails in this thread, oldest first, with engagement:**
+${previousEmails}
+
+**Instructions:**
+1.  **Short bump:** 2-4 sentences. Refer back to the earlier email naturally; do not repeat its pitch, arguments or phrasing, and do not reuse an angle already used in a previous follow-up. Bring one new, concrete angle or benefit.
+2.  **Engagement:** If the earlier emails were opened or clicked without a reply, acknowledge interest subtly (never mention tracking). If nothing was opened, make the subject and first sentence stand on their own.
+3.  **Call to action:** One low-friction question${isLastStep ? "; this is the last follow-up, so close the loop politely and leave the door open" : ""}. The booking page ${BOOKING_PAGE_URL} may be offered. No other links.
+4.  **Tone:** Same formality as the thread (French: formal 'vous'). Respectful, helpful, not pushy. No guilt-tripping ("just bumping this", "did you see my email").
+5.  **Format:** A short subject of its own that fits the thread; never prefix it with "Re:" or "Fwd:", the follow-up is sent as a new email, not a reply. NO GREETING and NO SIGN-OFF in the body, they are added automatically.
+`;
+}
+
+/**
+ * Generates the follow-up for a step.
+ * @param {object} generativeModel - Model from getGenerativeModel.
+ * @param {object} prospectData - Prospect data.
+ * @param {number} stepNumber - Follow-up step (1 = first follow-up).
+ * @param {number} totalSteps - Follow-ups in the prospect's sequence.
+ * @param {object|null} [experiment] - A/B experiment of the step (see experimentHelper.js).
+ * @param {object|null} [variant] - Variant assigned to the prospect.
+ * @returns {Promise<object>} { subject, body, modelUsed, usageMetaData } plus the
+ *   experiment fields, ready to store.
+ * @throws {Error} If the model fails or the follow-up fails the quality checks
+ *   (see aiQualityHelper.js) on every attempt.
+ */
+async function generateFollowupEmail(
+  generativeModel,
+  prospectData,
+  stepNumber,
+  totalSteps,
+  experiment = null,
+  variant = null
+) {
+  const { data, aggregatedResponse, attempts, reasons } = await generateCheckedEmail(
+    generativeModel,
+    buildFollowupPrompt(prospectData, stepNumber, totalSteps) +
+      buildExperimentPromptAddendum(experiment, variant),
+    withSubjectVariants(followupOutputSchema, experiment),
+    prospectData,
+    { kind: "followup" }
+  );
+  if (!data) {
+    throw new Error(
+      `AI follow-up failed the quality checks after ${attempts} attempt(s): ${reasons.join("; ")}`
+    );
+  }
+  return {
+    subject: data.subject.trim(),
+    body: data.body.trim(),
+    modelUsed: aggregatedResponse.modelVersion || null,
+    generationAttempts: attempts,
+    usageMetaData: aggregatedResponse.usageMetadata || null,
+    ...getGeneratedExperimentFields(experiment, variant, data),
+  };
+}
+
+module.exports = {
+  buildFollowupPrompt,
+  generateFollowupEmail,
+};
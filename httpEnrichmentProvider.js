@@ -0,0 +1,162 @@
+const axios = require("axios");
+
+/**
+ * Generic HTTP enrichment provider, configured with JSON instead of code.
+ * Each lookup is optional; a provider may only implement `workEmail`, for example.
+ *
+ * Example ENRICHMENT_HTTP_PROVIDERS value (a JSON array):
+ * [{
+ *   "name": "acme",
+ *   "apiKeyEnv": "ACME_API_KEY",              // env var holding the key
+ *   "authHeader": "Authorization",            // default 'Authorization'
+ *   "authPrefix": "Bearer ",                  // default 'Bearer '
+ *   "timeoutMs": 30000,
+ *   "profile": {
+ *     "url": "https://api.acme.com/person",
+ *     "method": "GET",                        // GET sends params as query, POST as JSON body
+ *     "params": { "linkedin": "{linkedinUrl}" },
+ *     "fields": { "firstName": "person.first_name", "companyName": "company.name" }
+ *   },
+ *   "workEmail": {
+ *     "url": "https://api.acme.com/email",
+ *     "params": { "first": "{firstName}", "last": "{lastName}", "domain": "{companyDomain}" },
+ *     "emailPath": "data.email",
+ *     "statusPath": "data.status",
+ *     "verifiedValues": ["valid", "verified"]
+ *   },
+ *   "personalEmail": {
+ *     "url": "https://api.acme.com/personal",
+ *     "params": { "linkedin": "{linkedinUrl}" },
+ *     "emailsPath": "emails"
+ *   }
+ * }]
+ *
+ * `{placeholders}` are replaced with prospect fields, plus `linkedinUrl` and
+ * `companyDomain`. HTTP 404 or an empty mapped profile means "not found".
+ * Only the raw responses are cached, so mapping changes apply to cached data.
+ */
+
+/**
+ * Reads a dotted path ('a.b.0.c') from an object.
+ * @param {object} data - Response body.
+ * @param {string} path - Dotted path.
+ * @returns {*} Value or undefined.
+ */
+function getPath(data, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Replaces `{field}` placeholders in request params.
+ * @param {object} params - Configured params.
+ * @param {object} values - Prospect fields plus linkedinUrl and companyDomain.
+ * @returns {object} Params with values filled in, empty ones dropped.
+ */
+function fillParams(params = {}, values) {
+  const filled = {};
+  for (const [key, template] of Object.entries(params)) {
+    const value =
+      typeof template === "string"
+        ? template.replace(/\{(\w+)\}/g, (match, field) => values[field] ?? "")
+        : template;
+    if (value !== "") filled[key] = value;
+  }
+  return filled;
+}
+
+/**
+ * Creates a provider from its JSON configuration.
+ * @param {object} config - Provider configuration (see the example above).
+ * @returns {import("./enrichmentHelper").EnrichmentProvider}
+ * @throws {Error} If the configuration has no name.
+ */
+function createHttpEnrichmentProvider(config) {
+  if (!config?.name) {
+    throw new Error("HTTP enrichment provider configuration needs a name.");
+  }
+
+  const request = async (lookup, prospectData, linkedinUrl) => {
+    const headers = { ...(lookup.headers || config.headers) };
+    const apiKey = config.apiKeyEnv ? process.env[config.apiKeyEnv] : null;
+    if (apiKey) {
+      headers[config.authHeader || "Authorization"] = `${
+        config.authPrefix ?? "Bearer "
+      }${apiKey}`;
+    }
+    const params = fillParams(lookup.params, {
+      ...prospectData,
+      linkedinUrl,
+      companyDomain: prospectData.companyDomain || prospectData.hsEmailDomain,
+    });
+    const method = (lookup.method || "GET").toUpperCase();
+    const response = await axios.request({
+      url: lookup.url,
+      method,
+      headers,
+      ...(method === "GET" ? { params } : { data: params }),
+      timeout: lookup.timeoutMs || config.timeoutMs || 30000,
+    });
+    return response.data;
+  };
+
+  const provider = {
+    name: config.name,
+    isConfigured() {
+      return !config.apiKeyEnv || !!process.env[config.apiKeyEnv];
+    },
+  };
+
+  if (config.profile) {
+    provider.fetchProfile = async (prospectData, linkedinUrl) => {
+      try {
+        return await request(config.profile, prospectData, linkedinUrl);
+      } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+      }
+    };
+    provider.mapProfile = (data) => {
+      const fields = {};
+      for (const [field, path] of Object.entries(config.profile.fields || {})) {
+        const value = data == null ? undefined : getPath(data, path);
+        if (value != null && value !== "") fields[field] = value;
+      }
+      return { found: Object.keys(fields).length > 0, fields };
+    };
+  }
+
+  if (config.workEmail) {
+    provider.fetchWorkEmail = (prospectData, linkedinUrl) =>
+      request(config.workEmail, prospectData, linkedinUrl);
+    provider.mapWorkEmail = (data) => {
+      const email = getPath(data || {}, config.workEmail.emailPath || "email") || "";
+      const status = config.workEmail.statusPath
+        ? getPath(data || {}, config.workEmail.statusPath)
+        : undefined;
+      // Without a status path every returned address counts as verified
+      const verified =
+        !!email &&
+        (!config.workEmail.statusPath ||
+          (config.workEmail.verifiedValues || ["verified"]).includes(status));
+      return { email, verified, pending: false, status };
+    };
+  }
+
+  if (config.personalEmail) {
+    provider.fetchPersonalEmails = (prospectData, linkedinUrl) =>
+      request(config.personalEmail, prospectData, linkedinUrl);
+    provider.mapPersonalEmails = (data) => {
+      const emails = getPath(data || {}, config.personalEmail.emailsPath || "emails");
+      return {
+        emails: Array.isArray(emails) ? emails.filter(Boolean) : [],
+        invalidEmails: [],
+      };
+    };
+  }
+
+  return provider;
+}
+
+module.exports = { createHttpEnrichmentProvider };
@@ -0,0 +1,293 @@
+// Bulk prospect import: CSV or JSON rows (our schema, Sales Navigator or
+// HubSpot exports) normalized, deduplicated against existing prospects and
+// written so the right pipeline phase picks them up.
+const admin = require("firebase-admin");
+const { parse } = require("csv-parse/sync");
+const { EMAIL_STATUS, OUTREACH_STATUS } = require("./config");
+const {
+  normalizeLinkedinUrl,
+  isLinkedinProfileUrl,
+  findProspectsByLinkedinUrl,
+} = require("./proxycurlHelper");
+
+// Keeps one upload within a Cloud Function timeout, rows are checked one by one
+const MAX_IMPORT_ROWS = 1000;
+
+const IMPORT_ACTIONS = {
+  ACCEPTED: "accepted",
+  MERGED: "merged",
+  REJECTED: "rejected",
+};
+
+// Prospect field by column header, headers compared lowercase without
+// spaces/punctuation ('First Name', 'first_name' -> 'firstname')
+const COLUMN_ALIASES = {
+  linkedinUrl: ["linkedinurl", "linkedin", "linkedinprofile", "linkedinprofileurl", "profileurl", "personlinkedinurl", "publicprofileurl"],
+  email: ["email", "emailaddress", "workemail", "businessemail"],
+  firstName: ["firstname", "prenom"],
+  lastName: ["lastname", "nom"],
+  fullName: ["fullname", "name"],
+  jobTitle: ["jobtitle", "title", "position", "currenttitle"],
+  companyName: ["companyname", "company", "currentcompany", "accountname"],
+  companyWebsite: ["companywebsite", "website", "companydomainname", "companydomain"],
+  country: ["country", "countryregion", "pays"],
+  city: ["city", "ville"],
+  location: ["location", "geography"],
+  language: ["language", "preferredlanguage", "langue"],
+  segment: ["segment"],
+  campaign: ["campaign"],
+};
+
+const FIELD_BY_HEADER = new Map(
+  Object.entries(COLUMN_ALIASES).flatMap(([field, aliases]) =>
+    aliases.map((alias) => [alias, field])
+  )
+);
+
+/**
+ * Parses an uploaded prospect file body.
+ * @param {string|Buffer|object[]} body - CSV text or already parsed JSON array.
+ * @returns {object[]} Rows.
+ * @throws {Error} If the body is neither CSV text nor a JSON array.
+ */
+function parseProspectUpload(body) {
+  if (Array.isArray(body)) return body;
+  if (typeof body !== "string" && !Buffer.isBuffer(body)) {
+    throw new Error("Body must be CSV text or a JSON array of rows");
+  }
+  return parse(body.toString(), {
+    columns: true,
+    skip_empty_lines: true,
+    bom: true,
+    trim: true,
+  });
+}
+
+/**
+ * Normalizes an email address, null if it does not look like one.
+ * @param {string} value - Raw value ('mailto:' prefixes allowed).
+ * @returns {string|null}
+ */
+function normalizeEmail(value) {
+  if (typeof value !== "string") return null;
+  const email = value.trim().replace(/^mailto:/i, "").toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+}
+
+/**
+ * Maps a row's columns to prospect fields and normalizes them.
+ * @param {object} row - Parsed row.
+ * @returns {{fields: object, error?: string}} Fields with `email`/`linkedinUrl`
+ *   normalized, or an error when the row cannot become a prospect.
+ */
+function normalizeProspectRow(row) {
+  const fields = {};
+  for (const [header, value] of Object.entries(row || {})) {
+    const field = FIELD_BY_HEADER.get(header.toLowerCase().replace(/[^a-z0-9]/g, ""));
+    const text = typeof value === "string" ? value.trim() : value;
+    // First matching column wins, e.g. 'LinkedIn URL' before 'Profile URL'
+    if (field && text && fields[field] === undefined) fields[field] = text;
+  }
+
+  if (fields.email !== undefined) {
+    const email = normalizeEmail(fields.email);
+    if (!email) return { fields, error: `Invalid email '${fields.email}'` };
+    fields.email = email;
+  }
+  if (fields.linkedinUrl !== undefined) {
+    const linkedinUrl = normalizeLinkedinUrl(String(fields.linkedinUrl));
+    if (!linkedinUrl) {
+      return { fields, error: `Invalid LinkedIn URL '${fields.linkedinUrl}'` };
+    }
+    fields.linkedinUrl = linkedinUrl;
+  }
+  if (!fields.email && !isLinkedinProfileUrl(fields.linkedinUrl)) {
+    return { fields, error: "No email or public LinkedIn profile URL" };
+  }
+  if (!fields.fullName && (fields.firstName || fields.lastName)) {
+    fields.fullName = [fields.firstName, fields.lastName].filter(Boolean).join(" ");
+  }
+  return { fields };
+}
+
+/**
+ * Returns the document ID of a new prospect: its email, as elsewhere, or
+ * `linkedin:<slug>` for LinkedIn-only rows.
+ * @param {object} fields - Normalized fields.
+ * @returns {string}
+ */
+function getNewProspectId(fields) {
+  if (fields.email) return fields.email;
+  return `linkedin:${fields.linkedinUrl.split("/in/")[1]}`;
+}
+
+/**
+ * Finds existing prospects matching a row by document ID, email or LinkedIn URL.
+ * @param {object} fields - Normalized fields.
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<object[]>} Matching document snapshots.
+ */
+async function findExistingProspects(fields, db) {
+  const prospects = db.collection("prospects");
+  const docsById = new Map();
+  const idDoc = await prospects.doc(getNewProspectId(fields)).get();
+  if (idDoc.exists) docsById.set(idDoc.id, idDoc);
+  if (fields.email) {
+    for (const field of ["email", "workEmail"]) {
+      const snapshot = await prospects.where(field, "==", fields.email).limit(5).get();
+      snapshot.docs.forEach((doc) => docsById.set(doc.id, doc));
+    }
+  }
+  if (isLinkedinProfileUrl(fields.linkedinUrl)) {
+    const docs = await findProspectsByLinkedinUrl(fields.linkedinUrl, db);
+    docs.forEach((doc) => docsById.set(doc.id, doc));
+  }
+  return [...docsById.values()];
+}
+
+/**
+ * Builds a new prospect. Rows with a public LinkedIn profile go to enrichment;
+ * email-only rows skip it and wait for the AI and initial email phases.
+ * @param {object} fields - Normalized fields.
+ * @param {string} source - Import source.
+ * @param {object} now - Firestore Timestamp.
+ * @returns {object} Prospect document.
+ */
+function buildNewProspect(fields, source, now) {
+  const linkedinUrlFound = isLinkedinProfileUrl(fields.linkedinUrl);
+  return {
+    ...fields,
+    linkedinUrlFound,
+    enrichmentSuccess: !linkedinUrlFound,
+    ...(linkedinUrlFound
+      ? {}
+      : { enrichmentSkipped: true, enrichmentTimestamp: now }),
+    emailStatus: EMAIL_STATUS.PENDING,
+    outreachStatus: OUTREACH_STATUS.PENDING_UPLOAD,
+    importSource: source,
+    importedTimestamp: now,
+    lastModifiedTimestamp: now,
+  };
+}
+
+/**
+ * Builds the update merging a row into an existing prospect: only empty fields
+ * are filled, statuses and enriched data are never overwritten. A profile URL
+ * makes a not yet enriched prospect eligible for enrichment.
+ * @param {object} existing - Existing prospect data.
+ * @param {object} fields - Normalized fields.
+ * @returns {object} Update, empty when the row adds nothing.
+ */
+function buildMergeUpdate(existing, fields) {
+  const update = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (field === "linkedinUrl") continue;
+    if (existing[field] === undefined || existing[field] === null || existing[field] === "") {
+      update[field] = value;
+    }
+  }
+  if (
+    isLinkedinProfileUrl(fields.linkedinUrl) &&
+    existing.linkedinUrlFound !== true &&
+    existing.enrichmentSuccess !== true
+  ) {
+    update.linkedinUrl = fields.linkedinUrl;
+    update.linkedinUrlFound = true;
+  }
+  return update;
+}
+
+/**
+ * Imports parsed rows. Every row gets a report entry:
+ * - accepted: new prospect created,
+ * - merged: matched an existing prospect (or several, see `duplicates`), empty fields filled,
+ * - rejected: invalid row or duplicate of an earlier row of the same upload.
+ * @param {object[]} rows - Parsed rows, at most MAX_IMPORT_ROWS.
+ * @param {object} options - { source, dryRun }: a dry run only builds the report.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<{summary: object, rows: object[]}>}
+ */
+async function importProspects(rows, options, db, logger) {
+  const source = options.source || "manual_import";
+  const now = admin.firestore.Timestamp.now();
+  const report = [];
+  const seenKeys = new Map(); // email or LinkedIn URL -> row number
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = index + 1;
+    const { fields, error } = normalizeProspectRow(row);
+    if (error) {
+      report.push({ row: rowNumber, action: IMPORT_ACTIONS.REJECTED, reason: error });
+      continue;
+    }
+    const keys = [fields.email, fields.linkedinUrl].filter(Boolean);
+    const duplicateOf = keys.map((key) => seenKeys.get(key)).find(Boolean);
+    if (duplicateOf) {
+      report.push({
+        row: rowNumber,
+        action: IMPORT_ACTIONS.REJECTED,
+        reason: `Duplicate of row ${duplicateOf} in this upload`,
+      });
+      continue;
+    }
+    keys.forEach((key) => seenKeys.set(key, rowNumber));
+
+    try {
+      const existingDocs = await findExistingProspects(fields, db);
+      if (existingDocs.length > 0) {
+        const [target, ...others] = existingDocs;
+        const update = buildMergeUpdate(target.data(), fields);
+        if (!options.dryRun && Object.keys(update).length > 0) {
+          await target.ref.update({ ...update, lastModifiedTimestamp: now });
+        }
+        report.push({
+          row: rowNumber,
+          action: IMPORT_ACTIONS.MERGED,
+          prospectId: target.id,
+          fieldsAdded: Object.keys(update),
+          ...(others.length > 0 && { duplicates: others.map((doc) => doc.id) }),
+        });
+        continue;
+      }
+
+      const prospectId = getNewProspectId(fields);
+      if (!options.dryRun) {
+        await db
+          .collection("prospects")
+          .doc(prospectId)
+          .set(buildNewProspect(fields, source, now));
+      }
+      report.push({
+        row: rowNumber,
+        action: IMPORT_ACTIONS.ACCEPTED,
+        prospectId,
+        nextPhase: isLinkedinProfileUrl(fields.linkedinUrl) ? "enrichment" : "initial",
+      });
+    } catch (rowError) {
+      logger.error(`Failed to import row ${rowNumber}:`, rowError);
+      report.push({
+        row: rowNumber,
+        action: IMPORT_ACTIONS.REJECTED,
+        reason: `Write failed: ${rowError.message}`,
+      });
+    }
+  }
+
+  const summary = Object.fromEntries(
+    Object.values(IMPORT_ACTIONS).map((action) => [
+      action,
+      report.filter((entry) => entry.action === action).length,
+    ])
+  );
+  logger.info(
+    `Prospect import (${source}${options.dryRun ? ", dry run" : ""}): ${JSON.stringify(summary)}`
+  );
+  return { summary, rows: report };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseProspectUpload,
+  importProspects,
+};
@@ -1,20 +1,134 @@
 const functions = require("@google-cloud/functions-framework");
 const admin = require("firebase-admin");
 const { logger } = require("firebase-functions");
-const { enrichProspectWithProxycurl } = require("./proxycurlHelper");
-const { updateProspect } = require("./firestoreHelper");
-const { sendEmail } = require("./sendgridHelper");
+const {
+  normalizeLinkedinUrl,
+  handleWorkEmailCallback,
+} = require("./proxycurlHelper");
+const {
+  enrichProspect,
+  getProviderChain,
+  remapProspectFromCache,
+  buildEnrichmentRetryUpdate,
+  isEnrichmentDue,
+  getReenrichmentCutoff,
+  isEnrichmentStale,
+} = require("./enrichmentHelper");
+const {
+  updateProspect,
+  claimProspect,
+  releaseProspect,
+  paginateQuery,
+} = require("./firestoreHelper");
+const { sendEmail, sendRawEmail } = require("./sendgridHelper");
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  verifyEventWebhookSignature,
+  processSendgridEvents,
+} = require("./sendgridEventsHelper");
+const {
+  parseInboundParseForm,
+  buildReplyFromFields,
+  findProspectForReply,
+  classifyReply,
+  buildReplyUpdate,
+  REPLY_INTENTS,
+} = require("./replyHelper");
+const {
+  loadSequences,
+  selectSequence,
+  getProspectSequencePosition,
+  getSequenceExitReason,
+  getSequenceStatuses,
+  getFollowupStatus,
+  resolveStepTemplateId,
+} = require("./sequenceHelper");
+const {
+  getLeadIdForProspect,
+  moveProspectToLead,
+  moveLeadToProspects,
+} = require("./leadsHelper");
+const {
+  checkSuppression,
+  buildSuppressionEntries,
+  parseSuppressionUpload,
+  saveSuppressions,
+} = require("./suppressionHelper");
+const {
+  MAX_IMPORT_ROWS,
+  parseProspectUpload,
+  importProspects,
+} = require("./importHelper");
+const { parseExportQuery, streamProspectExport } = require("./exportHelper");
+const {
+  CRM_SYNC_EVENTS,
+  queueCrmSync,
+  processCrmSyncQueue,
+} = require("./crmSyncHelper");
+const { isWithinSendWindow } = require("./sendWindowHelper");
+const { getCreditBudget } = require("./creditBudgetHelper");
+const { VERDICTS, getEmailValidation } = require("./emailValidationHelper");
+const {
+  resolveRecipient,
+  resolveFollowupRecipient,
+} = require("./recipientHelper");
+const {
+  LEDGER_ID_ARG,
+  reserveSend,
+  confirmSend,
+  failSend,
+} = require("./sendLedgerHelper");
+const {
+  parsePhases,
+  parseLimitOverrides,
+  createRun,
+  recordOutcome,
+  recordError,
+  buildRunReport,
+  saveRunReport,
+  listRuns,
+  getRun,
+} = require("./runHelper");
 const { VertexAI } = require("@google-cloud/vertexai"); // Import Vertex AI SDK
+const { getGenerativeModel } = require("./vertexHelper");
+const {
+  normalizeSubject,
+  loadRecentAiSubjects,
+  generateCheckedEmail,
+} = require("./aiQualityHelper");
+const {
+  findUnknownVariables,
+  loadPromptTemplates,
+  getPromptTemplateVersion,
+  selectPromptTemplate,
+  renderPrompt,
+} = require("./promptTemplateHelper");
+const { generateFollowupEmail } = require("./followupAiHelper");
+const {
+  VARIANT_TYPES,
+  loadExperiments,
+  findExperiment,
+  assignVariant,
+  buildExperimentPromptAddendum,
+  withSubjectVariants,
+  getGeneratedExperimentFields,
+  resolveExperimentSend,
+  buildExperimentAssignmentUpdate,
+  evaluateRunningExperiments,
+} = require("./experimentHelper");
 const {
-  MAX_PROSPECTS_TO_ENRICH_PER_RUN,
-  MAX_INITIAL_EMAILS_PER_RUN,
-  MAX_FOLLOWUP_EMAILS_PER_RUN,
-  MAX_AI_EMAILS_PER_RUN,
-  FOLLOWUP_INTERVALS_DAYS,
   EMAIL_STATUS,
   OUTREACH_STATUS,
+  AWAITING_ADDRESS_STATUSES,
   getFollowupDueDate,
   determineTemplateId,
+  resolveTemplateId,
+  REENRICH_AFTER_DAYS,
+  ENRICHMENT_CACHE_TTL_DAYS,
+  LOW_CONFIDENCE_EMAIL_POLICY,
+  MAX_LOW_CONFIDENCE_SENDS_PER_RUN,
+  LOW_CONFIDENCE_IP_POOL,
 } = require("./config");
 
 // --- Initialization ---
@@ -79,13 +193,34 @@ function initialize() {
 
 // --- Helper Functions ---
 
+/**
+ * Checks the bearer token of requests to internal (non-webhook) endpoints.
+ * @param {object} req - HTTP request.
+ * @returns {boolean} True if the request carries ADMIN_API_TOKEN.
+ */
+function isAuthorizedAdminRequest(req) {
+  const expectedToken = process.env.ADMIN_API_TOKEN;
+  if (!expectedToken) {
+    logger.error("ADMIN_API_TOKEN not set. Rejecting admin request.");
+    return false;
+  }
+  return req.get("Authorization") === `Bearer ${expectedToken}`;
+}
+
 /**
  * Prepares SendGrid options including tracking and custom args.
  * @param {object} prospectData - Prospect data from Firestore.
  * @param {string} emailType - 'initial' or 'followup'.
  * @param {object|null} aiEmailData - Optional AI generated subject/body.
+ * @param {object} [sequenceContext] - { sequenceId, sequenceStep, templateId, experimentId,
+ *   experimentVariant } of the email being sent.
  */
-function prepareSendgridOptions(prospectData, emailType, aiEmailData = null) {
+function prepareSendgridOptions(
+  prospectData,
+  emailType,
+  aiEmailData = null,
+  sequenceContext = {}
+) {
   // Determine campaign based on type, language, country maybe?
   const campaignBase = `prospect_outreach_${emailType}`;
   const utmCampaign = `${campaignBase}_${prospectData.language || "na"}_${
@@ -95,7 +230,11 @@ function prepareSendgridOptions(prospectData, emailType, aiEmailData = null) {
   // Use AI subject for utmContent if available, otherwise fallback to template ID
   const utmContentBase = aiEmailData?.subject
     ? `ai-${aiEmailData.subject.substring(0, 30).replace(/ /g, "_")}` // Shortened/slugified AI subject
-    : `template-${determineTemplateId(prospectData, emailType) || "unknown"}`;
+    : `template-${
+        sequenceContext.templateId ||
+        determineTemplateId(prospectData, emailType) ||
+        "unknown"
+      }`;
 
   return {
     categories: [
@@ -121,16 +260,17 @@ function prepareSendgridOptions(prospectData, emailType, aiEmailData = null) {
     customArgs: {
       // For tracking in SendGrid stats / webhooks
       prospectId: prospectData.id, // Firestore Doc ID
-      email:
-        prospectData.workEmail ||
-        prospectData.email ||
-        prospectData.personalEmail ||
-        prospectData.personal_emails[0], // Email sent to
+      // `email` (the recipient) is added by sendOutreachEmail
       language: prospectData.language || "",
       country: prospectData.country || "",
       segment: prospectData.segment || "",
       outreachStatusBeforeSend: prospectData.outreachStatus,
       emailType: emailType,
+      sequenceId: sequenceContext.sequenceId || prospectData.sequenceId || "",
+      sequenceStep: String(sequenceContext.sequenceStep ?? ""),
+      // A/B experiment and variant, see experimentHelper.js
+      experimentId: sequenceContext.experimentId || "",
+      experimentVariant: sequenceContext.experimentVariant || "",
       usedAiGeneration: !!aiEmailData, // Track if AI was used
       // Add other relevant non-sensitive tracking data
       company: prospectData.company || "",
@@ -166,767 +306,1708 @@ function prepareTemplateData(prospectData) {
   };
 }
 
-// --- Main Processing Logic ---
-
 /**
- * Process prospects needing enrichment.
+ * Wraps AI generated body content with the language-specific greeting,
+ * signature and unsubscribe footer.
+ * @param {object} prospectData - Prospect data from Firestore.
+ * @param {string} aiBodyContent - Core body content from AI (no greeting/sign-off).
+ * @returns {string} Full plain text email body.
  */
-async function handleEnrichment() {
-  logger.info(
-    `Starting enrichment process. Max prospects: ${MAX_PROSPECTS_TO_ENRICH_PER_RUN}`
-  );
-  let processedCount = 0;
-  let successCount = 0;
+function buildAiEmailBody(prospectData, aiBodyContent) {
+  // --- Language-Specific Construction ---
+  const firstName = prospectData.firstName;
+  const lastName = prospectData.lastName;
+  const language = prospectData.language?.toLowerCase(); // Normalize to lowercase, handle potential undefined
+  const unsubscribeUrl =
+    process.env.UNSUBSCRIBE_URL || `https://app.prorecruit.tech/support`; // Ensure this is defined
 
-  try {
-    const prospectsToEnrichQuery = db
-      .collection("prospects")
-      .where("enrichmentSuccess", "!=", true) // Primary condition
-      .where("linkedinUrlFound", "==", true) // Primary condition
-      .limit(MAX_PROSPECTS_TO_ENRICH_PER_RUN);
+  let greeting;
+  let closing;
+  let unsubscribeText;
 
-    const snapshot = await prospectsToEnrichQuery.get();
+  if (language === "french" || language === "fr") {
+    // Use French elements
+    greeting = `Bonjour Mr/Mme${lastName ? " " + lastName : ""},`; // "Bonjour Jean," or "Bonjour," if no first name
+    closing = "Cordialement,"; // Standard formal French closing
+    unsubscribeText = "Se désabonner"; // French for "Unsubscribe"
 
-    if (snapshot.empty) {
-      logger.info("No prospects found needing enrichment.");
-      return { processed: 0, successful: 0 };
-    }
+    // Construct the full body for French email
+    return `${greeting}\n\n${aiBodyContent}\n\n${closing}\nKwami\nhttps://prorecruit.tech/\nRéserver une démo: https://calendar.app.google/YCJdfWBPQKEzvEN69\n\n---\n${unsubscribeText}: ${unsubscribeUrl}`;
+  }
+  // Default to English if language is 'english', null, undefined, or any other value
+  greeting = `Hi ${firstName || "there"},`; // "Hi Jane," or "Hi there," if no first name
+  closing = "Best regards,"; // Standard professional English closing
+  unsubscribeText = "Unsubscribe"; // English for "Unsubscribe"
 
-    logger.info(`Found ${snapshot.size} prospects to enrich.`);
+  // Construct the full body for English email
+  return `${greeting}\n\n${aiBodyContent}\n\n${closing}\nKwami\nhttps://prorecruit.tech/\nBook a demo: https://calendar.app.google/YCJdfWBPQKEzvEN69\n\n---\n${unsubscribeText}: ${unsubscribeUrl}`;
+}
 
-    // Process sequentially to respect rate limits and simplify error handling
-    for (const doc of snapshot.docs) {
-      const prospectId = doc.id;
-      const prospectData = { id: prospectId, ...doc.data() }; // Include ID in data
-      processedCount++;
+/**
+ * Sends an outreach email after checking the global suppression list, the
+ * recipient's deliverability (see emailValidationHelper.js) and the `sends`
+ * ledger (see sendLedgerHelper.js). Every initial and follow-up send goes
+ * through here. In a dry run all checks still run but nothing is sent or written.
+ * Risky addresses go through the low-confidence lane: a few per run, on
+ * LOW_CONFIDENCE_IP_POOL when set. Addresses whose MX lookup failed are
+ * deferred to a later run.
+ * @param {object} run - Run context (see runHelper.js).
+ * @param {object} prospectData - Prospect data from Firestore.
+ * @param {string} recipientEmail - Recipient address.
+ * @param {object} message - { templateId, templateData } or { subject, body }.
+ * @param {object} options - SendGrid options from prepareSendgridOptions.
+ * @param {object} sequenceContext - { sequenceId, sequenceStep } of the email.
+ * @returns {Promise<object>} { sent, suppressed, undeliverable, deferred, alreadySent,
+ *   inFlight, needsReview, reason, verdict, lowConfidence, ledgerId, messageId, sentTimestamp }.
+ * @throws {Error} If SendGrid fails.
+ */
+async function sendOutreachEmail(
+  run,
+  prospectData,
+  recipientEmail,
+  message,
+  options,
+  sequenceContext
+) {
+  const suppression = await checkSuppression(prospectData, recipientEmail, db);
+  if (suppression.suppressed) {
+    logger.warn(
+      `Skipping prospect ${prospectData.id} (${recipientEmail}): ${suppression.reason}`
+    );
+    await updateProspect(
+      prospectData.id,
+      {
+        outreachStatus: OUTREACH_STATUS.SUPPRESSED,
+        outreachStatusMessage: suppression.reason,
+        suppressedTimestamp: admin.firestore.Timestamp.now(),
+      },
+      db,
+      logger,
+      run
+    );
+    return { sent: false, suppressed: true, reason: suppression.reason };
+  }
 
-      // Optional: Add a temporary 'processing' status if needed
-      // await updateProspect(prospectId, { emailStatus: EMAIL_STATUS.PROCESSING }, db, logger);
+  const { validation, cached } = await getEmailValidation(
+    prospectData,
+    recipientEmail
+  );
+  const { verdict } = validation;
+  if (verdict === VERDICTS.UNKNOWN) {
+    // Transient DNS failure: neither stored nor held against the prospect
+    return {
+      sent: false,
+      deferred: true,
+      reason: `Validation deferred: ${validation.reasons.join(", ")}`,
+      verdict,
+    };
+  }
+  const validationUpdate = cached ? {} : { emailValidation: validation };
+  const lowConfidence = verdict === VERDICTS.RISKY;
+  if (
+    verdict === VERDICTS.UNDELIVERABLE ||
+    (lowConfidence && LOW_CONFIDENCE_EMAIL_POLICY === "skip")
+  ) {
+    const reason = `${verdict} address ${recipientEmail}: ${validation.reasons.join(", ")}`;
+    logger.warn(`Skipping prospect ${prospectData.id}: ${reason}`);
+    await updateProspect(
+      prospectData.id,
+      {
+        ...validationUpdate,
+        outreachStatus: OUTREACH_STATUS.UNDELIVERABLE,
+        outreachStatusMessage: reason,
+      },
+      db,
+      logger,
+      run
+    );
+    return { sent: false, undeliverable: true, reason, verdict };
+  }
+  if (Object.keys(validationUpdate).length > 0) {
+    await updateProspect(prospectData.id, validationUpdate, db, logger, run);
+  }
+  if (lowConfidence && run.lowConfidenceSends >= MAX_LOW_CONFIDENCE_SENDS_PER_RUN) {
+    return {
+      sent: false,
+      deferred: true,
+      reason: `Low-confidence lane full (${validation.reasons.join(", ")})`,
+      verdict,
+    };
+  }
 
-      const enrichmentResult = await enrichProspectWithProxycurl(
-        prospectData,
+  // Written before dispatch so a crash or failed status update never re-sends
+  const reservation = await reserveSend(
+    prospectData,
+    {
+      ...sequenceContext,
+      recipient: recipientEmail,
+      templateId: message.templateId,
+      emailType: options.customArgs?.emailType,
+    },
+    run,
+    db
+  );
+  const { ledgerId } = reservation;
+  if (reservation.alreadySent) {
+    logger.warn(
+      `Send ledger ${ledgerId} shows prospect ${prospectData.id} was already emailed. Not sending again.`
+    );
+    return {
+      sent: false,
+      alreadySent: true,
+      ledgerId,
+      messageId: reservation.entry.messageId || null,
+      sentTimestamp:
+        reservation.entry.sentTimestamp || reservation.entry.reservedTimestamp,
+    };
+  }
+  if (reservation.inFlight) {
+    return { sent: false, inFlight: true, ledgerId };
+  }
+  if (reservation.needsReview) {
+    const reason = `Send ledger ${ledgerId} was left in flight by run ${reservation.entry.runId}, check SendGrid before sending again`;
+    logger.error(`Not sending to prospect ${prospectData.id}: ${reason}`);
+    return { sent: false, needsReview: true, ledgerId, reason };
+  }
+  if (lowConfidence) run.lowConfidenceSends++;
+  if (run.dryRun) {
+    return { sent: false, ledgerId, verdict, lowConfidence };
+  }
+
+  const sendOptions = {
+    ...options,
+    customArgs: {
+      ...options.customArgs,
+      email: recipientEmail, // Email sent to
+      [LEDGER_ID_ARG]: ledgerId,
+    },
+  };
+  if (lowConfidence) {
+    sendOptions.categories = [...(options.categories || []), "Low-Confidence"];
+    if (LOW_CONFIDENCE_IP_POOL) sendOptions.ipPoolName = LOW_CONFIDENCE_IP_POOL;
+  }
+  let messageId;
+  try {
+    if (message.templateId) {
+      messageId = await sendEmail(
+        recipientEmail,
+        message.templateId,
+        message.templateData,
+        sendOptions,
+        logger
+      );
+    } else {
+      messageId = await sendRawEmail(
+        recipientEmail,
+        message.subject,
+        message.body,
+        sendOptions,
         logger
       );
-
-      if (enrichmentResult.success) {
-        successCount++;
-        // Merge enrichment data with potential status update
-        await updateProspect(
-          prospectId,
-          enrichmentResult.updateData,
-          db,
-          logger
-        );
-      } else {
-        logger.error(
-          `Enrichment failed for prospect ${prospectId}: ${enrichmentResult.error}`
-        );
-        // Update with failure status and timestamp
-        await updateProspect(
-          prospectId,
-          enrichmentResult.updateData,
-          db,
-          logger
-        ); // updateData contains failure status
-      }
-      // Optional: Small delay between ProxyCurl calls if hitting rate limits
-      // await new Promise(resolve => setTimeout(resolve, 500));
     }
-  } catch (error) {
-    logger.error("Error during enrichment phase:", error);
-    // Don't let enrichment errors stop email sending if possible
+  } catch (sendError) {
+    await failSend(ledgerId, sendError, db, logger);
+    throw sendError;
   }
-  logger.info(
-    `Enrichment phase complete. Processed: ${processedCount}, Successful: ${successCount}`
+  await confirmSend(ledgerId, messageId, db, logger);
+  await queueCrmSync(
+    prospectData.id,
+    CRM_SYNC_EVENTS.EMAILED,
+    {
+      recipient: recipientEmail,
+      sequenceId: sequenceContext.sequenceId || null,
+      sequenceStep: sequenceContext.sequenceStep ?? 0,
+      subject: message.subject || null,
+      templateId: message.templateId || null,
+    },
+    db,
+    logger,
+    run
   );
-  return { processed: processedCount, successful: successCount };
+  return {
+    sent: true,
+    verdict,
+    lowConfidence,
+    ledgerId,
+    messageId,
+    sentTimestamp: admin.firestore.Timestamp.now(),
+  };
 }
 
+// --- Main Processing Logic ---
+
+// Re-checked on the fresh prospect when claiming it (see claimProspect), they
+// mirror the phase queries below.
+const isEnrichmentCandidate = (prospectData, run) =>
+  prospectData.enrichmentSuccess !== true &&
+  prospectData.linkedinUrlFound === true &&
+  prospectData.outreachStatus !== OUTREACH_STATUS.ENRICHMENT_FAILED &&
+  isEnrichmentDue(prospectData, run.now);
+const isAiEmailCandidate = (prospectData) =>
+  prospectData.enrichmentSuccess === true &&
+  prospectData.aiInitialEmailTemplate !== true &&
+  prospectData.outreachStatus === OUTREACH_STATUS.PENDING_UPLOAD;
+const isInitialEmailCandidate = (prospectData) =>
+  prospectData.enrichmentSuccess === true &&
+  prospectData.outreachStatus === OUTREACH_STATUS.PENDING_UPLOAD;
+
 /**
- * Process prospects ready for their initial outreach email.
+ * Process prospects needing enrichment, then re-enrich prospects whose
+ * enrichment is older than REENRICH_AFTER_DAYS before their initial email.
+ * Failed prospects are retried with backoff (see buildEnrichmentRetryUpdate).
+ * Stops once the Proxycurl credit budget could not cover another prospect, or
+ * when a provider rate limits us or rejects our credentials or credits.
+ * @param {object} [run] - Run context (see runHelper.js).
  */
-async function handleInitialEmails() {
+async function handleEnrichment(run = createRun()) {
   logger.info(
-    `Starting initial email sending process. Max emails: ${MAX_INITIAL_EMAILS_PER_RUN}`
+    `Starting enrichment process. Max prospects: ${run.limits.enrichment}`
   );
-  let sentCount = 0;
-  let errorCount = 0;
+  let processedCount = 0;
+  let successCount = 0;
+  let reenrichedCount = 0;
+  let creditsUsed = 0;
+  let retryScheduledCount = 0;
+  let failedCount = 0;
+  let creditBudget = null;
+  let budgetReached = false;
+  let rateLimited = false;
+  let providerAccountError = false;
+  const buildStats = () => ({
+    processed: processedCount,
+    successful: successCount,
+    reenriched: reenrichedCount,
+    retryScheduled: retryScheduledCount,
+    failed: failedCount,
+    creditsUsed,
+    budgetReached,
+    rateLimited,
+    providerAccountError,
+    creditBudget,
+  });
 
   try {
-    const prospectsToSendQuery = db
+    // Without a provider every prospect would burn a retry attempt
+    if (getProviderChain("profile", logger).length === 0) {
+      throw new Error("No configured enrichment provider for profiles.");
+    }
+    creditBudget = await getCreditBudget(db);
+    const prospectsToEnrichQuery = db
       .collection("prospects")
-      .where("enrichmentSuccess", "==", true)
-      .where("outreachStatus", "==", OUTREACH_STATUS.PENDING_UPLOAD)
-      .limit(MAX_INITIAL_EMAILS_PER_RUN);
+      .where("enrichmentSuccess", "!=", true) // Primary condition
+      .where("linkedinUrlFound", "==", true); // Primary condition
+
+    // Page past prospects waiting for their retry backoff or for manual review
+    // (enrichment_failed, filtered here so prospects without a status still match)
+    const candidates = [];
+    for await (const doc of paginateQuery(
+      prospectsToEnrichQuery,
+      run.limits.enrichment * 5
+    )) {
+      if (candidates.length >= run.limits.enrichment) break;
+      if (isEnrichmentCandidate(doc.data(), run)) {
+        candidates.push({ doc, reenrich: false });
+      }
+    }
 
-    const snapshot = await prospectsToSendQuery.get();
+    // Remaining capacity goes to stale prospects that have not been contacted yet
+    const reenrichmentCutoff = getReenrichmentCutoff(run.now);
+    if (reenrichmentCutoff && candidates.length < run.limits.enrichment) {
+      const staleSnapshot = await db
+        .collection("prospects")
+        .where("enrichmentSuccess", "==", true)
+        .where("linkedinUrlFound", "==", true) // Email-only imports have nothing to re-enrich
+        .where("outreachStatus", "in", [
+          OUTREACH_STATUS.PENDING_UPLOAD,
+          ...AWAITING_ADDRESS_STATUSES,
+        ])
+        .where(
+          "enrichmentTimestamp",
+          "<",
+          admin.firestore.Timestamp.fromDate(reenrichmentCutoff)
+        )
+        .limit(run.limits.enrichment - candidates.length)
+        .get();
+      staleSnapshot.docs.forEach((doc) =>
+        candidates.push({ doc, reenrich: true })
+      );
+    }
 
-    if (snapshot.empty) {
-      logger.info("No prospects found for initial email.");
-      return { sent: 0, errors: 0 };
+    if (candidates.length === 0) {
+      logger.info("No prospects found needing enrichment.");
+      return buildStats();
     }
 
-    logger.info(`Found ${snapshot.size} prospects for initial email.`);
+    logger.info(`Found ${candidates.length} prospects to enrich.`);
 
-    // Process sequentially
-    for (const doc of snapshot.docs) {
+    // Process sequentially to respect rate limits and simplify error handling
+    for (const { doc, reenrich } of candidates) {
       const prospectId = doc.id;
-      const prospectData = { id: prospectId, ...doc.data() };
-      const recipientEmail =
-        prospectData.workEmail ||
-        prospectData.email ||
-        prospectData.personalEmail ||
-        prospectData.personal_emails[0]; // Prefer verified work email
-
-      if (!recipientEmail) {
-        logger.warn(
-          `Prospect ${prospectId} has verified status but no email address. Skipping.`
+      if (creditBudget.exhausted) {
+        if (!budgetReached) {
+          logger.warn(
+            `Proxycurl credit budget reached (remaining: ${creditBudget.remaining}). Stopping enrichment.`
+          );
+        }
+        budgetReached = true;
+        recordOutcome(
+          run,
+          "enrichment",
+          prospectId,
+          "wait",
+          "Proxycurl credit budget reached"
         );
-        await updateProspect(
+        continue;
+      }
+      if (rateLimited || providerAccountError) {
+        recordOutcome(
+          run,
+          "enrichment",
           prospectId,
-          {
-            outreachStatus: OUTREACH_STATUS.ENRICHMENT_FAILED,
-            outreachStatusMessage: `Prospect ${prospectId} has verified status but no email address. Skipping.`,
-          },
-          db,
-          logger
-        ); // Mark as failed
-        errorCount++;
+          "wait",
+          rateLimited
+            ? "Enrichment provider rate limited this run"
+            : "Enrichment provider rejected our credentials or credits this run"
+        );
         continue;
       }
-      let emailSubject,
-        emailBody,
-        templateId = null,
-        sendMethod;
-      let options; // SendGrid options
-
-      // *** NEW LOGIC ***
-      if (
-        prospectData.aiInitialEmailTemplate === true &&
-        prospectData.aiInitialEmail
-      ) {
-        // Use AI Generated Content
-        logger.info(`Using AI-generated content for prospect ${prospectId}`);
-        // Construct the full body - add greeting/signature here if not in AI output
-        const emailSubject = prospectData.aiInitialEmail.subject;
-        const aiBodyContent = prospectData.aiInitialEmail.body; // The core content from AI
-
-        // --- Language-Specific Construction ---
-        const firstName = prospectData.firstName;
-        const lastName = prospectData.lastName;
-        const language = prospectData.language?.toLowerCase(); // Normalize to lowercase, handle potential undefined
-        const unsubscribeUrl =
-          process.env.UNSUBSCRIBE_URL || `https://app.prorecruit.tech/support`; // Ensure this is defined
-
-        let greeting;
-        let closing;
-        let unsubscribeText;
-        let fullBody; // Variable for the final constructed body
-
-        if (language === "french" || language === "fr") {
-          // Use French elements
-          greeting = `Bonjour Mr/Mme${lastName ? " " + lastName : ""},`; // "Bonjour Jean," or "Bonjour," if no first name
-          closing = "Cordialement,"; // Standard formal French closing
-          unsubscribeText = "Se désabonner"; // French for "Unsubscribe"
-
-          // Construct the full body for French email
-          fullBody = `${greeting}\n\n${aiBodyContent}\n\n${closing}\nKwami\nhttps://prorecruit.tech/\nRéserver une démo: https://calendar.app.google/YCJdfWBPQKEzvEN69\n\n---\n${unsubscribeText}: ${unsubscribeUrl}`;
-        } else {
-          // Default to English if language is 'english', null, undefined, or any other value
-          greeting = `Hi ${firstName || "there"},`; // "Hi Jane," or "Hi there," if no first name
-          closing = "Best regards,"; // Standard professional English closing
-          unsubscribeText = "Unsubscribe"; // English for "Unsubscribe"
+      // Claim first so an overlapping run never pays for the same lookup
+      const claim = await claimProspect(
+        prospectId,
+        run,
+        "enrichment",
+        reenrich
+          ? (prospectData) => isEnrichmentStale(prospectData, run.now)
+          : (prospectData) => isEnrichmentCandidate(prospectData, run),
+        db,
+        logger
+      );
+      if (!claim.claimed) {
+        logger.info(`Skipping enrichment of ${prospectId}: ${claim.reason}`);
+        recordOutcome(run, "enrichment", prospectId, "skip", claim.reason);
+        continue;
+      }
+      const prospectData = claim.prospectData; // Fresh data, includes ID
+      processedCount++;
 
-          // Construct the full body for English email
-          fullBody = `${greeting}\n\n${aiBodyContent}\n\n${closing}\nKwami\nhttps://prorecruit.tech/\nBook a demo: https://calendar.app.google/YCJdfWBPQKEzvEN69\n\n---\n${unsubscribeText}: ${unsubscribeUrl}`;
+      try {
+        if (run.dryRun) {
+          // No paid enrichment calls in a dry run
+          const linkedinUrl = normalizeLinkedinUrl(prospectData.linkedinUrl);
+          recordOutcome(
+            run,
+            "enrichment",
+            prospectId,
+            linkedinUrl ? (reenrich ? "reenrich" : "enrich") : "mark_enrichment_failed",
+            linkedinUrl
+              ? reenrich
+                ? "Enrichment older than REENRICH_AFTER_DAYS"
+                : "Not enriched yet and LinkedIn URL found"
+              : "Missing LinkedIn URL",
+            {
+              linkedinUrl,
+              providers: getProviderChain("profile", logger).map(
+                (provider) => provider.name
+              ),
+            }
+          );
+          continue;
         }
-        // --- End Language-Specific Construction ---
 
-        options = prepareSendgridOptions(
+        const enrichmentResult = await enrichProspect(
           prospectData,
-          "initial",
-          prospectData.aiInitialEmail
-        ); // Pass AI data
-        sendMethod = "content"; // Indicate sending raw content
+          db,
+          logger,
+          {
+            runId: run.id,
+            // Cached responses as old as the prospect's own data would change
+            // nothing, and none older than a normal enrichment accepts
+            ...(reenrich
+              ? {
+                  maxCacheAgeDays: Math.min(
+                    REENRICH_AFTER_DAYS,
+                    ENRICHMENT_CACHE_TTL_DAYS
+                  ),
+                }
+              : {}),
+          }
+        );
+        if (enrichmentResult.creditsUsed > 0) {
+          creditsUsed += enrichmentResult.creditsUsed;
+          // Re-read rather than subtract, other runs may be spending too
+          creditBudget = await getCreditBudget(db);
+        }
 
-        // VALIDATE AI CONTENT HERE - e.g., check length, presence of subject/body
-        if (!emailSubject || !emailBody || emailBody.length < 50) {
-          // Basic validation
-          logger.error(
-            `Invalid AI content for ${prospectId}. Subject: ${emailSubject}, Body Length: ${emailBody?.length}. Skipping.`
-          );
+        // Failed first enrichments are retried later or marked enrichment_failed
+        const retry =
+          enrichmentResult.success || reenrich
+            ? null
+            : buildEnrichmentRetryUpdate(prospectData, enrichmentResult, run.now);
+        recordOutcome(
+          run,
+          "enrichment",
+          prospectId,
+          enrichmentResult.success
+            ? reenrich
+              ? "reenriched"
+              : "enriched"
+            : retry && !retry.terminal
+            ? "retry_scheduled"
+            : "enrichment_failed",
+          enrichmentResult.error || "Profile and email lookup",
+          {
+            emailStatus: enrichmentResult.updateData?.emailStatus,
+            providers: enrichmentResult.updateData?.enrichmentProviders,
+            apiCalls: enrichmentResult.apiCalls,
+            creditsUsed: enrichmentResult.creditsUsed,
+            attempts: retry?.updateData.enrichmentAttempts,
+            nextAttemptAt: retry?.nextAttemptAt?.toISOString(),
+          }
+        );
+        if (enrichmentResult.success) {
+          successCount++;
+          if (reenrich) reenrichedCount++;
+          // Merge enrichment data with potential status update
           await updateProspect(
             prospectId,
-            { outreachStatus: "ai_content_invalid" },
+            {
+              ...enrichmentResult.updateData,
+              // An AI email written from the outdated profile is generated again
+              ...(reenrich
+                ? {
+                    aiInitialEmailTemplate: false,
+                    aiInitialEmail: admin.firestore.FieldValue.delete(),
+                  }
+                : {}),
+              // The new addresses may be allowed, the initial phase checks again
+              ...(AWAITING_ADDRESS_STATUSES.includes(prospectData.outreachStatus)
+                ? {
+                    outreachStatus: OUTREACH_STATUS.PENDING_UPLOAD,
+                    outreachStatusMessage: admin.firestore.FieldValue.delete(),
+                  }
+                : {}),
+            },
             db,
-            logger
+            logger,
+            run
           );
-          errorCount++;
-          continue;
-        }
-      } else {
-        const templateId = determineTemplateId(prospectData, "initial");
-        if (!templateId) {
+          await queueCrmSync(
+            prospectId,
+            CRM_SYNC_EVENTS.ENRICHED,
+            { providers: enrichmentResult.updateData.enrichmentProviders || null },
+            db,
+            logger,
+            run
+          );
+        } else if (reenrich) {
+          // Keep the previous data, it is still usable for the initial email
           logger.warn(
-            `Could not determine initial template ID for prospect ${prospectId} (Lang: ${prospectData.language}, Country: ${prospectData.country}). Skipping.`
+            `Re-enrichment failed for prospect ${prospectId}: ${enrichmentResult.error}`
           );
           await updateProspect(
             prospectId,
-            { outreachStatus: "template_missing" },
+            {
+              enrichmentTimestamp: admin.firestore.Timestamp.now(),
+              reenrichmentError: enrichmentResult.error,
+            },
             db,
-            logger
-          ); // Custom status
-          errorCount++;
-          continue;
-        }
-
-        options = prepareSendgridOptions(prospectData, "initial");
-        sendMethod = "template"; // Indicate sending via template
-      }
-
-      try {
-        if (sendMethod === "content") {
-          // You'll need to adjust sendEmail or add a new function
-          // to handle sending raw subject/body instead of templateId
-          await sendRawEmail(
-            recipientEmail,
-            emailSubject,
-            emailBody,
-            options,
-            logger
-          ); // New function needed
+            logger,
+            run
+          );
         } else {
-          // sendMethod === 'template'
-          const templateData = prepareTemplateData(prospectData); // Ensure templateData is defined here
-          await sendEmail(
-            recipientEmail,
-            templateId,
-            templateData,
-            options,
-            logger
+          logger.error(
+            `Enrichment failed for prospect ${prospectId}: ${enrichmentResult.error}`
           );
+          if (retry.terminal) {
+            failedCount++;
+          } else {
+            retryScheduledCount++;
+          }
+          // Update with failure status, attempt count and next attempt
+          await updateProspect(prospectId, retry.updateData, db, logger, run);
         }
-        // Update status AFTER successful send
-        await updateProspect(
-          prospectId,
-          {
-            outreachStatus: OUTREACH_STATUS.SEQUENCE_STARTED,
-            lastContactedTimestamp: admin.firestore.Timestamp.now(),
-          },
-          db,
-          logger
-        );
-        sentCount++;
-        // Optional delay
-        // await new Promise(resolve => setTimeout(resolve, 200));
-      } catch (emailError) {
-        logger.error(
-          `Failed to send initial email to ${prospectId} (${recipientEmail}):`,
-          emailError.message
-        );
-        // Optionally update status to something like 'send_failed' ?
-        // await updateProspect(prospectId, { outreachStatus: 'initial_send_failed' }, db, logger);
-        errorCount++;
-        // Continue to next prospect even if one fails
+        if (enrichmentResult.rateLimited) {
+          // Honor Retry-After for the whole provider, not only this prospect
+          logger.warn(
+            `Enrichment provider rate limited (retry after ${enrichmentResult.retryAfterMs}ms). Stopping enrichment.`
+          );
+          rateLimited = true;
+        }
+        if (enrichmentResult.accountError) {
+          // An expired key or empty balance fails every prospect alike
+          logger.error(
+            `Enrichment provider rejected the credentials or credits: ${enrichmentResult.error}. Stopping enrichment.`
+          );
+          providerAccountError = true;
+        }
+        // Optional: Small delay between ProxyCurl calls if hitting rate limits
+        // await new Promise(resolve => setTimeout(resolve, 500));
+      } finally {
+        await releaseProspect(prospectId, run, db, logger);
       }
     }
   } catch (error) {
-    logger.error("Error during initial email phase:", error);
+    logger.error("Error during enrichment phase:", error);
+    recordError(run, "enrichment", error);
+    // Don't let enrichment errors stop email sending if possible
   }
   logger.info(
-    `Initial email phase complete. Sent: ${sentCount}, Errors: ${errorCount}`
+    `Enrichment phase complete. Processed: ${processedCount}, Successful: ${successCount}, Re-enriched: ${reenrichedCount}, Credits used: ${creditsUsed}`
   );
-  return { sent: sentCount, errors: errorCount };
+  return buildStats();
 }
 
 /**
- * Process prospects ready for follow-up emails.
+ * Process prospects ready for their initial outreach email.
+ * @param {object} [run] - Run context (see runHelper.js).
  */
-async function handleFollowupEmails() {
+async function handleInitialEmails(run = createRun()) {
   logger.info(
-    `Starting follow-up email sending process. Max emails: ${MAX_FOLLOWUP_EMAILS_PER_RUN}`
+    `Starting initial email sending process. Max emails: ${run.limits.initial}`
   );
   let sentCount = 0;
   let errorCount = 0;
+  let suppressedCount = 0;
+  let undeliverableCount = 0;
+  let outsideWindowCount = 0;
   let candidatesChecked = 0;
 
-  // Statuses eligible for follow-up
-  const followupEligibleStatuses = Object.keys(FOLLOWUP_INTERVALS_DAYS);
-
-  if (followupEligibleStatuses.length === 0) {
-    logger.info("No follow-up intervals configured. Skipping follow-up phase.");
-    return { sent: 0, errors: 0 };
-  }
-
   try {
-    // Query for prospects in any state that *could* receive a follow-up
-    const prospectsToCheckQuery = db
+    const prospectsToSendQuery = db
       .collection("prospects")
-      .where("outreachStatus", "in", followupEligibleStatuses)
-      .where("followupNotNeeded", "!=", true)
-      // Optional: Add safety limit if list is huge, but filtering is done in code
-      .limit(MAX_FOLLOWUP_EMAILS_PER_RUN * 5); // Fetch more candidates than needed
-    const snapshot = await prospectsToCheckQuery.get();
-    candidatesChecked = snapshot.size;
-
-    if (snapshot.empty) {
-      logger.info("No prospects found in eligible follow-up statuses.");
-      return { sent: 0, errors: 0 };
-    }
-
-    logger.info(`Found ${snapshot.size} candidates to check for follow-up.`);
-
-    const now = admin.firestore.Timestamp.now();
-    let emailsSentThisRun = 0;
-
-    // Process sequentially, checking dates in code
-    for (const doc of snapshot.docs) {
-      if (emailsSentThisRun >= MAX_FOLLOWUP_EMAILS_PER_RUN) {
+      .where("enrichmentSuccess", "==", true)
+      .where("outreachStatus", "==", OUTREACH_STATUS.PENDING_UPLOAD);
+    const sequences = await loadSequences(db, logger);
+    const experiments = await loadExperiments(db, logger);
+
+    // Process sequentially, paging past prospects outside their send window
+    for await (const doc of paginateQuery(
+      prospectsToSendQuery,
+      run.limits.initial * 5
+    )) {
+      if (sentCount >= run.limits.initial) {
         logger.info(
-          `Reached follow-up email limit (${MAX_FOLLOWUP_EMAILS_PER_RUN}). Stopping follow-up sends for this run.`
+          `Reached initial email limit (${run.limits.initial}). Stopping initial sends for this run.`
         );
         break;
       }
-
+      candidatesChecked++;
       const prospectId = doc.id;
-      const prospectData = { id: prospectId, ...doc.data() };
-      const currentStatus = prospectData.outreachStatus;
-
-      // Calculate when the follow-up is due
-      const dueDate = getFollowupDueDate(
-        prospectData.lastContactedTimestamp,
-        currentStatus
-      );
+      let prospectData = { id: prospectId, ...doc.data() };
 
-      // Check if due date is valid and in the past (or now)
-      if (dueDate && dueDate <= now) {
-        logger.info(
-          `Prospect ${prospectId} is due for follow-up (Status: ${currentStatus}, Due: ${dueDate
-            .toDate()
-            .toISOString()})`
+      // Outdated profiles are refreshed by the enrichment phase before the sequence starts
+      if (isEnrichmentStale(prospectData, run.now)) {
+        recordOutcome(
+          run,
+          "initial",
+          prospectId,
+          "wait",
+          "Enrichment is stale, waiting for re-enrichment"
         );
+        continue;
+      }
 
-        const recipientEmail =
-          prospectData.workEmail ||
-          prospectData.email ||
-          prospectData.personalEmail ||
-          prospectData.personal_emails[0];
-        if (!recipientEmail) {
-          logger.warn(
-            `Prospect ${prospectId} due for follow-up has no email. Skipping.`
-          );
-          // Consider updating status to an error state?
-          errorCount++;
-          continue;
-        }
+      // Only send inside the recipient's local send window, later runs pick them up
+      const sendWindow = isWithinSendWindow(prospectData, run.now);
+      if (!sendWindow.allowed) {
+        logger.debug(
+          `Prospect ${prospectId} outside send window (${sendWindow.localTime} ${sendWindow.timezone}). Waiting.`
+        );
+        recordOutcome(run, "initial", prospectId, "wait", "Outside send window", {
+          localTime: sendWindow.localTime,
+          timezone: sendWindow.timezone,
+        });
+        outsideWindowCount++;
+        continue;
+      }
 
-        // Determine the *next* status (e.g., if current is 'sequence_started', next is 'followup_1')
-        let nextStatus = null;
-        if (currentStatus === OUTREACH_STATUS.SEQUENCE_STARTED) {
-          nextStatus = OUTREACH_STATUS.FOLLOWUP_1;
-        } else if (currentStatus === OUTREACH_STATUS.FOLLOWUP_1) {
-          nextStatus = OUTREACH_STATUS.FOLLOWUP_2;
-        } else {
-          // move prospect to leads collection
-          nextStatus = OUTREACH_STATUS.MOVED_TO_LEADS;
-          await updateProspect(
-            prospectId,
-            { outreachStatus: nextStatus },
-            db,
-            logger
-          );
-          continue;
-        }
+      const claim = await claimProspect(
+        prospectId,
+        run,
+        "initial",
+        isInitialEmailCandidate,
+        db,
+        logger
+      );
+      if (!claim.claimed) {
+        logger.info(`Skipping initial email to ${prospectId}: ${claim.reason}`);
+        recordOutcome(run, "initial", prospectId, "skip", claim.reason);
+        continue;
+      }
+      prospectData = claim.prospectData;
 
-        if (!nextStatus) {
-          logger.warn(
-            `Prospect ${prospectId} is in status ${currentStatus}, but no next follow-up status is defined. Skipping.`
-          );
-          errorCount++;
-          continue;
-        }
+      try {
+        const sequence = selectSequence(prospectData, sequences);
+        // Preference order and country rules, see recipientHelper.js
+        const recipient = resolveRecipient(prospectData);
+        const recipientEmail = recipient.email;
 
-        const templateId = determineTemplateId(prospectData, "followup"); // Use 'followup' type
-        if (!templateId) {
+        if (!recipientEmail) {
           logger.warn(
-            `Could not determine follow-up template ID for prospect ${prospectId} (Lang: ${prospectData.language}, Country: ${prospectData.country}). Skipping.`
+            `Prospect ${prospectId} has verified status but no usable email address (${recipient.reason}). Skipping.`
           );
+          recordOutcome(run, "initial", prospectId, "no_address", recipient.reason, {
+            recipientRule: recipient.rule,
+          });
           await updateProspect(
             prospectId,
-            { outreachStatus: "template_missing_followup" },
+            {
+              // Addresses exist but a country rule forbids them
+              outreachStatus: recipient.excludedByRule
+                ? OUTREACH_STATUS.NO_ALLOWED_ADDRESS
+                : OUTREACH_STATUS.NO_USABLE_ADDRESS,
+              outreachStatusMessage: recipient.reason,
+            },
             db,
-            logger
-          );
+            logger,
+            run
+          ); // Parked until an address arrives
           errorCount++;
           continue;
         }
+        let emailSubject,
+          emailBody,
+          templateId = null,
+          sendMethod;
+        let options; // SendGrid options
+
+        // A/B experiment on the initial email, see experimentHelper.js
+        const experimentSend = resolveExperimentSend(
+          experiments,
+          sequence.id,
+          0,
+          prospectData,
+          prospectData.aiInitialEmailTemplate === true
+            ? prospectData.aiInitialEmail || null
+            : null
+        );
+        const aiInitialEmail = experimentSend.aiEmailData;
+
+        // *** NEW LOGIC ***
+        if (aiInitialEmail) {
+          // Use AI Generated Content
+          logger.info(`Using AI-generated content for prospect ${prospectId}`);
+          // Construct the full body - add greeting/signature here if not in AI output
+          emailSubject = aiInitialEmail.subject;
+          emailBody = buildAiEmailBody(
+            prospectData,
+            aiInitialEmail.body // The core content from AI
+          );
 
-        const templateData = prepareTemplateData(prospectData);
-        const options = prepareSendgridOptions(prospectData, "followup");
-
-        try {
-          await sendEmail(
-            recipientEmail,
+          options = prepareSendgridOptions(
+            prospectData,
+            "initial",
+            aiInitialEmail,
+            { sequenceId: sequence.id, sequenceStep: 0, ...experimentSend.context }
+          ); // Pass AI data
+          sendMethod = "content"; // Indicate sending raw content
+
+          // VALIDATE AI CONTENT HERE - e.g., check length, presence of subject/body
+          if (!emailSubject || !emailBody || emailBody.length < 50) {
+            // Basic validation
+            logger.error(
+              `Invalid AI content for ${prospectId}. Subject: ${emailSubject}, Body Length: ${emailBody?.length}. Skipping.`
+            );
+            recordOutcome(run, "initial", prospectId, "mark_failed", "Invalid AI content");
+            await updateProspect(
+              prospectId,
+              { outreachStatus: "ai_content_invalid" },
+              db,
+              logger,
+              run
+            );
+            errorCount++;
+            continue;
+          }
+        } else {
+          templateId = experimentSend.templateSet
+            ? resolveTemplateId(prospectData, experimentSend.templateSet)
+            : determineTemplateId(prospectData, "initial");
+          if (!templateId) {
+            logger.warn(
+              `Could not determine initial template ID for prospect ${prospectId} (Lang: ${prospectData.language}, Country: ${prospectData.country}). Skipping.`
+            );
+            recordOutcome(run, "initial", prospectId, "mark_failed", "Template missing", {
+              language: prospectData.language,
+              country: prospectData.country,
+            });
+            await updateProspect(
+              prospectId,
+              { outreachStatus: "template_missing" },
+              db,
+              logger,
+              run
+            ); // Custom status
+            errorCount++;
+            continue;
+          }
+
+          options = prepareSendgridOptions(prospectData, "initial", null, {
+            sequenceId: sequence.id,
+            sequenceStep: 0,
             templateId,
-            templateData,
+            ...experimentSend.context,
+          });
+          sendMethod = "template"; // Indicate sending via template
+        }
+
+        try {
+          const message =
+            sendMethod === "content"
+              ? { subject: emailSubject, body: emailBody }
+              : { templateId, templateData: prepareTemplateData(prospectData) };
+          const sendResult = await sendOutreachEmail(
+            run,
+            prospectData,
+            recipientEmail,
+            message,
             options,
-            logger
+            { sequenceId: sequence.id, sequenceStep: 0 }
           );
+          if (sendResult.suppressed) {
+            recordOutcome(run, "initial", prospectId, "suppressed", sendResult.reason);
+            suppressedCount++;
+            continue;
+          }
+          if (sendResult.undeliverable) {
+            recordOutcome(run, "initial", prospectId, "undeliverable", sendResult.reason);
+            undeliverableCount++;
+            continue;
+          }
+          if (sendResult.deferred) {
+            recordOutcome(run, "initial", prospectId, "wait", sendResult.reason);
+            continue;
+          }
+          if (sendResult.inFlight) {
+            recordOutcome(run, "initial", prospectId, "skip", "Send in flight in another run", {
+              ledgerId: sendResult.ledgerId,
+            });
+            continue;
+          }
+          if (sendResult.needsReview) {
+            recordOutcome(run, "initial", prospectId, "needs_review", sendResult.reason, {
+              ledgerId: sendResult.ledgerId,
+            });
+            continue;
+          }
+          if (sendResult.alreadySent) {
+            // Sent by an earlier run whose status update was lost: restore it
+            recordOutcome(
+              run,
+              "initial",
+              prospectId,
+              "restore_status",
+              "Initial email already sent according to the send ledger",
+              { ledgerId: sendResult.ledgerId }
+            );
+          } else {
+            recordOutcome(
+              run,
+              "initial",
+              prospectId,
+              "send_initial",
+              sendMethod === "content" ? "AI-generated email ready" : "Template email",
+              {
+                recipient: recipientEmail,
+                templateId,
+                subject: emailSubject || null,
+                recipientKind: recipient.kind,
+                recipientRule: recipient.rule,
+                sequenceId: sequence.id,
+                ...experimentSend.context,
+                timezone: sendWindow.timezone,
+                ledgerId: sendResult.ledgerId,
+                emailVerdict: sendResult.verdict,
+              }
+            );
+          }
+          const sentTimestamp =
+            sendResult.sentTimestamp || admin.firestore.Timestamp.now();
           // Update status AFTER successful send
           await updateProspect(
             prospectId,
             {
-              outreachStatus: nextStatus, // Move to next stage
-              lastContactedTimestamp: admin.firestore.Timestamp.now(),
+              ...buildExperimentAssignmentUpdate(experimentSend, sentTimestamp),
+              outreachStatus: OUTREACH_STATUS.SEQUENCE_STARTED,
+              lastContactedTimestamp: sentTimestamp,
+              lastMessageId: sendResult.messageId || null,
+              sequenceId: sequence.id,
+              sequenceStep: 0,
+              // Follow-ups go to this address even if enrichment changes later
+              sequenceRecipient: {
+                email: recipientEmail,
+                kind: recipient.kind,
+                rule: recipient.rule,
+              },
             },
             db,
-            logger
+            logger,
+            run
           );
-          sentCount++;
-          emailsSentThisRun++;
+          if (!sendResult.alreadySent) sentCount++;
           // Optional delay
           // await new Promise(resolve => setTimeout(resolve, 200));
         } catch (emailError) {
           logger.error(
-            `Failed to send follow-up email to ${prospectId} (${recipientEmail}):`,
+            `Failed to send initial email to ${prospectId} (${recipientEmail}):`,
             emailError.message
           );
-          // Optionally update status to something like 'followup_send_failed' ?
+          recordError(run, "initial", emailError, prospectId);
+          // Optionally update status to something like 'send_failed' ?
+          // await updateProspect(prospectId, { outreachStatus: 'initial_send_failed' }, db, logger);
           errorCount++;
-          // Continue to next prospect
+          // Continue to next prospect even if one fails
         }
-      } // end if(dueDate && dueDate <= now)
-    } // end for loop
+      } finally {
+        await releaseProspect(prospectId, run, db, logger);
+      }
+    }
+    if (candidatesChecked === 0) {
+      logger.info("No prospects found for initial email.");
+    }
   } catch (error) {
-    logger.error("Error during follow-up email phase:", error);
+    logger.error("Error during initial email phase:", error);
+    recordError(run, "initial", error);
   }
   logger.info(
-    `Follow-up email phase complete. Candidates checked: ${candidatesChecked}, Sent: ${sentCount}, Errors: ${errorCount}`
+    `Initial email phase complete. Candidates checked: ${candidatesChecked}, Sent: ${sentCount}, Suppressed: ${suppressedCount}, Undeliverable: ${undeliverableCount}, Outside send window: ${outsideWindowCount}, Errors: ${errorCount}`
   );
-  return { sent: sentCount, errors: errorCount };
+  return {
+    sent: sentCount,
+    errors: errorCount,
+    suppressed: suppressedCount,
+    undeliverable: undeliverableCount,
+    outsideWindow: outsideWindowCount,
+  };
 }
 
-// Cleans strings to prevent prompt injection
-
-function cleanString(str) {
-  // Remove backticks and any surrounding text
-  let cleaned = str.trim();
-  if (cleaned.startsWith("```json")) {
-    cleaned = cleaned.substring(7);
-  }
-  if (cleaned.endsWith("```")) {
-    cleaned = cleaned.substring(0, cleaned.length - 3);
-  }
-
-  // Remove any additional text before the opening brace
-  const firstBraceIndex = cleaned.indexOf("{");
-  if (firstBraceIndex > 0) {
-    cleaned = cleaned.substring(firstBraceIndex);
+/**
+ * Moves a prospect whose sequence ended to leads and queues the CRM note. The
+ * prospect is claimed first, like sends, so overlapping runs never move it twice.
+ * @param {object} run - Run context (see runHelper.js).
+ * @param {string} phase - Phase claiming the prospect.
+ * @param {string} prospectId - Prospect document ID.
+ * @param {string} reason - Sequence exit reason: 'completed', 'replied', 'clicked'...
+ * @param {Function} isEligible - Re-checks the fresh prospect data, see claimProspect.
+ * @returns {Promise<{moved: boolean, reason?: string}>} `moved` is false when the
+ *   prospect is claimed by another run or no longer eligible.
+ * @throws {Error} If the move fails.
+ */
+async function moveSequenceEndToLeads(run, phase, prospectId, reason, isEligible) {
+  const claim = await claimProspect(prospectId, run, phase, isEligible, db, logger);
+  if (!claim.claimed) return { moved: false, reason: claim.reason };
+  try {
+    if (!run.dryRun) {
+      await moveProspectToLead(prospectId, db, logger, { reason });
+      await queueCrmSync(
+        prospectId,
+        CRM_SYNC_EVENTS.MOVED_TO_LEADS,
+        { reason },
+        db,
+        logger,
+        run
+      );
+    }
+    return { moved: true };
+  } finally {
+    await releaseProspect(prospectId, run, db, logger);
   }
-  //cleaned = cleaned.replace(/\/\/[^\n]*\n/g, ""); // removes comments
-  return cleaned.trim();
 }
 
 /**
- * Generates initial email content using Vertex AI for prospects.
+ * Process prospects ready for follow-up emails.
+ * Each prospect runs the sequence recorded in `sequenceId` (see sequenceHelper.js);
+ * `sequenceStep` counts the follow-ups already sent.
+ * @param {object} [run] - Run context (see runHelper.js).
  */
-async function handleAiInitialEmail() {
-  if (!isInitialized) {
-    logger.error("handleAiInitialEmail called before initialization.");
-    return { generated: 0, errors: 0 };
-  }
+async function handleFollowupEmails(run = createRun()) {
   logger.info(
-    `Starting AI initial email generation process. Max emails: ${MAX_AI_EMAILS_PER_RUN}`
+    `Starting follow-up email sending process. Max emails: ${run.limits.followups}`
   );
-  let generatedCount = 0;
+  let sentCount = 0;
   let errorCount = 0;
-
-  // Define the generative model
-  // Ensure model name is correct and supports function calling. Adjust as needed.
-  const generativeModel = vertexai.getGenerativeModel({
-    model: "gemini-2.0-flash", // Or your preferred Gemini model
-    generation_config: { temperature: 0.7 }, // Adjust temp as needed
-    safetySettings: [
-      // Keep safety settings
-      {
-        category: "HARM_CATEGORY_HATE_SPEECH",
-        threshold: "BLOCK_MEDIUM_AND_ABOVE",
-      },
-      {
-        category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-        threshold: "BLOCK_MEDIUM_AND_ABOVE",
-      },
-      {
-        category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-        threshold: "BLOCK_MEDIUM_AND_ABOVE",
-      },
-      {
-        category: "HARM_CATEGORY_HARASSMENT",
-        threshold: "BLOCK_MEDIUM_AND_ABOVE",
-      },
-    ],
-  });
+  let suppressedCount = 0;
+  let undeliverableCount = 0;
+  let outsideWindowCount = 0;
+  let completedCount = 0;
+  let candidatesChecked = 0;
 
   try {
-    const prospectsToGenerateQuery = db
-      .collection("prospects")
-      .where("enrichmentSuccess", "==", true)
-      .where("aiInitialEmailTemplate", "!=", true) // Check it hasn't been generated
-      // Add other conditions if needed (e.g., specific outreach status)
-      .where("outreachStatus", "==", OUTREACH_STATUS.PENDING_UPLOAD) // Ensure ready state
-      .limit(MAX_AI_EMAILS_PER_RUN);
+    const sequences = await loadSequences(db, logger);
+    const experiments = await loadExperiments(db, logger);
+    // Statuses eligible for follow-up: sequence_started, followup_1 ... followup_N
+    const followupEligibleStatuses = getSequenceStatuses(sequences);
 
-    const snapshot = await prospectsToGenerateQuery.get();
+    // Query for prospects in any state that *could* receive a follow-up
+    const prospectsToCheckQuery = db
+      .collection("prospects")
+      .where("outreachStatus", "in", followupEligibleStatuses)
+      .where("followupNotNeeded", "!=", true);
 
-    if (snapshot.empty) {
-      logger.info("No prospects found needing AI initial email generation.");
-      return { generated: 0, errors: 0 };
-    }
+    const now = admin.firestore.Timestamp.fromDate(run.now);
+    let emailsSentThisRun = 0;
 
-    logger.info(`Found ${snapshot.size} prospects for AI email generation.`);
+    // Process sequentially, checking dates in code and paging past prospects
+    // that are not due or outside their send window
+    for await (const doc of paginateQuery(
+      prospectsToCheckQuery,
+      run.limits.followups * 5
+    )) {
+      if (emailsSentThisRun >= run.limits.followups) {
+        logger.info(
+          `Reached follow-up email limit (${run.limits.followups}). Stopping follow-up sends for this run.`
+        );
+        break;
+      }
+      candidatesChecked++;
 
-    // Process sequentially to manage API calls and errors
-    for (const doc of snapshot.docs) {
       const prospectId = doc.id;
-      const prospectData = { id: prospectId, ...doc.data() };
+      let prospectData = { id: prospectId, ...doc.data() };
+      const currentStatus = prospectData.outreachStatus;
+      const { sequence, stepNumber } = getProspectSequencePosition(
+        prospectData,
+        sequences
+      );
 
-      // Basic check for essential data needed for the prompt
-      if (
-        !prospectData.firstName ||
-        !prospectData.jobTitle ||
-        !prospectData.companyName ||
-        !prospectData.country
-      ) {
+      if (stepNumber === null) {
         logger.warn(
-          `Prospect ${prospectId} missing essential data (firstName, jobTitle, companyName, or country) for AI prompt. Skipping.`
-        );
-        await updateProspect(
-          prospectId,
-          {
-            aiInitialEmailTemplate: false, // Mark as not generated
-            aiGenerationError: "Missing required fields for prompt",
-            aiGenerationTimestamp: admin.firestore.Timestamp.now(),
-          },
-          db,
-          logger
+          `Prospect ${prospectId} is in status ${currentStatus}, but its sequence step is unknown. Skipping.`
         );
+        recordOutcome(run, "followups", prospectId, "skip", "Unknown sequence step", {
+          outreachStatus: currentStatus,
+        });
         errorCount++;
         continue;
       }
 
-      const promptText = buildVertexPrompt(prospectData);
-      logger.debug(
-        `Generated prompt for ${prospectId}:\n${promptText.substring(
-          0,
-          300
-        )}...`
-      ); // Log truncated prompt
+      // Exit conditions end the sequence early (e.g. a click for hot-lead sequences)
+      const exitReason = getSequenceExitReason(sequence, prospectData);
+      if (exitReason) {
+        logger.info(
+          `Prospect ${prospectId} exits sequence ${sequence.id} at step ${stepNumber} (${exitReason}).`
+        );
+        try {
+          const move = await moveSequenceEndToLeads(
+            run,
+            "followups",
+            prospectId,
+            exitReason,
+            (freshData) => freshData.outreachStatus === currentStatus
+          );
+          if (!move.moved) {
+            logger.info(`Not moving prospect ${prospectId} to leads: ${move.reason}`);
+            recordOutcome(run, "followups", prospectId, "skip", move.reason);
+            continue;
+          }
+          recordOutcome(run, "followups", prospectId, "move_to_leads", exitReason, {
+            sequenceId: sequence.id,
+            sequenceStep: stepNumber,
+          });
+          completedCount++;
+        } catch (moveError) {
+          logger.error(
+            `Failed to move prospect ${prospectId} to leads:`,
+            moveError.message
+          );
+          recordError(run, "followups", moveError, prospectId);
+          errorCount++;
+        }
+        continue;
+      }
+
+      const nextStep = sequence.steps[stepNumber]; // steps[0] is the first follow-up
+
+      // Calculate when the follow-up (or the end of the sequence) is due
+      const dueDate = getFollowupDueDate(
+        prospectData.lastContactedTimestamp,
+        nextStep ? nextStep.delayDays : sequence.completeAfterDays || 0
+      );
+
+      // Out-of-office replies push the follow-up back
+      const notBefore = prospectData.followupNotBefore;
+      if (dueDate && notBefore && notBefore > now) {
+        logger.info(
+          `Prospect ${prospectId} follow-up paused until ${notBefore
+            .toDate()
+            .toISOString()} (out of office).`
+        );
+        recordOutcome(run, "followups", prospectId, "wait", "Out of office", {
+          dueDate: notBefore.toDate().toISOString(),
+        });
+        continue;
+      }
+
+      // Check if due date is valid and in the past (or now)
+      if (!dueDate) {
+        recordOutcome(run, "followups", prospectId, "skip", "No last contacted date");
+        continue;
+      }
+      if (dueDate > now) {
+        recordOutcome(run, "followups", prospectId, "wait", "Not due yet", {
+          dueDate: dueDate.toDate().toISOString(),
+          sequenceId: sequence.id,
+          sequenceStep: stepNumber,
+        });
+        continue;
+      }
+
+      if (!nextStep) {
+        // Sequence finished: move prospect to leads collection
+        logger.info(
+          `Prospect ${prospectId} completed sequence ${sequence.id} (${stepNumber} follow-ups).`
+        );
+        try {
+          const move = await moveSequenceEndToLeads(
+            run,
+            "followups",
+            prospectId,
+            "completed",
+            (freshData) => freshData.outreachStatus === currentStatus
+          );
+          if (!move.moved) {
+            logger.info(`Not moving prospect ${prospectId} to leads: ${move.reason}`);
+            recordOutcome(run, "followups", prospectId, "skip", move.reason);
+            continue;
+          }
+          recordOutcome(run, "followups", prospectId, "move_to_leads", "completed", {
+            sequenceId: sequence.id,
+            sequenceStep: stepNumber,
+          });
+          completedCount++;
+        } catch (moveError) {
+          logger.error(
+            `Failed to move prospect ${prospectId} to leads:`,
+            moveError.message
+          );
+          recordError(run, "followups", moveError, prospectId);
+          errorCount++;
+        }
+        continue;
+      }
+
+      // Only send inside the recipient's local send window, later runs pick them up
+      const sendWindow = isWithinSendWindow(prospectData, run.now);
+      if (!sendWindow.allowed) {
+        logger.debug(
+          `Prospect ${prospectId} due for follow-up but outside send window (${sendWindow.localTime} ${sendWindow.timezone}). Waiting.`
+        );
+        recordOutcome(run, "followups", prospectId, "wait", "Outside send window", {
+          localTime: sendWindow.localTime,
+          timezone: sendWindow.timezone,
+        });
+        outsideWindowCount++;
+        continue;
+      }
+
+      // Another run may have sent this follow-up since the query
+      const claim = await claimProspect(
+        prospectId,
+        run,
+        "followups",
+        (current) =>
+          current.outreachStatus === currentStatus &&
+          current.sequenceStep === prospectData.sequenceStep &&
+          current.followupNotNeeded !== true,
+        db,
+        logger
+      );
+      if (!claim.claimed) {
+        logger.info(`Skipping follow-up to ${prospectId}: ${claim.reason}`);
+        recordOutcome(run, "followups", prospectId, "skip", claim.reason);
+        continue;
+      }
+      prospectData = claim.prospectData;
 
       try {
-        const generationConfig = {
-          responseMimeType: "application/json",
-          responseSchema: vertexAiOutputSchema,
-        };
-        const req = {
-          contents: [{ role: "user", parts: [{ text: promptText }] }],
-          generationConfig,
-        };
-
-        const response = await generativeModel.generateContent(req);
-        const aggregatedResponse = await response.response;
-        logger.info(aggregatedResponse);
-
-        // --- Process Vertex AI Response ---
-        if (
-          aggregatedResponse &&
-          aggregatedResponse.candidates &&
-          aggregatedResponse.candidates[0].content &&
-          aggregatedResponse.candidates[0].content.parts &&
-          aggregatedResponse.candidates[0].content.parts[0].text &&
-          aggregatedResponse.candidates[0].content.parts[0].text.length > 0
-        ) {
-          const generatedArgs = JSON.parse(
-            cleanString(aggregatedResponse.candidates[0].content.parts[0].text)
+        const nextStepNumber = stepNumber + 1;
+        const nextStatus = getFollowupStatus(nextStepNumber);
+        logger.info(
+          `Prospect ${prospectId} is due for follow-up ${nextStepNumber} of sequence ${
+            sequence.id
+          } (Status: ${currentStatus}, Due: ${dueDate.toDate().toISOString()})`
+        );
+
+        // Same address as the initial email, see recipientHelper.js
+        const recipient = await resolveFollowupRecipient(prospectData, db);
+        const recipientEmail = recipient.email;
+        if (!recipientEmail) {
+          logger.warn(
+            `Prospect ${prospectId} due for follow-up has no email (${recipient.reason}). Skipping.`
           );
+          recordOutcome(run, "followups", prospectId, "skip", recipient.reason);
+          // Consider updating status to an error state?
+          errorCount++;
+          continue;
+        }
 
-          // Validate response structure (simple check)
-          if (generatedArgs && generatedArgs.subject && generatedArgs.body) {
-            logger.info(
-              `Successfully generated AI email content for prospect ${prospectId}`
-            );
-            // Save the structured arguments, not the whole complex response object usually
-            await updateProspect(
+        // AI follow-ups when the initial email was AI written, unless the step
+        // sets `aiGenerated` or an experiment variant of the step decides;
+        // templates otherwise or if generation fails
+        const experiment = findExperiment(experiments, sequence.id, nextStepNumber);
+        const variant = experiment ? assignVariant(experiment, prospectId) : null;
+        const wantsAiContent =
+          variant && variant.type !== VARIANT_TYPES.DEFAULT
+            ? variant.type !== VARIANT_TYPES.TEMPLATE
+            : nextStep.aiGenerated ?? prospectData.aiInitialEmailTemplate === true;
+        let aiEmailData = wantsAiContent
+          ? prospectData.aiFollowupEmails?.[nextStepNumber]
+          : null;
+        if (wantsAiContent && !(aiEmailData?.subject && aiEmailData?.body)) {
+          aiEmailData = await generateAiFollowup(
+            run,
+            prospectData,
+            nextStepNumber,
+            sequence.steps.length,
+            experiment,
+            variant
+          );
+        }
+        const experimentSend = resolveExperimentSend(
+          experiments,
+          sequence.id,
+          nextStepNumber,
+          prospectData,
+          aiEmailData?.subject && aiEmailData?.body ? aiEmailData : null
+        );
+        aiEmailData = experimentSend.aiEmailData;
+        const useAiContent = !!aiEmailData;
+        const templateId = useAiContent
+          ? null
+          : experimentSend.templateSet
+          ? resolveTemplateId(prospectData, experimentSend.templateSet)
+          : resolveStepTemplateId(prospectData, nextStep);
+        if (!useAiContent && !templateId) {
+          logger.warn(
+            `Could not determine follow-up template ID for prospect ${prospectId} (Sequence: ${sequence.id}, Step: ${nextStepNumber}, Lang: ${prospectData.language}, Country: ${prospectData.country}). Skipping.`
+          );
+          recordOutcome(run, "followups", prospectId, "mark_failed", "Template missing", {
+            sequenceId: sequence.id,
+            sequenceStep: nextStepNumber,
+          });
+          await updateProspect(
+            prospectId,
+            { outreachStatus: "template_missing_followup" },
+            db,
+            logger,
+            run
+          );
+          errorCount++;
+          continue;
+        }
+
+        const options = prepareSendgridOptions(
+          prospectData,
+          "followup",
+          useAiContent ? aiEmailData : null,
+          {
+            sequenceId: sequence.id,
+            sequenceStep: nextStepNumber,
+            templateId,
+            ...experimentSend.context,
+          }
+        );
+
+        try {
+          const message = useAiContent
+            ? {
+                subject: aiEmailData.subject,
+                body: buildAiEmailBody(prospectData, aiEmailData.body),
+              }
+            : { templateId, templateData: prepareTemplateData(prospectData) };
+          const sendResult = await sendOutreachEmail(
+            run,
+            prospectData,
+            recipientEmail,
+            message,
+            options,
+            { sequenceId: sequence.id, sequenceStep: nextStepNumber }
+          );
+          if (sendResult.suppressed) {
+            recordOutcome(run, "followups", prospectId, "suppressed", sendResult.reason);
+            suppressedCount++;
+            continue;
+          }
+          if (sendResult.undeliverable) {
+            recordOutcome(run, "followups", prospectId, "undeliverable", sendResult.reason);
+            undeliverableCount++;
+            continue;
+          }
+          if (sendResult.deferred) {
+            recordOutcome(run, "followups", prospectId, "wait", sendResult.reason);
+            continue;
+          }
+          if (sendResult.inFlight) {
+            recordOutcome(run, "followups", prospectId, "skip", "Send in flight in another run", {
+              ledgerId: sendResult.ledgerId,
+            });
+            continue;
+          }
+          if (sendResult.needsReview) {
+            recordOutcome(run, "followups", prospectId, "needs_review", sendResult.reason, {
+              ledgerId: sendResult.ledgerId,
+            });
+            continue;
+          }
+          if (sendResult.alreadySent) {
+            // Sent by an earlier run whose status update was lost: restore it
+            recordOutcome(
+              run,
+              "followups",
               prospectId,
-              {
-                aiInitialEmail: {
-                  // Store the parsed arguments
-                  subject: generatedArgs.subject,
-                  body: generatedArgs.body,
-                  // Optionally store model info, timestamp from response etc.
-                  usageMetaData: aggregatedResponse.usageMetadata, // Example
-                  modelUsed: aggregatedResponse.modelVersion,
-                  timestamp: aggregatedResponse.createTime,
-                },
-                aiInitialEmailTemplate: true, // Mark as generated
-                aiGenerationTimestamp: admin.firestore.Timestamp.now(),
-                aiGenerationError: admin.firestore.FieldValue.delete(), // Clear previous error
-              },
-              db,
-              logger
+              "restore_status",
+              "Follow-up already sent according to the send ledger",
+              { ledgerId: sendResult.ledgerId }
             );
-            generatedCount++;
           } else {
-            logger.error(
-              `Vertex AI response for ${prospectId} had unexpected structure in functionCall.args:`,
-              generatedArgs
-            );
-            await updateProspect(
+            recordOutcome(
+              run,
+              "followups",
               prospectId,
+              "send_followup",
+              `Follow-up ${nextStepNumber} due ${dueDate.toDate().toISOString()}`,
               {
-                aiInitialEmailTemplate: false,
-                aiGenerationError: "AI response structure invalid",
-                aiGenerationTimestamp: admin.firestore.Timestamp.now(),
-              },
-              db,
-              logger
+                recipient: recipientEmail,
+                templateId,
+                subject: useAiContent ? aiEmailData.subject : null,
+                sequenceId: sequence.id,
+                sequenceStep: nextStepNumber,
+                ...experimentSend.context,
+                recipientKind: recipient.kind,
+                recipientRule: recipient.rule,
+                timezone: sendWindow.timezone,
+                ledgerId: sendResult.ledgerId,
+                emailVerdict: sendResult.verdict,
+              }
             );
-            errorCount++;
           }
-        } else {
-          logger.error(
-            `Vertex AI response for ${prospectId} did not contain the expected function call. Response:`,
-            JSON.stringify(result)
-          );
+          // Update status AFTER successful send
           await updateProspect(
             prospectId,
             {
-              aiInitialEmailTemplate: false,
-              aiGenerationError: "AI did not return expected function call",
-              aiGenerationTimestamp: admin.firestore.Timestamp.now(),
+              outreachStatus: nextStatus, // Move to next stage
+              lastContactedTimestamp:
+                sendResult.sentTimestamp || admin.firestore.Timestamp.now(),
+              lastMessageId: sendResult.messageId || null,
+              sequenceId: sequence.id,
+              sequenceStep: nextStepNumber,
+              ...buildExperimentAssignmentUpdate(
+                experimentSend,
+                sendResult.sentTimestamp || admin.firestore.Timestamp.now()
+              ),
+              // Pin the address of sequences started before it was stored
+              ...(prospectData.sequenceRecipient
+                ? {}
+                : {
+                    sequenceRecipient: {
+                      email: recipientEmail,
+                      kind: recipient.kind,
+                      rule: recipient.rule,
+                    },
+                  }),
             },
             db,
-            logger
+            logger,
+            run
+          );
+          if (!sendResult.alreadySent) {
+            sentCount++;
+            emailsSentThisRun++;
+          }
+          // Optional delay
+          // await new Promise(resolve => setTimeout(resolve, 200));
+        } catch (emailError) {
+          logger.error(
+            `Failed to send follow-up email to ${prospectId} (${recipientEmail}):`,
+            emailError.message
           );
+          recordError(run, "followups", emailError, prospectId);
+          // Optionally update status to something like 'followup_send_failed' ?
           errorCount++;
+          // Continue to next prospect
         }
-      } catch (aiError) {
-        logger.error(
-          `Vertex AI generation failed for prospect ${prospectId}:`,
-          aiError
-        );
-        await updateProspect(
-          prospectId,
-          {
-            aiInitialEmailTemplate: false, // Ensure it's marked as not generated
-            aiGenerationError: aiError.message || "Unknown AI Error",
-            aiGenerationTimestamp: admin.firestore.Timestamp.now(),
-          },
-          db,
-          logger
-        );
-        errorCount++;
-        // Decide if you want to stop processing others on AI error or continue
+      } finally {
+        await releaseProspect(prospectId, run, db, logger);
       }
-      // Optional delay between API calls
-      await new Promise((resolve) => setTimeout(resolve, 1000)); // 1 second delay
-    } // End for loop
+    } // end for loop
+    if (candidatesChecked === 0) {
+      logger.info("No prospects found in eligible follow-up statuses.");
+    }
   } catch (error) {
-    logger.error("Error during AI email generation phase:", error);
-    // This catches errors in the query itself or unexpected issues
+    logger.error("Error during follow-up email phase:", error);
+    recordError(run, "followups", error);
   }
   logger.info(
-    `AI email generation phase complete. Generated: ${generatedCount}, Errors: ${errorCount}`
+    `Follow-up email phase complete. Candidates checked: ${candidatesChecked}, Sent: ${sentCount}, Suppressed: ${suppressedCount}, Undeliverable: ${undeliverableCount}, Outside send window: ${outsideWindowCount}, Completed: ${completedCount}, Errors: ${errorCount}`
   );
-  return { generated: generatedCount, errors: errorCount };
+  return {
+    sent: sentCount,
+    errors: errorCount,
+    suppressed: suppressedCount,
+    undeliverable: undeliverableCount,
+    outsideWindow: outsideWindowCount,
+    completed: completedCount,
+  };
 }
 
-// --- Main Processing Logic (Keep handleEnrichment, handleInitialEmails, handleFollowupEmails) ---
-// You will need to MODIFY handleInitialEmails later to USE the AI content.
-
-// --- NEW FUNCTION: Handle AI Initial Email Generation ---
+/**
+ * Generates and stores the AI follow-up of a step (see followupAiHelper.js).
+ * A dry run does not call Vertex AI and returns placeholder content.
+ * @param {object} run - Run context (see runHelper.js).
+ * @param {object} prospectData - Claimed prospect data.
+ * @param {number} stepNumber - Follow-up step (1 = first follow-up).
+ * @param {number} totalSteps - Follow-ups in the prospect's sequence.
+ * @param {object|null} [experiment] - A/B experiment of the step (see experimentHelper.js).
+ * @param {object|null} [variant] - Variant assigned to the prospect.
+ * @returns {Promise<object|null>} { subject, body, ... } or null if generation failed.
+ */
+async function generateAiFollowup(
+  run,
+  prospectData,
+  stepNumber,
+  totalSteps,
+  experiment = null,
+  variant = null
+) {
+  if (run.dryRun) {
+    return {
+      subject: "[AI follow-up, generated when sent]",
+      body: "[AI follow-up, generated when sent]",
+    };
+  }
+  try {
+    const followup = {
+      ...(await generateFollowupEmail(
+        getGenerativeModel(vertexai),
+        prospectData,
+        stepNumber,
+        totalSteps,
+        experiment,
+        variant
+      )),
+      generatedTimestamp: admin.firestore.Timestamp.now(),
+    };
+    // Stored before sending so a failed send is retried with the same text
+    await updateProspect(
+      prospectData.id,
+      {
+        [`aiFollowupEmails.${stepNumber}`]: followup,
+        aiFollowupError: admin.firestore.FieldValue.delete(),
+      },
+      db,
+      logger,
+      run
+    );
+    logger.info(
+      `Generated AI follow-up ${stepNumber} for prospect ${prospectData.id}.`
+    );
+    return followup;
+  } catch (aiError) {
+    logger.error(
+      `AI follow-up ${stepNumber} generation failed for prospect ${prospectData.id}, using the template:`,
+      aiError
+    );
+    recordError(run, "followups", aiError, prospectData.id);
+    await updateProspect(
+      prospectData.id,
+      { aiFollowupError: `Step ${stepNumber}: ${aiError.message}` },
+      db,
+      logger,
+      run
+    );
+    return null;
+  }
+}
 
 /**
- * Constructs the prompt for Vertex AI based on prospect data.
- * @param {object} prospectData - Prospect data from Firestore.
- * @returns {string} The formatted prompt string.
+ * Generates initial email content using Vertex AI for prospects.
+ * In a dry run the prompt is built but Vertex AI is not called.
+ * @param {object} [run] - Run context (see runHelper.js).
  */
-function buildVertexPrompt(prospectData) {
-  // Determine language (default logic, adjust as needed)
-  let language =
-    prospectData.language.toLowerCase() === "fr"
-      ? "French"
-      : prospectData.language || "English"; // Default to English
-  if (!prospectData.language) {
-    switch (prospectData.country?.toLowerCase()) {
-      case "france":
-      case ("belgium", "belgique"): // Assuming French Belgium target
-      case "canada": // Assuming Quebec target primarily
-        language = "French";
-        break;
-      case ("switzerland", "swiss"):
-        // Could be French, German, Italian. Defaulting French for now, refine if needed.
-        language = "French";
+async function handleAiInitialEmail(run = createRun()) {
+  if (!isInitialized) {
+    logger.error("handleAiInitialEmail called before initialization.");
+    return { generated: 0, errors: 0 };
+  }
+  logger.info(
+    `Starting AI initial email generation process. Max emails: ${run.limits.ai}`
+  );
+  let generatedCount = 0;
+  let errorCount = 0;
+  let candidatesChecked = 0;
+
+  // Define the generative model
+  // Ensure model name is correct and supports function calling. Adjust as needed.
+  const generativeModel = getGenerativeModel(vertexai); // Shared model + safety settings
+
+  try {
+    const prospectsToGenerateQuery = db
+      .collection("prospects")
+      .where("enrichmentSuccess", "==", true)
+      .where("aiInitialEmailTemplate", "!=", true) // Check it hasn't been generated
+      // Add other conditions if needed (e.g., specific outreach status)
+      .where("outreachStatus", "==", OUTREACH_STATUS.PENDING_UPLOAD); // Ensure ready state
+    // The sequence is picked again when sending, the same way
+    const sequences = await loadSequences(db, logger);
+    const experiments = await loadExperiments(db, logger);
+    // Subjects of other prospects, the AI must not reuse them
+    const recentSubjects = await loadRecentAiSubjects(db, logger, run.now);
+    const promptTemplates = await loadPromptTemplates(db, logger);
+
+    // Process sequentially to manage API calls and errors, paging past stale prospects
+    for await (const doc of paginateQuery(prospectsToGenerateQuery, run.limits.ai * 5)) {
+      if (generatedCount + errorCount >= run.limits.ai) {
+        logger.info(`Reached AI generation limit (${run.limits.ai}). Stopping for this run.`);
         break;
-      // Add other country/language mappings if necessary
-      default:
-        language = "English";
+      }
+      candidatesChecked++;
+      const prospectId = doc.id;
+      // The AI email would be written from an outdated profile
+      if (isEnrichmentStale(doc.data(), run.now)) {
+        recordOutcome(
+          run,
+          "ai",
+          prospectId,
+          "wait",
+          "Enrichment is stale, waiting for re-enrichment"
+        );
+        continue;
+      }
+      const claim = await claimProspect(
+        prospectId,
+        run,
+        "ai",
+        isAiEmailCandidate,
+        db,
+        logger
+      );
+      if (!claim.claimed) {
+        logger.info(`Skipping AI generation for ${prospectId}: ${claim.reason}`);
+        recordOutcome(run, "ai", prospectId, "skip", claim.reason);
+        continue;
+      }
+      const prospectData = claim.prospectData;
+
+      try {
+        // Basic check for essential data needed for the prompt
+        if (
+          !prospectData.firstName ||
+          !prospectData.jobTitle ||
+          !prospectData.companyName ||
+          !prospectData.country
+        ) {
+          logger.warn(
+            `Prospect ${prospectId} missing essential data (firstName, jobTitle, companyName, or country) for AI prompt. Skipping.`
+          );
+          recordOutcome(run, "ai", prospectId, "mark_failed", "Missing required fields for prompt");
+          await updateProspect(
+            prospectId,
+            {
+              aiInitialEmailTemplate: false, // Mark as not generated
+              aiGenerationError: "Missing required fields for prompt",
+              aiGenerationTimestamp: admin.firestore.Timestamp.now(),
+            },
+            db,
+            logger,
+            run
+          );
+          errorCount++;
+          continue;
+        }
+
+        // Prompt and subject line variants of an initial email experiment
+        const experiment = findExperiment(
+          experiments,
+          selectSequence(prospectData, sequences).id,
+          0
+        );
+        const variant = experiment
+          ? assignVariant(experiment, prospectId)
+          : null;
+        const promptTemplate = selectPromptTemplate(prospectData, promptTemplates);
+        const promptText =
+          renderPrompt(promptTemplate.text, prospectData).prompt +
+          buildExperimentPromptAddendum(experiment, variant);
+        logger.debug(
+          `Generated prompt for ${prospectId}:\n${promptText.substring(
+            0,
+            300
+          )}...`
+        ); // Log truncated prompt
+
+        if (run.dryRun) {
+          recordOutcome(run, "ai", prospectId, "generate_ai_email", "Enriched, no AI email yet", {
+            promptLength: promptText.length,
+            promptTemplateId: promptTemplate.templateId,
+            promptVersion: promptTemplate.version,
+            experimentId: experiment?.id,
+            experimentVariant: variant?.id,
+          });
+          generatedCount++;
+          continue;
+        }
+
+        try {
+          // Regenerated with feedback until it passes the quality checks
+          const { data: generatedArgs, aggregatedResponse, attempts, reasons } =
+            await generateCheckedEmail(
+              generativeModel,
+              promptText,
+              withSubjectVariants(vertexAiOutputSchema, experiment),
+              prospectData,
+              { kind: "initial", recentSubjects }
+            );
+          logger.info(aggregatedResponse);
+
+          if (generatedArgs) {
+            logger.info(
+              `Successfully generated AI email content for prospect ${prospectId} in ${attempts} attempt(s)`
+            );
+            recentSubjects.add(normalizeSubject(generatedArgs.subject));
+            // Save the structured arguments, not the whole complex response object usually
+            await updateProspect(
+              prospectId,
+              {
+                aiInitialEmail: {
+                  // Store the parsed arguments
+                  subject: generatedArgs.subject,
+                  body: generatedArgs.body,
+                  ...getGeneratedExperimentFields(
+                    experiment,
+                    variant,
+                    generatedArgs
+                  ),
+                  // Optionally store model info, timestamp from response etc.
+                  usageMetaData: aggregatedResponse.usageMetadata, // Example
+                  modelUsed: aggregatedResponse.modelVersion,
+                  timestamp: aggregatedResponse.createTime,
+                  generationAttempts: attempts,
+                  promptTemplateId: promptTemplate.templateId,
+                  promptVersion: promptTemplate.version,
+                },
+                aiInitialEmailTemplate: true, // Mark as generated
+                aiGenerationTimestamp: admin.firestore.Timestamp.now(),
+                aiGenerationError: admin.firestore.FieldValue.delete(), // Clear previous error
+              },
+              db,
+              logger,
+              run
+            );
+            recordOutcome(run, "ai", prospectId, "generated", "AI email saved", {
+              attempts,
+            });
+            generatedCount++;
+          } else {
+            const reason = `Quality check failed after ${attempts} attempt(s): ${reasons.join("; ")}`;
+            logger.error(`AI email for ${prospectId} rejected. ${reason}`);
+            recordOutcome(run, "ai", prospectId, "generation_failed", reason);
+            await updateProspect(
+              prospectId,
+              {
+                aiInitialEmailTemplate: false,
+                aiGenerationError: reason,
+                aiGenerationTimestamp: admin.firestore.Timestamp.now(),
+              },
+              db,
+              logger,
+              run
+            );
+            errorCount++;
+          }
+        } catch (aiError) {
+          logger.error(
+            `Vertex AI generation failed for prospect ${prospectId}:`,
+            aiError
+          );
+          recordError(run, "ai", aiError, prospectId);
+          recordOutcome(run, "ai", prospectId, "generation_failed", aiError.message || "Unknown AI Error");
+          await updateProspect(
+            prospectId,
+            {
+              aiInitialEmailTemplate: false, // Ensure it's marked as not generated
+              aiGenerationError: aiError.message || "Unknown AI Error",
+              aiGenerationTimestamp: admin.firestore.Timestamp.now(),
+            },
+            db,
+            logger,
+            run
+          );
+          errorCount++;
+          // Decide if you want to stop processing others on AI error or continue
+        }
+        // Optional delay between API calls
+        await new Promise((resolve) => setTimeout(resolve, 1000)); // 1 second delay
+      } finally {
+        await releaseProspect(prospectId, run, db, logger);
+      }
+    } // End for loop
+    if (candidatesChecked === 0) {
+      logger.info("No prospects found needing AI initial email generation.");
     }
-    logger.debug(
-      `Inferred language ${language} for prospect ${prospectData.id} from country ${prospectData.country}`
-    );
+  } catch (error) {
+    logger.error("Error during AI email generation phase:", error);
+    recordError(run, "ai", error);
+    // This catches errors in the query itself or unexpected issues
+  }
+  logger.info(
+    `AI email generation phase complete. Candidates checked: ${candidatesChecked}, Generated: ${generatedCount}, Errors: ${errorCount}`
+  );
+  return { generated: generatedCount, errors: errorCount };
+}
+
+/**
+ * Writes queued prospect events to the CRM (see crmSyncHelper.js).
+ * @param {object} [run] - Run context (see runHelper.js).
+ */
+async function handleCrmSync(run = createRun()) {
+  logger.info(`Starting CRM sync. Max queue items: ${run.limits.crmSync}`);
+  try {
+    const stats = await processCrmSyncQueue(run, db, logger);
+    logger.info(`CRM sync phase complete: ${JSON.stringify(stats)}`);
+    return stats;
+  } catch (error) {
+    logger.error("Error during CRM sync phase:", error);
+    recordError(run, "crmSync", error);
+    return {};
   }
+}
 
-  // --- Base Prompt Text (Copied from your previous request) ---
-  const basePrompt = `**Role:** You are an expert B2B copywriter specializing in crafting personalized, high-value cold emails for SaaS solutions targeting HR and recruitment professionals.
-
-**Goal:** Generate a concise, compelling, and culturally appropriate initial cold email in the provided language SUBJECT and BODY for a specific contact based on the provided details. The email should introduce ProRecruit.tech, highlight its value proposition relevant to the contact's likely pain points, and encourage a low-friction next step. Return ONLY the JSON object matching the requested function schema.
-
-**Product Information:**
-* **Product Name:** ProRecruit.tech
-* **Core Function:** An AI-powered recruitment platform designed to streamline hiring.
-* **Key Features & Solutions:** Automated CV Analysis & Ranking (Saves time screening), Psychoanalytical Assessments (Deeper insights for better cultural/soft skill fit), Bias Elimination Technology (Ensures fairness, compliance), Automated Candidate Notifications (Improves candidate experience), Centralized Candidate Management Interface (Organizes the hiring process), ad-hoc email to candidates, tailored technical assessments to the job description.
-
-**Ideal Customer Profile (ICP) Context:**
-* **Target Roles:** HR Managers, Talent Acquisition Specialists/Leads, Recruiters (Primary); HR Directors, VPs, CHROs, CEOs/Founders in smaller tech firms (Secondary).
-* **Target Industries:** Technology (High priority), Professional Services, Healthcare, Manufacturing, Financial Services.
-* **Target Company Size:** SMEs (2-500 employees - Primary), Mid-Market (501-1000 employees - Secondary).
-* **Common Pain Points:** Overwhelmed by applicant volume, time-consuming manual screening, difficulty assessing soft skills/fit, concerns about bias/compliance, low quality-of-hire, pressure to fill roles faster, disorganized processes.
-
-**Contact Specific Information:**
-* \`[FirstName]\`: ${prospectData.firstName || "Recruiter"}
-* \`[LastName]\`: ${prospectData.lastName || ""}
-* \`[JobTitle]\`: ${prospectData.jobTitle || "Hiring Professional"}
-* \`[occupation]\`: ${prospectData.occupation || ""}
-* \`[LinkedInSummary]\`: ${prospectData.summary || ""}
-* \`[LinkedInHeadline]\`: ${prospectData.headline || ""}
-* \`[industry]\`: ${prospectData.industry || ""}
-* \`[experiences]\`: ${prospectData.experiences || ""}
-* \`[groups]\`: ${prospectData.groups || ""}
-* \`[interests]\`: ${prospectData.interests || ""}
-* \`[volunteer_work]\`: ${prospectData.volunteer_work || ""}
-* \`[CompanyName]\`: ${prospectData.companyName || prospectData.company || ""}
-* \`[Country]\`: ${prospectData.country || "N/A"}
-* \`[Language]\`: ${language}
-* \`[articles]\`: ${prospectData.articles || []}
-
-**Instructions for Email Generation:**
-1.  **Personalization:** Use \`[FirstName]\`,\`[LastName]\`, \`[JobTitle]\`, \`[CompanyName]\`, \`[occupation]\`, \`[LinkedInSummary]\`, \`[LinkedInHeadline]\`, \`[industry]\`, \`[experiences]\`, \`[groups]\`, \`[interests]\`, \`[volunteer_work]\`, \`[Language]\`, and \`[Country]\` \`[articles]\` to personalize the email uniquely to the contact.
-2.  **Value Proposition & Pain Points:** Identify 1-2 probable pain points based on ICP and Contact Info. Connect ProRecruit.tech features directly as solutions.
-3.  **Language, Formality, Tone & Etiquette:** Adapt formality based on \`[Country]\` and \`[Language]\` (French: formal 'vous'; US: professional but slightly less formal). Be respectful, helpful, not overly salesy.
-4.  **Structure & Best Practices:** Generate SUBJECT (short, personalized, benefit-oriented) and BODY (hook, pain/solution, low-commitment CTA maybe add my booking page url: https://calendar.app.google/YCJdfWBPQKEzvEN69). Keep body paragraphs short. NO GREETING ("Hi Name," or "Name,"). NO SIGN-OFF ("Regards,").
-5.  **Output:** Respond ONLY with the JSON object containing 'subject' and 'body' fields as defined in the output schema.
-`;
-  // --- End Base Prompt Text ---
-
-  // Replace placeholders (basic implementation, refine as needed)
-  // Placeholders are already embedded in the template literal above.
-  // Add more sophisticated logic here if needed to select pain points etc.
-
-  return basePrompt;
+/**
+ * Evaluates running A/B experiments and promotes winners (see experimentHelper.js).
+ * @param {object} [run] - Run context (see runHelper.js).
+ */
+async function handleExperiments(run = createRun()) {
+  logger.info(`Starting experiment evaluation. Max experiments: ${run.limits.experiments}`);
+  try {
+    const stats = await evaluateRunningExperiments(run, db, logger);
+    logger.info(`Experiments phase complete: ${JSON.stringify(stats)}`);
+    return stats;
+  } catch (error) {
+    logger.error("Error during experiments phase:", error);
+    recordError(run, "experiments", error);
+    return {};
+  }
 }
 
-// --- Cloud Function Entry Point ---
-functions.http("processProspects", async (req, res) => {
+// --- Cloud Function Entry Points ---
+
+// Stats of each phase are reported under the phase name
+const PHASE_HANDLERS = {
+  enrichment: handleEnrichment,
+  ai: handleAiInitialEmail,
+  initial: handleInitialEmails,
+  followups: handleFollowupEmails,
+  experiments: handleExperiments,
+  crmSync: handleCrmSync,
+};
+
+/**
+ * Runs pipeline phases for one request and responds with the run report.
+ * Query parameters: `phases` (processProspects only), `limits`, `dryRun`, `at`.
+ * @param {object} req - HTTP request.
+ * @param {object} res - HTTP response.
+ * @param {string[]} [fixedPhases] - Phases of a dedicated function target.
+ */
+async function runPipeline(req, res, fixedPhases = null) {
   // Initialize on first invocation (or cold start)
   logger.info("Initializing... - logger", req.get("User-Agent"));
   try {
@@ -947,54 +2028,770 @@ functions.http("processProspects", async (req, res) => {
        return;
     } */
 
+  let phases, limits;
   try {
-    // --- Phase 1: Enrichment ---
-    const enrichmentStats = await handleEnrichment();
+    phases = fixedPhases || parsePhases(req.query.phases);
+    limits = parseLimitOverrides(req.query.limits);
+  } catch (parseError) {
+    res.status(400).send(`Bad Request: ${parseError.message}`);
+    return;
+  }
 
-    // --- Phase 2: AI Email Generation --- << NEW STEP
-    const aiGenerationStats = await handleAiInitialEmail();
+  // ?dryRun=true plans the run without paid API calls, emails or Firestore
+  // writes; ?at=<ISO date> evaluates due dates and send windows at that time.
+  const dryRun = req.query.dryRun === "true";
+  let now = new Date();
+  if (dryRun && req.query.at) {
+    now = new Date(req.query.at);
+    if (isNaN(now.getTime())) {
+      res.status(400).send("Bad Request: invalid 'at' date");
+      return;
+    }
+  }
+  const trigger =
+    req.get("User-Agent") === "Google-Cloud-Scheduler"
+      ? "scheduler"
+      : req.query.trigger || "manual";
+  const run = createRun({ dryRun, now, trigger, phases, limits });
+  if (dryRun) {
+    logger.info(`Dry run requested (at ${now.toISOString()}).`);
+  }
+  logger.info(
+    `Run ${run.id} phases: ${phases.join(", ")}. Limits: ${JSON.stringify(
+      run.limits
+    )}`
+  );
 
-    // --- Initialize Stats Variables ---
-    // Initialize stats here so they exist even if the block is skipped
-    let initialEmailStats = { sent: 0, errors: 0 };
-    let followupEmailStats = { sent: 0, errors: 0 };
-    // --- Check Day of Week ---
-    const today = new Date();
-    const dayOfWeek = today.getDay(); // 0=Sun, 1=Mon, 2=Tue, 3=Wed, 4=Thu, 5=Fri, 6=Sat
-    const isWeekdayToSend = dayOfWeek >= 2 && dayOfWeek <= 5; // Check if Tuesday to Friday
+  const stats = {};
+  try {
+    // Sending phases run every invocation; each prospect is only emailed inside
+    // its own local send window (SEND_WINDOW), so schedule them at least hourly.
+    for (const phase of phases) {
+      stats[phase] = await PHASE_HANDLERS[phase](run);
+    }
 
+    const report = buildRunReport(run, stats);
     logger.info(
-      `Current day of week: ${dayOfWeek}. Is sending day (Tue-Fri)? ${isWeekdayToSend}`
+      `Prospect processing finished. Run ${run.id}: ${JSON.stringify(
+        stats
+      )}, Errors: ${run.errors.length}.`
     );
+    // Dry runs keep their promise of writing nothing to Firestore
+    if (!run.dryRun) {
+      report.saveError = await saveRunReport(report, db, logger);
+    }
+    res.status(200).json(report);
+  } catch (error) {
+    logger.error("Unhandled error in processProspects function:", error);
+    recordError(run, "run", error);
+    const report = { ...buildRunReport(run, stats), status: "failed" };
+    if (!run.dryRun) {
+      report.saveError = await saveRunReport(report, db, logger);
+    }
+    res.status(500).json(report);
+  }
+}
 
-    // --- Phase 3 & 4: Conditional Email Sending ---
-    if (isWeekdayToSend) {
-      logger.info("Executing email sending phases (Tuesday-Friday).");
+// All phases, or the ones chosen with ?phases=enrichment,ai
+functions.http("processProspects", (req, res) => runPipeline(req, res));
+
+// One target per phase, so each can have its own Cloud Scheduler job
+functions.http("processEnrichment", (req, res) =>
+  runPipeline(req, res, ["enrichment"])
+);
+functions.http("processAiEmails", (req, res) => runPipeline(req, res, ["ai"]));
+functions.http("processInitialEmails", (req, res) =>
+  runPipeline(req, res, ["initial"])
+);
+functions.http("processFollowups", (req, res) =>
+  runPipeline(req, res, ["followups"])
+);
+functions.http("processExperiments", (req, res) =>
+  runPipeline(req, res, ["experiments"])
+);
+functions.http("processCrmSync", (req, res) =>
+  runPipeline(req, res, ["crmSync"])
+);
+
+// --- Run History Entry Point ---
+// GET ?id=<runId> shows one run, otherwise lists the most recent runs (?limit=).
+functions.http("runs", async (req, res) => {
+  try {
+    initialize();
+  } catch (initError) {
+    console.error("Initialization failed in entry point:", initError);
+    res.status(500).send("Internal Server Error: Initialization Failed");
+    return;
+  }
 
-      // --- Phase 3: Initial Emails ---
-      // Run only on Tue, Wed, Thu, Fri
-      initialEmailStats = await handleInitialEmails();
+  if (!isAuthorizedAdminRequest(req)) {
+    res.status(403).send("Forbidden");
+    return;
+  }
+  if (req.method !== "GET") {
+    res.status(405).send("Method Not Allowed");
+    return;
+  }
 
-      // --- Phase 4: Follow-up Emails ---
-      // Run only on Tue, Wed, Thu, Fri
-      followupEmailStats = await handleFollowupEmails();
-    } else {
-      logger.info("Skipping email sending phases (Not Tuesday-Friday).");
-      // initialEmailStats and followupEmailStats will keep their initial { sent: 0, errors: 0 } values
+  try {
+    if (req.query.id) {
+      const run = await getRun(req.query.id, db);
+      if (!run) {
+        res.status(404).send("Not Found");
+        return;
+      }
+      res.status(200).json(run);
+      return;
     }
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 20, 100));
+    res.status(200).json({ runs: await listRuns(db, limit) });
+  } catch (error) {
+    logger.error("Failed to read run history:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// --- SendGrid Event Webhook Entry Point ---
+functions.http("sendgridEvents", async (req, res) => {
+  try {
+    initialize();
+  } catch (initError) {
+    console.error("Initialization failed in entry point:", initError);
+    res.status(500).send("Internal Server Error: Initialization Failed");
+    return;
+  }
+
+  if (req.method !== "POST") {
+    res.status(405).send("Method Not Allowed");
+    return;
+  }
 
-    logger.info("Prospect processing finished successfully.");
+  const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+  if (!publicKey) {
+    logger.error("SENDGRID_WEBHOOK_PUBLIC_KEY not set. Cannot verify events.");
+    res.status(500).send("Internal Server Error: Webhook verification not configured");
+    return;
+  }
+
+  const isVerified = verifyEventWebhookSignature(
+    publicKey,
+    req.rawBody,
+    req.get(SIGNATURE_HEADER),
+    req.get(TIMESTAMP_HEADER)
+  );
+  if (!isVerified) {
+    logger.warn("Rejected SendGrid event batch: invalid signature.");
+    res.status(403).send("Forbidden");
+    return;
+  }
+
+  const events = Array.isArray(req.body) ? req.body : [];
+  logger.info(`Received ${events.length} SendGrid events.`);
+
+  try {
+    const stats = await processSendgridEvents(events, db, logger);
     res.status(200).send(
-      `OK. Enriched: ${enrichmentStats.successful}/${enrichmentStats.processed}. ` +
-      `AI Generated: ${aiGenerationStats.generated} (Errors: ${aiGenerationStats.errors}). ` + // Added AI stats
-        `Initial Sent: ${initialEmailStats.sent} (Errors: ${initialEmailStats.errors}). ` +
-        `Follow-up Sent: ${followupEmailStats.sent} (Errors: ${followupEmailStats.errors}).`
+      `OK. Events: ${stats.received}. Prospects updated: ${stats.prospectsUpdated}. ` +
+        `Status changes: ${stats.statusChanges}. Skipped: ${stats.skipped}.`
     );
   } catch (error) {
-    logger.error("Unhandled error in processProspects function:", error);
+    logger.error("Unhandled error in sendgridEvents function:", error);
+    // Non-2xx makes SendGrid retry the batch
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// --- Inbound Reply (SendGrid Inbound Parse) Entry Point ---
+functions.http("inboundReplies", async (req, res) => {
+  try {
+    initialize();
+  } catch (initError) {
+    console.error("Initialization failed in entry point:", initError);
+    res.status(500).send("Internal Server Error: Initialization Failed");
+    return;
+  }
+
+  // Inbound Parse does not sign requests, so the webhook URL carries a shared token
+  const expectedToken = process.env.INBOUND_PARSE_TOKEN;
+  if (!expectedToken || req.query.token !== expectedToken) {
+    logger.warn("Rejected inbound reply: missing or invalid token.");
+    res.status(403).send("Forbidden");
+    return;
+  }
+
+  let reply;
+  try {
+    reply = buildReplyFromFields(await parseInboundParseForm(req));
+  } catch (parseError) {
+    logger.error("Could not parse inbound reply payload:", parseError);
+    res.status(400).send("Bad Request");
+    return;
+  }
+
+  try {
+    const match = await findProspectForReply(reply, db);
+    if (!match) {
+      logger.warn(
+        `No prospect matches inbound reply from ${reply.from} (Subject: ${reply.subject}).`
+      );
+      // 2xx so Inbound Parse does not retry an email we will never match
+      res.status(200).send("OK. No matching prospect.");
+      return;
+    }
+    logger.info(
+      `Inbound reply from ${reply.from} matched prospect ${match.id} by ${match.matchedBy}.`
+    );
+
+    let classification;
+    try {
+      classification = await classifyReply(getGenerativeModel(vertexai, 0), reply);
+    } catch (aiError) {
+      logger.error(`Reply classification failed for prospect ${match.id}:`, aiError);
+      // Unclassified replies still stop the sequence and go to manual review
+      classification = {
+        intent: REPLY_INTENTS.OTHER,
+        summary: `Classification failed: ${aiError.message}`,
+        returnDate: null,
+        referredContact: null,
+      };
+    }
+
+    // Replies to a prospect moved to leads update the lead
+    const leadId = getLeadIdForProspect(match.data);
+    const leadDoc = leadId ? await db.collection("leads").doc(leadId).get() : null;
+    const updateData = buildReplyUpdate(
+      leadDoc?.exists ? leadDoc.data() : match.data,
+      reply,
+      classification,
+      match.sequenceStep
+    );
+    if (leadDoc?.exists) {
+      await leadDoc.ref.update({
+        ...updateData,
+        lastModifiedTimestamp: admin.firestore.Timestamp.now(),
+      });
+      logger.info(`Reply of prospect ${match.id} recorded on lead ${leadId}.`);
+    } else {
+      await updateProspect(match.id, updateData, db, logger);
+    }
+    await queueCrmSync(
+      match.id,
+      CRM_SYNC_EVENTS.REPLIED,
+      { intent: classification.intent, summary: classification.summary || null },
+      db,
+      logger
+    );
+
+    // Replied prospects leave the follow-up query (followupNotNeeded), so the
+    // sequence's onReply exit is applied here. Unsubscribes are never moved to leads.
+    const sequences = await loadSequences(db, logger);
+    const { sequence } = getProspectSequencePosition(match.data, sequences);
+    const status = updateData.outreachStatus || match.data.outreachStatus;
+    let movedToLeads = false;
+    if (
+      getSequenceStatuses(sequences).includes(match.data.outreachStatus) &&
+      status !== OUTREACH_STATUS.UNSUBSCRIBED &&
+      getSequenceExitReason(sequence, {
+        ...match.data,
+        lastReplyTimestamp: updateData.lastReplyTimestamp,
+        replyIntent: classification.intent,
+      }) === "replied"
+    ) {
+      try {
+        const move = await moveSequenceEndToLeads(
+          createRun({ trigger: "inboundReply" }),
+          "replies",
+          match.id,
+          "replied",
+          (freshData) => freshData.outreachStatus === status
+        );
+        movedToLeads = move.moved;
+        if (!move.moved) {
+          logger.info(`Not moving prospect ${match.id} to leads: ${move.reason}`);
+        }
+      } catch (moveError) {
+        // The reply is stored, a retry of the webhook would record it twice
+        logger.error(`Failed to move prospect ${match.id} to leads:`, moveError);
+      }
+    }
+    res
+      .status(200)
+      .send(
+        `OK. Prospect: ${match.id}. Intent: ${classification.intent}. ` +
+          `Status: ${movedToLeads ? OUTREACH_STATUS.MOVED_TO_LEADS : status}.`
+      );
+  } catch (error) {
+    logger.error("Unhandled error in inboundReplies function:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// --- Proxycurl Work Email Callback Entry Point ---
+functions.http("proxycurlCallback", async (req, res) => {
+  try {
+    initialize();
+  } catch (initError) {
+    console.error("Initialization failed in entry point:", initError);
+    res.status(500).send("Internal Server Error: Initialization Failed");
+    return;
+  }
+
+  // Token is appended to PROXYCURL_CALLBACK_URL by buildWorkEmailCallbackUrl
+  const expectedToken = process.env.PROXYCURL_CALLBACK_TOKEN;
+  if (!expectedToken || req.query.token !== expectedToken) {
+    logger.warn("Rejected Proxycurl callback: missing or invalid token.");
+    res.status(403).send("Forbidden");
+    return;
+  }
+
+  try {
+    const stats = await handleWorkEmailCallback(req.body, db, logger);
+    res
+      .status(200)
+      .send(`OK. Matched: ${stats.matched}. Updated: ${stats.updated}.`);
+  } catch (error) {
+    logger.error("Unhandled error in proxycurlCallback function:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// --- Lead Re-engagement Entry Point ---
+// POST { leadIds: [...], sequenceId?, campaign? } moves leads back to prospects.
+functions.http("reengageLeads", async (req, res) => {
+  try {
+    initialize();
+  } catch (initError) {
+    console.error("Initialization failed in entry point:", initError);
+    res.status(500).send("Internal Server Error: Initialization Failed");
+    return;
+  }
+
+  if (!isAuthorizedAdminRequest(req)) {
+    res.status(403).send("Forbidden");
+    return;
+  }
+  const { leadIds, sequenceId, campaign } = req.body || {};
+  if (req.method !== "POST" || !Array.isArray(leadIds) || leadIds.length === 0) {
+    res.status(400).send("Bad Request: POST a JSON body with a non-empty leadIds array.");
+    return;
+  }
+
+  const results = [];
+  for (const leadId of leadIds) {
+    try {
+      const prospectId = await moveLeadToProspects(leadId, db, logger, {
+        sequenceId,
+        campaign,
+      });
+      results.push({ leadId, prospectId, success: true });
+    } catch (error) {
+      logger.error(`Failed to re-engage lead ${leadId}:`, error.message);
+      results.push({ leadId, success: false, error: error.message });
+    }
+  }
+  res.status(200).json({ results });
+});
+
+// --- Suppression Import Entry Point ---
+// POST a CSV (text/csv) or JSON array. `?source=` labels the entries,
+// e.g. `sendgrid_bounces` for a SendGrid suppression export.
+functions.http("importSuppressions", async (req, res) => {
+  try {
+    initialize();
+  } catch (initError) {
+    console.error("Initialization failed in entry point:", initError);
+    res.status(500).send("Internal Server Error: Initialization Failed");
+    return;
+  }
+
+  if (!isAuthorizedAdminRequest(req)) {
+    res.status(403).send("Forbidden");
+    return;
+  }
+  if (req.method !== "POST") {
+    res.status(405).send("Method Not Allowed");
+    return;
+  }
+
+  let rows;
+  try {
+    rows = parseSuppressionUpload(req.is("application/json") ? req.body : req.rawBody);
+  } catch (parseError) {
+    logger.warn("Could not parse suppression upload:", parseError.message);
+    res.status(400).send(`Bad Request: ${parseError.message}`);
+    return;
+  }
+
+  try {
+    const source = req.query.source || "manual_import";
+    const { entries, rejected } = buildSuppressionEntries(rows, source);
+    const saved = await saveSuppressions(entries, db, logger);
+    res.status(200).json({ rows: rows.length, saved, rejected });
+  } catch (error) {
+    logger.error("Unhandled error in importSuppressions function:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// --- Prospect Import Entry Point ---
+// POST a CSV (text/csv) or JSON array of prospects, in our field names or a
+// Sales Navigator / HubSpot export. `?source=` labels the new prospects,
+// `?dryRun=true` returns the per-row report without writing.
+functions.http("importProspects", async (req, res) => {
+  try {
+    initialize();
+  } catch (initError) {
+    console.error("Initialization failed in entry point:", initError);
+    res.status(500).send("Internal Server Error: Initialization Failed");
+    return;
+  }
+
+  if (!isAuthorizedAdminRequest(req)) {
+    res.status(403).send("Forbidden");
+    return;
+  }
+  if (req.method !== "POST") {
+    res.status(405).send("Method Not Allowed");
+    return;
+  }
+
+  let rows;
+  try {
+    rows = parseProspectUpload(req.is("application/json") ? req.body : req.rawBody);
+  } catch (parseError) {
+    logger.warn("Could not parse prospect upload:", parseError.message);
+    res.status(400).send(`Bad Request: ${parseError.message}`);
+    return;
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    res
+      .status(413)
+      .send(`Payload Too Large: ${rows.length} rows, split uploads into ${MAX_IMPORT_ROWS} rows or less`);
+    return;
+  }
+
+  try {
+    const result = await importProspects(
+      rows,
+      {
+        source: req.query.source || "manual_import",
+        dryRun: req.query.dryRun === "true",
+      },
+      db,
+      logger
+    );
+    res.status(200).json({ rowCount: rows.length, dryRun: req.query.dryRun === "true", ...result });
+  } catch (error) {
+    logger.error("Unhandled error in importProspects function:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+// --- Prospect Export Entry Point ---
+// GET streams prospects as CSV (default) or NDJSON (`?format=ndjson`).
+// Fields: `?preset=` (crm_handoff, full_enrichment, reporting) or `?fields=a,b`.
+// Filters (comma separated values match any): outreachStatus, emailStatus,
+// language, segment, country; date ranges contactedFrom/contactedTo and
+// enrichedFrom/enrichedTo (ISO dates, `To` exclusive). `?limit=` caps rows.
+functions.http("exportProspects", async (req, res) => {
+  try {
+    initialize();
+  } catch (initError) {
+    console.error("Initialization failed in entry point:", initError);
+    res.status(500).send("Internal Server Error: Initialization Failed");
+    return;
+  }
+
+  if (!isAuthorizedAdminRequest(req)) {
+    res.status(403).send("Forbidden");
+    return;
+  }
+  if (req.method !== "GET") {
+    res.status(405).send("Method Not Allowed");
+    return;
+  }
+
+  const { options, error: queryError } = parseExportQuery(req.query);
+  if (queryError) {
+    res.status(400).send(`Bad Request: ${queryError}`);
+    return;
+  }
+
+  try {
+    await streamProspectExport(res, options, db, logger);
+  } catch (error) {
+    logger.error("Unhandled error in exportProspects function:", error);
+    if (res.headersSent) {
+      // Mid-stream failure: a truncated file is all we can signal
+      res.end();
+    } else {
+      res.status(500).send("Internal Server Error");
+    }
+  }
+});
+
+// --- Prompt Preview Entry Point ---
+// Renders the AI initial email prompt for `?prospectId=`, with the template the
+// pipeline would select, or `?templateId=` (latest version, drafts included) and
+// `?version=`. POST { text } renders an unsaved template text instead.
+functions.http("previewPrompt", async (req, res) => {
+  try {
+    initialize();
+  } catch (initError) {
+    console.error("Initialization failed in entry point:", initError);
+    res.status(500).send("Internal Server Error: Initialization Failed");
+    return;
+  }
+
+  if (!isAuthorizedAdminRequest(req)) {
+    res.status(403).send("Forbidden");
+    return;
+  }
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.status(405).send("Method Not Allowed");
+    return;
+  }
+
+  const { prospectId, templateId } = req.query;
+  const version = req.query.version ? Number(req.query.version) : undefined;
+  const text = req.method === "POST" ? req.body?.text : undefined;
+  if (!prospectId) {
+    res.status(400).send("Bad Request: prospectId is required");
+    return;
+  }
+  if (version !== undefined && (!Number.isInteger(version) || !templateId)) {
+    res.status(400).send("Bad Request: version must be an integer and needs templateId");
+    return;
+  }
+  if (req.method === "POST" && (typeof text !== "string" || !text.trim())) {
+    res.status(400).send("Bad Request: POST needs a JSON body with the template text");
+    return;
+  }
+
+  try {
+    const prospectDoc = await db.collection("prospects").doc(prospectId).get();
+    if (!prospectDoc.exists) {
+      res.status(404).send(`Prospect ${prospectId} not found`);
+      return;
+    }
+    const prospectData = { ...prospectDoc.data(), id: prospectDoc.id };
+
+    let template;
+    if (text !== undefined) {
+      const unknownVariables = findUnknownVariables(text);
+      if (unknownVariables.length > 0) {
+        res.status(400).send(`Bad Request: unknown variables ${unknownVariables.join(", ")}`);
+        return;
+      }
+      template = { templateId: null, version: null, status: "unsaved", text };
+    } else if (templateId) {
+      template = await getPromptTemplateVersion(db, logger, templateId, version);
+      if (!template) {
+        res.status(404).send(`Prompt template ${templateId}${version ? ` v${version}` : ""} not found`);
+        return;
+      }
+    } else {
+      template = selectPromptTemplate(prospectData, await loadPromptTemplates(db, logger));
+    }
+
+    const { prompt, emptyVariables } = renderPrompt(template.text, prospectData);
+    res.status(200).json({
+      prospectId,
+      promptTemplateId: template.templateId,
+      promptVersion: template.version,
+      status: template.status,
+      emptyVariables,
+      prompt,
+    });
+  } catch (error) {
+    logger.error("Unhandled error in previewPrompt function:", error);
     res.status(500).send("Internal Server Error");
   }
 });
 
 // Export for Functions Framework (if not using HTTP)
 // exports.processProspects = processProspects; // Example for background function
+
+/**
+ * HTTP Cloud Function (admin): re-applies the current field mappings to cached
+ * provider responses, without enrichment API calls. POST JSON body:
+ * { prospectIds: [...] } or { limit, startAfter } to page through enriched prospects.
+ * Prospects without a cached profile are skipped.
+ */
+functions.http("remapEnrichment", async (req, res) => {
+  try {
+    initialize();
+  } catch (initError) {
+    console.error("Initialization failed in entry point:", initError);
+    res.status(500).send("Internal Server Error: Initialization Failed");
+    return;
+  }
+
+  if (!isAuthorizedAdminRequest(req)) {
+    res.status(403).send("Forbidden");
+    return;
+  }
+  if (req.method !== "POST") {
+    res.status(405).send("Method Not Allowed");
+    return;
+  }
+
+  const { prospectIds, startAfter } = req.body || {};
+  const limit = Math.max(1, Math.min(parseInt(req.body?.limit, 10) || 100, 500));
+  if (prospectIds !== undefined && !Array.isArray(prospectIds)) {
+    res.status(400).send("Bad Request: prospectIds must be an array");
+    return;
+  }
+
+  try {
+    let docs;
+    if (prospectIds) {
+      if (prospectIds.length === 0) {
+        res.status(200).json({ remapped: 0, skipped: 0, lastProspectId: null });
+        return;
+      }
+      docs = await db.getAll(
+        ...prospectIds
+          .slice(0, limit)
+          .map((id) => db.collection("prospects").doc(String(id)))
+      );
+    } else {
+      let query = db
+        .collection("prospects")
+        .where("enrichmentSuccess", "==", true)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(limit);
+      if (startAfter) query = query.startAfter(String(startAfter));
+      docs = (await query.get()).docs;
+    }
+
+    let remapped = 0;
+    const skipped = [];
+    for (const doc of docs) {
+      if (!doc.exists) {
+        skipped.push({ prospectId: doc.id, reason: "Prospect not found" });
+        continue;
+      }
+      const result = await remapProspectFromCache(
+        { id: doc.id, ...doc.data() },
+        db,
+        logger
+      );
+      if (!result.remapped) {
+        skipped.push({ prospectId: doc.id, reason: result.error });
+        continue;
+      }
+      await updateProspect(doc.id, result.updateData, db, logger);
+      remapped++;
+    }
+    logger.info(`Remapped ${remapped} prospects from the enrichment cache.`);
+    res.status(200).json({
+      remapped,
+      skipped,
+      // Pass back as startAfter to continue paging
+      lastProspectId: docs.length > 0 ? docs[docs.length - 1].id : null,
+    });
+  } catch (error) {
+    logger.error("Unhandled error in remapEnrichment function:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
+
+/**
+ * HTTP Cloud Function (admin): manual review of prospects in the terminal
+ * `enrichment_failed` status.
+ * GET lists them (`?limit`, max 500). POST { prospectIds, linkedinUrls? } puts
+ * them back in the enrichment queue with a fresh attempt count; `linkedinUrls`
+ * optionally maps prospect IDs to corrected LinkedIn URLs (prospects whose URL
+ * is not a LinkedIn profile come back under `invalid`).
+ */
+functions.http("enrichmentReview", async (req, res) => {
+  try {
+    initialize();
+  } catch (initError) {
+    console.error("Initialization failed in entry point:", initError);
+    res.status(500).send("Internal Server Error: Initialization Failed");
+    return;
+  }
+
+  if (!isAuthorizedAdminRequest(req)) {
+    res.status(403).send("Forbidden");
+    return;
+  }
+
+  try {
+    if (req.method === "GET") {
+      const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 100, 500));
+      const snapshot = await db
+        .collection("prospects")
+        .where("outreachStatus", "==", OUTREACH_STATUS.ENRICHMENT_FAILED)
+        .limit(limit)
+        .get();
+      res.status(200).json({
+        prospects: snapshot.docs.map((doc) => {
+          const prospect = doc.data();
+          return {
+            id: doc.id,
+            linkedinUrl: prospect.linkedinUrl || null,
+            enrichmentAttempts: prospect.enrichmentAttempts || 0,
+            enrichmentFailureType: prospect.enrichmentFailureType || null,
+            lastEnrichmentError: prospect.lastEnrichmentError || null,
+            enrichmentFailedAt:
+              prospect.enrichmentFailedTimestamp?.toDate().toISOString() || null,
+          };
+        }),
+      });
+      return;
+    }
+    if (req.method !== "POST") {
+      res.status(405).send("Method Not Allowed");
+      return;
+    }
+
+    const { prospectIds, linkedinUrls = {} } = req.body || {};
+    if (!Array.isArray(prospectIds) || prospectIds.length === 0) {
+      res.status(400).send("Bad Request: prospectIds must be a non-empty array");
+      return;
+    }
+    const requeued = [];
+    const skipped = [];
+    const invalid = []; // LinkedIn URL override that is not a profile URL
+    for (const prospectId of prospectIds.slice(0, 500).map(String)) {
+      const doc = await db.collection("prospects").doc(prospectId).get();
+      if (
+        !doc.exists ||
+        doc.data().outreachStatus !== OUTREACH_STATUS.ENRICHMENT_FAILED
+      ) {
+        skipped.push(prospectId);
+        continue;
+      }
+      const linkedinUrl = linkedinUrls[prospectId]
+        ? normalizeLinkedinUrl(linkedinUrls[prospectId])
+        : null;
+      if (linkedinUrls[prospectId] && !linkedinUrl) {
+        invalid.push(prospectId);
+        continue;
+      }
+      await updateProspect(
+        prospectId,
+        {
+          outreachStatus: OUTREACH_STATUS.PENDING_UPLOAD,
+          outreachStatusMessage: "Requeued for enrichment after manual review",
+          enrichmentSuccess: false,
+          enrichmentAttempts: 0,
+          enrichmentFailureType: admin.firestore.FieldValue.delete(),
+          nextEnrichmentAttemptAt: admin.firestore.FieldValue.delete(),
+          ...(linkedinUrl ? { linkedinUrl, linkedinUrlFound: true } : {}),
+        },
+        db,
+        logger
+      );
+      requeued.push(prospectId);
+    }
+    logger.info(`Requeued ${requeued.length} prospects for enrichment.`);
+    res.status(200).json({ requeued, skipped, invalid });
+  } catch (error) {
+    logger.error("Unhandled error in enrichmentReview function:", error);
+    res.status(500).send("Internal Server Error");
+  }
+});
@@ -0,0 +1,270 @@
+const admin = require("firebase-admin");
+const { OUTREACH_STATUS } = require("./config");
+
+const LEAD_STATUS = {
+  NEW: "new", // Moved from prospects, waiting for sales
+  RETURNED_TO_PROSPECTS: "returned_to_prospects", // Sent back for a re-engagement campaign
+};
+
+// Prospects in these statuses must never be emailed again
+const NON_CONTACTABLE_STATUSES = [
+  OUTREACH_STATUS.UNSUBSCRIBED,
+  OUTREACH_STATUS.DO_NOT_CONTACT,
+];
+
+/**
+ * Returns the lead that receives a moved prospect's engagement and replies, so
+ * webhooks keep the lead up to date rather than the archived prospect.
+ * @param {object} prospectData - Prospect data from Firestore.
+ * @returns {string|null} Lead document ID, null if the prospect was not moved.
+ */
+function getLeadIdForProspect(prospectData) {
+  return prospectData.outreachStatus === OUTREACH_STATUS.MOVED_TO_LEADS
+    ? prospectData.leadId || null
+    : null;
+}
+
+/**
+ * Summarizes the engagement recorded by the SendGrid and reply webhooks.
+ * @param {object} prospectData - Prospect data from Firestore.
+ * @returns {object} Engagement summary.
+ */
+function buildEngagementSummary(prospectData) {
+  const perEmail = Object.values(prospectData.engagement || {});
+  const sum = (field) =>
+    perEmail.reduce((total, email) => total + (email[field] || 0), 0);
+  return {
+    opened: !!prospectData.lastOpenedTimestamp,
+    clicked: !!prospectData.lastClickedTimestamp,
+    replied: !!prospectData.lastReplyTimestamp,
+    bounced: !!prospectData.bounceTimestamp,
+    totalOpens: sum("opens"),
+    totalClicks: sum("clicks"),
+    replyIntent: prospectData.replyIntent || null,
+    lastOpenedTimestamp: prospectData.lastOpenedTimestamp || null,
+    lastClickedTimestamp: prospectData.lastClickedTimestamp || null,
+    lastReplyTimestamp: prospectData.lastReplyTimestamp || null,
+  };
+}
+
+/**
+ * Builds the outreach history stored on the lead.
+ * @param {object} prospectData - Prospect data from Firestore.
+ * @returns {object} Outreach history.
+ */
+function buildOutreachHistory(prospectData) {
+  return {
+    sequenceId: prospectData.sequenceId || null,
+    followupsSent: prospectData.sequenceStep || 0,
+    outreachStatusBeforeMove: prospectData.outreachStatus || null,
+    sequenceExitReason: prospectData.sequenceExitReason || null,
+    lastContactedTimestamp: prospectData.lastContactedTimestamp || null,
+    engagement: prospectData.engagement || {},
+    replies: prospectData.replies || [],
+  };
+}
+
+/**
+ * Moves a prospect into the `leads` collection in a single transaction.
+ * The lead reuses the prospect document ID; the prospect is kept, marked as
+ * archived and pointing to the lead.
+ *
+ * @param {string} prospectId - Prospect document ID.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @param {object} [options] - { reason } why the prospect left its sequence.
+ * @returns {Promise<string>} Lead document ID.
+ * @throws {Error} If the prospect does not exist or was already moved.
+ */
+async function moveProspectToLead(prospectId, db, logger, options = {}) {
+  const prospectRef = db.collection("prospects").doc(prospectId);
+  const leadRef = db.collection("leads").doc(prospectId);
+
+  await db.runTransaction(async (transaction) => {
+    const prospectDoc = await transaction.get(prospectRef);
+    if (!prospectDoc.exists) {
+      throw new Error(`Prospect ${prospectId} not found.`);
+    }
+    // An overlapping run may have moved it already
+    if (prospectDoc.data().outreachStatus === OUTREACH_STATUS.MOVED_TO_LEADS) {
+      throw new Error(`Prospect ${prospectId} was already moved to leads.`);
+    }
+    const prospectData = {
+      ...prospectDoc.data(),
+      sequenceExitReason:
+        options.reason || prospectDoc.data().sequenceExitReason || null,
+    };
+    const now = admin.firestore.Timestamp.now();
+
+    // Drop outreach-only and bulky working fields, keep the enriched profile
+    const {
+      engagement,
+      replies,
+      aiFollowupEmails,
+      lease,
+      ...profile
+    } = prospectData;
+
+    transaction.set(leadRef, {
+      ...profile,
+      prospectId,
+      leadStatus: LEAD_STATUS.NEW,
+      aiInitialEmail: prospectData.aiInitialEmail || null,
+      aiFollowupEmails: aiFollowupEmails || {},
+      outreachHistory: buildOutreachHistory(prospectData),
+      engagementSummary: buildEngagementSummary(prospectData),
+      movedToLeadsTimestamp: now,
+      lastModifiedTimestamp: now,
+    });
+    transaction.update(prospectRef, {
+      outreachStatus: OUTREACH_STATUS.MOVED_TO_LEADS,
+      sequenceExitReason: prospectData.sequenceExitReason,
+      followupNotNeeded: true,
+      archived: true,
+      leadId: leadRef.id,
+      movedToLeadsTimestamp: now,
+      lastModifiedTimestamp: now,
+    });
+  });
+
+  logger.info(`Moved prospect ${prospectId} to leads.`);
+  return leadRef.id;
+}
+
+/**
+ * Sends a lead back to `prospects` for a re-engagement campaign.
+ * The prospect gets a fresh `pending_upload` status (and a new AI email),
+ * the previous campaign is kept in `previousCampaigns`, and the lead is
+ * marked as returned.
+ *
+ * @param {string} leadId - Lead document ID.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @param {object} [options] - { sequenceId, campaign } for the new campaign.
+ * @returns {Promise<string>} Prospect document ID.
+ * @throws {Error} If the lead is missing, already returned, or not contactable.
+ */
+async function moveLeadToProspects(leadId, db, logger, options = {}) {
+  const leadRef = db.collection("leads").doc(leadId);
+
+  const prospectId = await db.runTransaction(async (transaction) => {
+    const leadDoc = await transaction.get(leadRef);
+    if (!leadDoc.exists) {
+      throw new Error(`Lead ${leadId} not found.`);
+    }
+    const leadData = leadDoc.data();
+    if (leadData.leadStatus === LEAD_STATUS.RETURNED_TO_PROSPECTS) {
+      throw new Error(`Lead ${leadId} was already returned to prospects.`);
+    }
+
+    const prospectRef = db
+      .collection("prospects")
+      .doc(leadData.prospectId || leadId);
+    const prospectDoc = await transaction.get(prospectRef);
+    // Webhooks update the lead after the move (see getLeadIdForProspect); opt-outs
+    // also count when the lead's status was final and could not change
+    const prospectStatus = prospectDoc.exists ? prospectDoc.data().outreachStatus : null;
+    const blockingStatus = [prospectStatus, leadData.outreachStatus].find((status) =>
+      NON_CONTACTABLE_STATUSES.includes(status)
+    );
+    if (blockingStatus) {
+      throw new Error(
+        `Lead ${leadId} cannot be re-engaged (status: ${blockingStatus}).`
+      );
+    }
+    if (leadData.unsubscribedTimestamp || leadData.spamReportTimestamp) {
+      throw new Error(`Lead ${leadId} cannot be re-engaged (unsubscribed or reported spam).`);
+    }
+
+    const now = admin.firestore.Timestamp.now();
+    const deleteField = admin.firestore.FieldValue.delete();
+    // Signals of the previous campaign (kept in `previousCampaigns`) would end
+    // the new sequence at once and skew AI follow-ups and experiments
+    const previousCampaignFields = [
+      "lastReply",
+      "lastReplyTimestamp",
+      "replyIntent",
+      "referredContact",
+      "lastOpenedTimestamp",
+      "lastClickedTimestamp",
+      "lastClickedUrl",
+      "engagement",
+      "aiFollowupEmails",
+      "experiments",
+    ];
+    const reEngagementData = {
+      ...Object.fromEntries(previousCampaignFields.map((field) => [field, deleteField])),
+      outreachStatus: OUTREACH_STATUS.PENDING_UPLOAD,
+      archived: false,
+      followupNotNeeded: false,
+      leadId: deleteField,
+      sequenceId: options.sequenceId || deleteField,
+      sequenceStep: deleteField,
+      sequenceRecipient: deleteField, // The new campaign picks its own address
+      sequenceExitReason: deleteField,
+      followupNotBefore: deleteField,
+      aiInitialEmailTemplate: false, // Generate a new first email
+      campaign: options.campaign || leadData.campaign || null,
+      reEngagementCount: admin.firestore.FieldValue.increment(1),
+      previousCampaigns: admin.firestore.FieldValue.arrayUnion({
+        leadId,
+        campaign: leadData.campaign || null,
+        outreachHistory: {
+          sequenceId: leadData.outreachHistory?.sequenceId || null,
+          followupsSent: leadData.outreachHistory?.followupsSent || 0,
+          sequenceExitReason:
+            leadData.outreachHistory?.sequenceExitReason || null,
+          lastContactedTimestamp:
+            leadData.outreachHistory?.lastContactedTimestamp || null,
+        },
+        engagementSummary: leadData.engagementSummary || null,
+        returnedTimestamp: now,
+      }),
+      lastModifiedTimestamp: now,
+    };
+
+    if (prospectDoc.exists) {
+      transaction.update(prospectRef, reEngagementData);
+    } else {
+      // Prospect was deleted after the move, rebuild it from the lead profile
+      const {
+        outreachHistory,
+        engagementSummary,
+        leadStatus,
+        movedToLeadsTimestamp,
+        ...profile
+      } = leadData;
+      const prospectData = {
+        ...profile,
+        ...reEngagementData,
+        leadId: null,
+        sequenceId: options.sequenceId || null,
+        sequenceStep: null,
+        sequenceRecipient: null,
+        sequenceExitReason: null,
+        followupNotBefore: null,
+        reEngagementCount: 1,
+      };
+      // set() does not accept deletes
+      previousCampaignFields.forEach((field) => delete prospectData[field]);
+      transaction.set(prospectRef, prospectData);
+    }
+    transaction.update(leadRef, {
+      leadStatus: LEAD_STATUS.RETURNED_TO_PROSPECTS,
+      returnedToProspectsTimestamp: now,
+      lastModifiedTimestamp: now,
+    });
+    return prospectRef.id;
+  });
+
+  logger.info(`Returned lead ${leadId} to prospects as ${prospectId}.`);
+  return prospectId;
+}
+
+module.exports = {
+  LEAD_STATUS,
+  getLeadIdForProspect,
+  buildEngagementSummary,
+  moveProspectToLead,
+  moveLeadToProspects,
+};
@@ -0,0 +1,272 @@
+// Versioned prompt templates for the AI initial emails. The built-in default can be
+// overridden and extended by the `promptTemplates` collection, one document per
+// version: { templateId, version, status, name?, priority?, match?, text }.
+// A version is never edited once active, new wording gets a new version.
+const { BOOKING_PAGE_URL } = require("./config");
+const { getExpectedLanguage } = require("./aiQualityHelper");
+
+const PROMPT_TEMPLATE_STATUS = {
+  DRAFT: "draft", // Previewable only
+  ACTIVE: "active",
+  RETIRED: "retired",
+};
+
+const DEFAULT_PROMPT_TEMPLATE_ID = "default";
+
+/**
+ * Formats a prospect field for a prompt, lists and objects as JSON.
+ * @param {*} value - Field value.
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === undefined || value === null) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// Variables available as {{name}} in template texts
+const PROMPT_VARIABLES = {
+  firstName: (p) => p.firstName || "Recruiter",
+  lastName: (p) => formatValue(p.lastName),
+  jobTitle: (p) => p.jobTitle || "Hiring Professional",
+  occupation: (p) => formatValue(p.occupation),
+  summary: (p) => formatValue(p.summary),
+  headline: (p) => formatValue(p.headline),
+  industry: (p) => formatValue(p.industry),
+  experiences: (p) => formatValue(p.experiences),
+  groups: (p) => formatValue(p.groups),
+  interests: (p) => formatValue(p.interests),
+  volunteerWork: (p) => formatValue(p.volunteer_work),
+  companyName: (p) => p.companyName || p.company || "",
+  country: (p) => p.country || "N/A",
+  language: (p) => getExpectedLanguage(p) || p.language,
+  articles: (p) => formatValue(p.articles || []),
+  segment: (p) => formatValue(p.segment),
+  campaign: (p) => formatValue(p.campaign),
+  bookingPageUrl: () => BOOKING_PAGE_URL,
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const DEFAULT_PROMPT_TEXT = `**Role:** You are an expert B2B copywriter specializing in crafting personalized, high-value cold emails for SaaS solutions targeting HR and recruitment professionals.
+
+**Goal:** Generate a concise, compelling, and culturally appropriate initial cold email in the provided language SUBJECT and BODY for a specific contact based on the provided details. The email should introduce ProRecruit.tech, highlight its value proposition relevant to the contact's likely pain points, and encourage a low-friction next step. Return ONLY the JSON object matching the requested function schema.
+
+**Product Information:**
+* **Product Name:** ProRecruit.tech
+* **Core Function:** An AI-powered recruitment platform designed to streamline hiring.
+* **Key Features & Solutions:** Automated CV Analysis & Ranking (Saves time screening), Psychoanalytical Assessments (Deeper insights for better cultural/soft skill fit), Bias Elimination Technology (Ensures fairness, compliance), Automated Candidate Notifications (Improves candidate experience), Centralized Candidate Management Interface (Organizes the hiring process), ad-hoc email to candidates, tailored technical assessments to the job description.
+
+**Ideal Customer Profile (ICP) Context:**
+* **Target Roles:** HR Managers, Talent Acquisition Specialists/Leads, Recruiters (Primary); HR Directors, VPs, CHROs, CEOs/Founders in smaller tech firms (Secondary).
+* **Target Industries:** Technology (High priority), Professional Services, Healthcare, Manufacturing, Financial Services.
+* **Target Company Size:** SMEs (2-500 employees - Primary), Mid-Market (501-1000 employees - Secondary).
+* **Common Pain Points:** Overwhelmed by applicant volume, time-consuming manual screening, difficulty assessing soft skills/fit, concerns about bias/compliance, low quality-of-hire, pressure to fill roles faster, disorganized processes.
+
+**Contact Specific Information:**
+* \`[FirstName]\`: {{firstName}}
+* \`[LastName]\`: {{lastName}}
+* \`[JobTitle]\`: {{jobTitle}}
+* \`[occupation]\`: {{occupation}}
+* \`[LinkedInSummary]\`: {{summary}}
+* \`[LinkedInHeadline]\`: {{headline}}
+* \`[industry]\`: {{industry}}
+* \`[experiences]\`: {{experiences}}
+* \`[groups]\`: {{groups}}
+* \`[interests]\`: {{interests}}
+* \`[volunteer_work]\`: {{volunteerWork}}
+* \`[CompanyName]\`: {{companyName}}
+* \`[Country]\`: {{country}}
+* \`[Language]\`: {{language}}
+* \`[articles]\`: {{articles}}
+
+**Instructions for Email Generation:**
+1.  **Personalization:** Use \`[FirstName]\`,\`[LastName]\`, \`[JobTitle]\`, \`[CompanyName]\`, \`[occupation]\`, \`[LinkedInSummary]\`, \`[LinkedInHeadline]\`, \`[industry]\`, \`[experiences]\`, \`[groups]\`, \`[interests]\`, \`[volunteer_work]\`, \`[Language]\`, and \`[Country]\` \`[articles]\` to personalize the email uniquely to the contact.
+2.  **Value Proposition & Pain Points:** Identify 1-2 probable pain points based on ICP and Contact Info. Connect ProRecruit.tech features directly as solutions.
+3.  **Language, Formality, Tone & Etiquette:** Adapt formality based on \`[Country]\` and \`[Language]\` (French: formal 'vous'; US: professional but slightly less formal). Be respectful, helpful, not overly salesy.
+4.  **Structure & Best Practices:** Generate SUBJECT (short, personalized, benefit-oriented) and BODY (hook, pain/solution, low-commitment CTA including my booking page url: {{bookingPageUrl}}). Keep body paragraphs short. No other links, no placeholders like \`[FirstName]\` left in the text. NO GREETING ("Hi Name," or "Name,"). NO SIGN-OFF ("Regards,").
+5.  **Output:** Respond ONLY with the JSON object containing 'subject' and 'body' fields as defined in the output schema.
+`;
+
+const DEFAULT_PROMPT_TEMPLATE = {
+  templateId: DEFAULT_PROMPT_TEMPLATE_ID,
+  version: 0, // Any stored version of 'default' replaces it
+  status: PROMPT_TEMPLATE_STATUS.ACTIVE,
+  name: "Built-in ProRecruit.tech initial email",
+  text: DEFAULT_PROMPT_TEXT,
+};
+
+/**
+ * Lists the {{variables}} of a template text that PROMPT_VARIABLES does not know.
+ * @param {string} text - Template text.
+ * @returns {string[]}
+ */
+function findUnknownVariables(text) {
+  const names = [...text.matchAll(VARIABLE_PATTERN)].map((match) => match[1]);
+  return [...new Set(names.filter((name) => !PROMPT_VARIABLES[name]))];
+}
+
+/**
+ * Checks a prompt template document.
+ * @param {object} template - Template version.
+ * @returns {string|null} Error message or null if valid.
+ */
+function validatePromptTemplate(template) {
+  if (!template.templateId) return "Missing templateId";
+  if (!Number.isInteger(template.version) || template.version < 1) {
+    return "version must be a positive integer";
+  }
+  if (!Object.values(PROMPT_TEMPLATE_STATUS).includes(template.status)) {
+    return `Unknown status '${template.status}'`;
+  }
+  if (typeof template.text !== "string" || !template.text.trim()) {
+    return "Missing text";
+  }
+  const unknown = findUnknownVariables(template.text);
+  if (unknown.length > 0) return `Unknown variables: ${unknown.join(", ")}`;
+  return null;
+}
+
+/**
+ * Reads a template version document, invalid ones are logged and ignored.
+ * @param {object} doc - Firestore document.
+ * @param {object} logger - Logger instance.
+ * @returns {object|null} Template version or null.
+ */
+function readTemplateDoc(doc, logger) {
+  const template = { ...doc.data(), docId: doc.id };
+  const error = validatePromptTemplate(template);
+  if (error) {
+    logger.error(`Ignoring invalid prompt template ${doc.id}: ${error}`);
+    return null;
+  }
+  return template;
+}
+
+/**
+ * Loads the latest active version of each prompt template, the built-in default
+ * included unless a stored 'default' replaces it.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<object[]>} Templates sorted by descending priority.
+ */
+async function loadPromptTemplates(db, logger) {
+  const templatesById = new Map([[DEFAULT_PROMPT_TEMPLATE_ID, DEFAULT_PROMPT_TEMPLATE]]);
+  try {
+    const snapshot = await db
+      .collection("promptTemplates")
+      .where("status", "==", PROMPT_TEMPLATE_STATUS.ACTIVE)
+      .get();
+    for (const doc of snapshot.docs) {
+      const template = readTemplateDoc(doc, logger);
+      const current = template && templatesById.get(template.templateId);
+      if (template && (!current || template.version > current.version)) {
+        templatesById.set(template.templateId, template);
+      }
+    }
+  } catch (error) {
+    logger.error("Could not load prompt templates from Firestore, using the default:", error);
+  }
+  return [...templatesById.values()].sort(
+    (a, b) => (b.priority || 0) - (a.priority || 0)
+  );
+}
+
+/**
+ * Loads one version of a template whatever its status, or its latest version.
+ * Used by the preview, so drafts can be rendered before they are activated.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @param {string} templateId - Template ID.
+ * @param {number} [version] - Version, latest if omitted.
+ * @returns {Promise<object|null>} Template version or null if not found.
+ */
+async function getPromptTemplateVersion(db, logger, templateId, version) {
+  let query = db.collection("promptTemplates").where("templateId", "==", templateId);
+  if (version !== undefined) query = query.where("version", "==", version);
+  const snapshot = await query.get();
+  const versions = snapshot.docs
+    .map((doc) => readTemplateDoc(doc, logger))
+    .filter(Boolean)
+    .sort((a, b) => b.version - a.version);
+  if (versions.length > 0) return versions[0];
+  return templateId === DEFAULT_PROMPT_TEMPLATE_ID && !version
+    ? DEFAULT_PROMPT_TEMPLATE
+    : null;
+}
+
+/**
+ * Checks whether a prospect satisfies the `match` criteria of a template:
+ * segments, languages (code or name) and campaigns. An empty `match` matches everyone.
+ * @param {object} prospectData - Prospect data.
+ * @param {object} template - Template version.
+ * @returns {boolean}
+ */
+function matchesPromptTemplate(prospectData, template) {
+  const match = template.match || {};
+  const lower = (value) => (value || "").toString().toLowerCase();
+  const inList = (list, ...values) =>
+    list.map(lower).some((item) => values.map(lower).includes(item));
+
+  if (match.segments?.length && !inList(match.segments, prospectData.segment)) {
+    return false;
+  }
+  const expectedLanguage = getExpectedLanguage(prospectData);
+  if (
+    match.languages?.length &&
+    // 'French' also matches 'fr', 'English' 'en'
+    !inList(match.languages, prospectData.language, expectedLanguage, expectedLanguage?.slice(0, 2))
+  ) {
+    return false;
+  }
+  if (match.campaigns?.length && !inList(match.campaigns, prospectData.campaign)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Chooses the prompt template of a prospect: the highest priority match,
+ * the default template otherwise.
+ * @param {object} prospectData - Prospect data.
+ * @param {object[]} templates - Result of loadPromptTemplates.
+ * @returns {object} Template version.
+ */
+function selectPromptTemplate(prospectData, templates) {
+  return (
+    templates.find(
+      (template) =>
+        template.templateId !== DEFAULT_PROMPT_TEMPLATE_ID &&
+        matchesPromptTemplate(prospectData, template)
+    ) ||
+    templates.find((template) => template.templateId === DEFAULT_PROMPT_TEMPLATE_ID) ||
+    DEFAULT_PROMPT_TEMPLATE
+  );
+}
+
+/**
+ * Renders a template text for a prospect.
+ * @param {string} text - Template text with {{variables}}.
+ * @param {object} prospectData - Prospect data.
+ * @returns {{prompt: string, emptyVariables: string[]}} The prompt, and the
+ *   variables that rendered empty for this prospect.
+ */
+function renderPrompt(text, prospectData) {
+  const emptyVariables = new Set();
+  const prompt = text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    if (!PROMPT_VARIABLES[name]) return placeholder;
+    const value = PROMPT_VARIABLES[name](prospectData) || "";
+    if (!value) emptyVariables.add(name);
+    return value;
+  });
+  return { prompt, emptyVariables: [...emptyVariables] };
+}
+
+module.exports = {
+  PROMPT_TEMPLATE_STATUS,
+  PROMPT_VARIABLES,
+  findUnknownVariables,
+  loadPromptTemplates,
+  getPromptTemplateVersion,
+  selectPromptTemplate,
+  renderPrompt,
+};
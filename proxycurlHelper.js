@@ -1,346 +1,433 @@
 const axios = require("axios");
 const admin = require("firebase-admin");
-const { EMAIL_STATUS } = require("./config");
+const {
+  EMAIL_STATUS,
+  OUTREACH_STATUS,
+  AWAITING_ADDRESS_STATUSES,
+  PROXYCURL_CREDIT_COSTS,
+} = require("./config");
+const { updateProspect } = require("./firestoreHelper");
+const { recordProxycurlUsage } = require("./creditBudgetHelper");
 
 const PROXYCURL_API_KEY = process.env.PROXYCURL_API_KEY_PATH;
 const PROXYCURL_HEADERS = { Authorization: `Bearer ${PROXYCURL_API_KEY}` };
 const PERSON_PROFILE_URL = "https://nubela.co/proxycurl/api/v2/linkedin";
 const WORK_EMAIL_LOOKUP_URL =
   "https://nubela.co/proxycurl/api/linkedin/profile/email"; // Adjust if different
-  const PERSONAL_EMAIL_LOOKUP_URL =
-    "https://nubela.co/proxycurl/api/contact-api/personal-email"; // Adjust if different
+const PERSONAL_EMAIL_LOOKUP_URL =
+  "https://nubela.co/proxycurl/api/contact-api/personal-email"; // Adjust if different
 
 /**
- * Enriches a prospect using Proxycurl.
- * @param {object} prospectData - Prospect data from Firestore.
- * @param {object} logger - Logger instance.
- * @returns {Promise<object|null>} Enrichment data or null if failed.
+ * Normalizes a LinkedIn profile URL to `https://www.linkedin.com/in/<slug>`.
+ * Handles missing schemes, country subdomains (fr.linkedin.com), query strings
+ * and sub-pages (/in/<slug>/details/...). Slugs are case-insensitive and lowercased.
+ * Other LinkedIn URLs (Sales Navigator leads, companies) keep their path.
+ * @param {string} url - Raw LinkedIn URL as stored, imported or returned by Proxycurl.
+ * @returns {string|null} Normalized URL or null if empty or not a LinkedIn URL.
  */
-async function enrichProspectWithProxycurl(prospectData, logger) {
-  if (!PROXYCURL_API_KEY) {
-    logger.error("PROXYCURL_API_KEY is not set.");
-    return {
-      success: false,
-      error: "Missing API Key",
-      updateData: {
-        emailStatus: EMAIL_STATUS.FAILED,
-        enrichmentTimestamp: admin.firestore.Timestamp.now(),
-        enrichmentSuccess: false,
-      },
-    };
+function normalizeLinkedinUrl(url) {
+  if (typeof url !== "string" || !url.trim()) return null;
+  let normalized = url.trim();
+  if (!/^https?:\/\//i.test(normalized)) {
+    normalized = "https://" + normalized;
+  }
+  let parsed;
+  try {
+    parsed = new URL(normalized);
+  } catch (error) {
+    return null;
   }
+  if (!/(^|\.)linkedin\.com$/i.test(parsed.hostname)) return null;
+  const profile = parsed.pathname.match(/^\/in\/([^/]+)/i);
+  if (profile) {
+    let slug = profile[1];
+    try {
+      slug = decodeURIComponent(slug);
+    } catch (error) {
+      // Malformed escape, keep the raw slug
+    }
+    return `https://www.linkedin.com/in/${encodeURIComponent(slug.toLowerCase())}`;
+  }
+  return `https://www.linkedin.com${parsed.pathname.replace(/\/+$/, "")}`;
+}
 
-  let linkedinUrl = prospectData.linkedinUrl;
+/**
+ * Checks whether a URL is a public LinkedIn profile, the only kind enrichment
+ * providers can look up.
+ * @param {string} url - Raw or normalized LinkedIn URL.
+ * @returns {boolean}
+ */
+function isLinkedinProfileUrl(url) {
+  return /^https:\/\/www\.linkedin\.com\/in\/[^/]+$/.test(
+    normalizeLinkedinUrl(url) || ""
+  );
+}
 
-  if (linkedinUrl && linkedinUrl.substring(0, 8) === "linkedin") {
-    linkedinUrl = "https://www." + prospectData.linkedinUrl;
-  }
+/**
+ * Builds the callback URL passed to the work email lookup.
+ * The shared token authenticates the callback, Proxycurl does not sign it.
+ * @returns {string|undefined} Callback URL or undefined if not configured.
+ */
+function buildWorkEmailCallbackUrl() {
+  const callbackUrl = process.env.PROXYCURL_CALLBACK_URL;
+  if (!callbackUrl) return undefined;
+  const token = process.env.PROXYCURL_CALLBACK_TOKEN;
+  if (!token) return callbackUrl;
+  const url = new URL(callbackUrl);
+  url.searchParams.set("token", token);
+  return url.toString();
+}
 
-  if (!linkedinUrl) {
-    logger.warn(
-      `Prospect ${prospectData.id} missing linkedinUrl. Skipping enrichment.`
-    );
-    return {
-      success: false,
-      error: "Missing LinkedIn URL",
-      updateData: {
-        emailStatus: EMAIL_STATUS.FAILED,
-        enrichmentTimestamp: admin.firestore.Timestamp.now(),
-        enrichmentSuccess: false,
+/**
+ * Calls a Proxycurl endpoint and logs its credit cost in the usage ledger.
+ * The cost comes from the X-Proxycurl-Credit-Cost header, or PROXYCURL_CREDIT_COSTS
+ * when it is missing (failed calls without the header are assumed free).
+ * @param {string} lookup - 'profile', 'workEmail' or 'personalEmail'.
+ * @param {string} url - Endpoint URL.
+ * @param {object} requestConfig - axios config (params, timeout).
+ * @param {object} [usage] - { db, runId, prospectId, credits } from the enrichment chain,
+ *   `credits` is incremented. Nothing is logged without it.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<object>} axios response.
+ */
+async function proxycurlGet(lookup, url, requestConfig, usage, logger) {
+  let response;
+  let error;
+  try {
+    response = await axios.get(url, { headers: PROXYCURL_HEADERS, ...requestConfig });
+  } catch (requestError) {
+    error = requestError;
+  }
+  const headerCost = parseFloat(
+    (response || error.response)?.headers?.["x-proxycurl-credit-cost"]
+  );
+  let credits = 0;
+  if (!Number.isNaN(headerCost)) {
+    credits = headerCost;
+  } else if (response) {
+    credits =
+      lookup === "personalEmail"
+        ? PROXYCURL_CREDIT_COSTS.personalEmail *
+          (response.data?.emails?.length || 0)
+        : PROXYCURL_CREDIT_COSTS[lookup];
+  }
+  if (usage?.db) {
+    usage.credits = (usage.credits || 0) + credits;
+    await recordProxycurlUsage(
+      {
+        lookup,
+        endpoint: new URL(url).pathname,
+        credits,
+        status: (response || error.response)?.status,
+        linkedinUrl: requestConfig.params?.linkedin_profile_url,
+        prospectId: usage.prospectId,
+        runId: usage.runId,
       },
-    }; // Mark as failed
+      usage.db,
+      logger
+    );
   }
-  logger.info(`Enriching profile for: ${linkedinUrl} - 1`);
+  if (error) throw error;
+  return response;
+}
+
+/**
+ * Maps a Proxycurl person profile to prospect fields.
+ * @param {object} personData - Proxycurl person profile.
+ * @param {object} prospectData - Prospect data from Firestore, used when Proxycurl has no value.
+ * @param {string} linkedinUrl - Normalized LinkedIn URL.
+ * @returns {object} Prospect fields.
+ */
+function mapProxycurlProfile(personData, prospectData, linkedinUrl) {
   const updateData = {};
-  let personData = null;
-  let workEmailData = null;
-  let success = true;
-  let finalEmailStatus = EMAIL_STATUS.FAILED; // Default to failed
-  logger.info(`Before try catch: ${linkedinUrl}`);
+  // Map fields carefully, handle nulls/missing data from Proxycurl
+  updateData.firstName =
+    personData.first_name || prospectData.firstName || ""; // Use existing if proxycurl fails
+  updateData.lastName = personData.last_name || prospectData.lastName || "";
+  updateData.fullName = personData.full_name || prospectData.fullName || "";
+  updateData.occupation =
+    personData.occupation || prospectData.occupation || "";
+  updateData.jobTitle = personData.occupation || prospectData.jobTitle || "";
+  updateData.industry = personData.industry || prospectData.industry || "";
+  updateData.country =
+    personData.country_full_name || prospectData.country || "";
+  updateData.city = personData.city || prospectData.city || "";
+  updateData.linkedinUrl = linkedinUrl;
+  updateData.companyName =
+    personData.current_company?.name ||
+    personData.company ||
+    prospectData.company ||
+    ""; // Check current_company first
+  updateData.location =
+    personData.city && personData.country_full_name
+      ? `${personData.city}, ${personData.country_full_name}`
+      : personData.location || prospectData.location || "";
+  // add the remaining properties from prospectData to updateData
+  updateData.numberOfEmployees =
+    personData.current_company?.employee_count ||
+    prospectData.numberOfEmployees ||
+    "";
+  updateData.companyWebsite =
+    personData.current_company?.website || prospectData.companyWebsite || "";
+  updateData.companyLinkedinUrl =
+    personData.current_company?.linkedin_url ||
+    prospectData.companyLinkedinUrl ||
+    "";
+  updateData.companyIndustry =
+    personData.current_company?.industry ||
+    prospectData.companyIndustry ||
+    "";
+  updateData.companyDescription =
+    personData.current_company?.description ||
+    prospectData.companyDescription ||
+    "";
+  updateData.companyCity =
+    personData.current_company?.city || prospectData.companyCity || "";
+  updateData.companyCountry =
+    personData.current_company?.country_full_name ||
+    prospectData.companyCountry ||
+    "";
+  updateData.companyLocation =
+    personData.current_company?.city &&
+    personData.current_company?.country_full_name
+      ? `${personData.current_company.city}, ${personData.current_company.country_full_name}`
+      : prospectData.companyLocation || "";
+  updateData.linkedinUrlFound = true;
+  updateData.linkedinProfileUrl = linkedinUrl;
+  updateData.groups = personData.groups || [];
+  updateData.articles = personData.articles || [];
+  updateData.skills = personData.skills || [];
+  updateData.languages = personData.languages || [];
+  updateData.interests = personData.interests || [];
+  updateData.educations = personData.educations || [];
+  updateData.experiences = personData.experiences || [];
+  updateData.headline = personData.headline || "";
+  updateData.summary = personData.summary || "";
+  updateData.accomplishment_publications =
+    personData.accomplishment_publications || [];
+  updateData.accomplishment_projects =
+    personData.accomplishment_projects || [];
+  updateData.accomplishment_certifications =
+    personData.accomplishment_certifications || [];
+  updateData.accomplishment_awards = personData.accomplishment_awards || [];
+  updateData.accomplishment_honors = personData.accomplishment_honors || [];
+  updateData.accomplishment_courses = personData.accomplishment_courses || [];
+  updateData.accomplishment_organisations =
+    personData.accomplishment_organisations || [];
+  updateData.accomplishment_events = personData.accomplishment_events || [];
+  updateData.accomplishment_jobs = personData.accomplishment_jobs || [];
+  updateData.accomplishment_skills = personData.accomplishment_skills || [];
+  updateData.accomplishment_languages =
+    personData.accomplishment_languages || [];
+  updateData.accomplishment_interests =
+    personData.accomplishment_interests || [];
+  updateData.accomplishment_educations =
+    personData.accomplishment_educations || [];
+  updateData.accomplishment_experiences =
+    personData.accomplishment_experiences || [];
+  updateData.volunteer_work = personData.volunteer_work || [];
+  updateData.birth_date = personData.birth_date || "";
+  updateData.personal_emails = personData.personal_emails || "";
+  updateData.personal_numbers = personData.personal_numbers || "";
+  updateData.personal_websites = personData.personal_websites || "";
+  updateData.personal_urls = personData.personal_urls || "";
+  updateData.personal_addresses = personData.personal_addresses || "";
+  updateData.gender = personData.gender || "";
+  updateData.extra = personData.extra || [];
 
-  try {
-    // --- 1. Get Person Profile ---
-    logger.info(`PERSON_PROFILE_URL: ${PERSON_PROFILE_URL} - axios start`);
-    const personProfileParams = {
-      url: linkedinUrl,
-      linkedin_profile_url: linkedinUrl,
-      extra: "include",
-      fallback_to_cache: "on-error",
-    };
-    /* const params = new URLSearchParams();
-            params.append("url", linkedinUrl);
-            params.append("linkedin_profile_url", linkedinUrl);
-            params.append("extra", "include");
-            params.append("fallback_to_cache", "on-error");
-            // use fetch to get PERSON_PROFILE_URL with the params
-            const personResponse = fetch(`${PERSON_PROFILE_URL}?${params}`, {
-                method: 'GET',
-                headers: PROXYCURL_HEADERS,
-                timeout: 30000, // 30 second timeout
-            });
-            
-            personResponse.then(response => {
-                if (response.ok) {
-                    logger.info(response)
-                    return response.json();
-                } else {
-                    logger.error(`HTTP error! Status: ${response.status}`);
-                    throw new Error(`HTTP error! Status: ${response.status}`);
-                }
-            })
-            .then(data => {
-                personData = data;
-                logger.info(personData)
-            }) */
+  // updateData.companyDomain = personData.current_company?.link ? new URL(personData.current_company.link).hostname.replace(/^www\./, '') : prospectData.hsEmailDomain || ""; // Infer domain if possible
+  return updateData;
+}
 
-    logger.info(PROXYCURL_HEADERS);
-    const personResponse = await axios.get(PERSON_PROFILE_URL, {
-      headers: PROXYCURL_HEADERS,
-      params: personProfileParams,
-      timeout: 30000, // 30 second timeout
-    });
+/**
+ * Proxycurl implementation of the enrichment provider interface (see enrichmentHelper.js).
+ * Fetches return the raw response (cached as is), maps turn it into prospect fields.
+ * @type {import("./enrichmentHelper").EnrichmentProvider}
+ */
+const proxycurlProvider = {
+  name: "proxycurl",
 
-    logger.info(`Enriching profile for: ${linkedinUrl} - axios done`);
-    logger.info(personResponse);
-    personData = personResponse.data;
-    logger.info(personResponse);
+  isConfigured() {
+    return !!PROXYCURL_API_KEY;
+  },
 
-    // Basic checks on personData
-    if (!personData || personData.detail === "Profile not found") {
-      logger.warn(`Proxycurl profile not found for ${linkedinUrl}.`);
-      // Don't stop here, maybe email lookup still works? Or mark as failed? Let's mark failed for now.
-      return {
-        success: false,
-        error: "Profile not found",
-        updateData: {
-          emailStatus: EMAIL_STATUS.FAILED,
-          enrichmentTimestamp: admin.firestore.Timestamp.now(),
-          enrichmentSuccess: false,
+  async fetchProfile(prospectData, linkedinUrl, logger, usage) {
+    logger.info(`Fetching Proxycurl profile for: ${linkedinUrl}`);
+    try {
+      const personResponse = await proxycurlGet(
+        "profile",
+        PERSON_PROFILE_URL,
+        {
+          params: {
+            url: linkedinUrl,
+            linkedin_profile_url: linkedinUrl,
+            extra: "include",
+            fallback_to_cache: "on-error",
+          },
+          timeout: 30000, // 30 second timeout
         },
-      };
+        usage,
+        logger
+      );
+      return personResponse.data;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
     }
+  },
 
-    // Map fields carefully, handle nulls/missing data from Proxycurl
-    updateData.firstName =
-      personData.first_name || prospectData.firstName || ""; // Use existing if proxycurl fails
-    updateData.lastName = personData.last_name || prospectData.lastName || "";
-    updateData.fullName = personData.full_name || prospectData.fullName || "";
-    updateData.occupation =
-      personData.occupation || prospectData.occupation || "";
-    updateData.jobTitle = personData.occupation || prospectData.jobTitle || "";
-    updateData.industry = personData.industry || prospectData.industry || "";
-    updateData.country =
-      personData.country_full_name || prospectData.country || "";
-    updateData.city = personData.city || prospectData.city || "";
-    updateData.linkedinUrl = linkedinUrl;
-    updateData.enrichmentSuccess = true; // Mark as successful
-    updateData.companyName =
-      personData.current_company?.name ||
-      personData.company ||
-      prospectData.company ||
-      ""; // Check current_company first
-    updateData.location =
-      personData.city && personData.country_full_name
-        ? `${personData.city}, ${personData.country_full_name}`
-        : personData.location || prospectData.location || "";
-    // add the remaining properties from prospectData to updateData
-    updateData.numberOfEmployees =
-      personData.current_company?.employee_count ||
-      prospectData.numberOfEmployees ||
-      "";
-    updateData.companyWebsite =
-      personData.current_company?.website || prospectData.companyWebsite || "";
-    updateData.companyLinkedinUrl =
-      personData.current_company?.linkedin_url ||
-      prospectData.companyLinkedinUrl ||
-      "";
-    updateData.companyIndustry =
-      personData.current_company?.industry ||
-      prospectData.companyIndustry ||
-      "";
-    updateData.companyDescription =
-      personData.current_company?.description ||
-      prospectData.companyDescription ||
-      "";
-    updateData.companyCity =
-      personData.current_company?.city || prospectData.companyCity || "";
-    updateData.companyCountry =
-      personData.current_company?.country_full_name ||
-      prospectData.companyCountry ||
-      "";
-    updateData.companyLocation =
-      personData.current_company?.city &&
-      personData.current_company?.country_full_name
-        ? `${personData.current_company.city}, ${personData.current_company.country_full_name}`
-        : prospectData.companyLocation || "";
-    updateData.enrichmentTimestamp = admin.firestore.Timestamp.now();
-    updateData.linkedinUrlFound = true;
-    updateData.linkedinProfileUrl = linkedinUrl;
-    updateData.groups = personData.groups || [];
-    updateData.articles = personData.articles || [];
-    updateData.skills = personData.skills || [];
-    updateData.languages = personData.languages || [];
-    updateData.interests = personData.interests || [];
-    updateData.educations = personData.educations || [];
-    updateData.experiences = personData.experiences || [];
-    updateData.headline = personData.headline || "";
-    updateData.summary = personData.summary || "";
-    updateData.accomplishment_publications =
-      personData.accomplishment_publications || [];
-    updateData.accomplishment_projects =
-      personData.accomplishment_projects || [];
-    updateData.accomplishment_certifications =
-      personData.accomplishment_certifications || [];
-    updateData.accomplishment_awards = personData.accomplishment_awards || [];
-    updateData.accomplishment_honors = personData.accomplishment_honors || [];
-    updateData.accomplishment_courses = personData.accomplishment_courses || [];
-    updateData.accomplishment_organisations =
-      personData.accomplishment_organisations || [];
-    updateData.accomplishment_events = personData.accomplishment_events || [];
-    updateData.accomplishment_jobs = personData.accomplishment_jobs || [];
-    updateData.accomplishment_skills = personData.accomplishment_skills || [];
-    updateData.accomplishment_languages =
-      personData.accomplishment_languages || [];
-    updateData.accomplishment_interests =
-      personData.accomplishment_interests || [];
-    updateData.accomplishment_educations =
-      personData.accomplishment_educations || [];
-    updateData.accomplishment_experiences =
-      personData.accomplishment_experiences || [];
-    updateData.volunteer_work = personData.volunteer_work || [];
-    updateData.birth_date = personData.birth_date || "";
-    updateData.personal_emails = personData.personal_emails || "";
-    updateData.personal_numbers = personData.personal_numbers || "";
-    updateData.personal_websites = personData.personal_websites || "";
-    updateData.personal_urls = personData.personal_urls || "";
-    updateData.personal_addresses = personData.personal_addresses || "";
-    updateData.gender = personData.gender || "";
-    updateData.interests = personData.interests || [];
-    updateData.extra = personData.extra || [];
+  mapProfile(personData, prospectData, linkedinUrl) {
+    if (!personData || personData.detail === "Profile not found") {
+      return { found: false };
+    }
+    return {
+      found: true,
+      fields: mapProxycurlProfile(personData, prospectData, linkedinUrl),
+    };
+  },
 
-    // updateData.companyDomain = personData.current_company?.link ? new URL(personData.current_company.link).hostname.replace(/^www\./, '') : prospectData.hsEmailDomain || ""; // Infer domain if possible
+  async fetchWorkEmail(prospectData, linkedinUrl, logger, usage) {
+    const emailResponse = await proxycurlGet(
+      "workEmail",
+      WORK_EMAIL_LOOKUP_URL,
+      {
+        params: {
+          linkedin_profile_url: linkedinUrl,
+          callback_url: buildWorkEmailCallbackUrl(),
+        },
+        timeout: 45000, // Longer timeout for email lookup
+      },
+      usage,
+      logger
+    );
+    return emailResponse.data;
+  },
 
-    // --- 2. Get Work Email ---
-    // Proxycurl might require company domain, provide if available
-    const companyDomain =
-      prospectData.hsEmailDomain ||
-      (personData.current_company?.link
-        ? new URL(personData.current_company.link).hostname.replace(
-            /^www\./,
-            ""
-          )
-        : null);
-    logger.info(
-      `Looking up work email for: ${linkedinUrl} (Domain: ${
-        companyDomain || "Not Provided"
-      })`
+  mapWorkEmail(workEmailData) {
+    const verified = !!(
+      workEmailData?.email && workEmailData.status === "verified"
     );
-    const emailLookupParams = {
-      linkedin_profile_url: linkedinUrl,
-      callback_url: process.env.PROXYCURL_CALLBACK_URL,
+    return {
+      email: workEmailData?.email || "",
+      verified,
+      // The result may still arrive on the callback endpoint (handleWorkEmailCallback)
+      pending: !verified && !!buildWorkEmailCallbackUrl(),
+      status: workEmailData?.status,
     };
+  },
 
-    const emailResponse = await axios.get(WORK_EMAIL_LOOKUP_URL, {
-      headers: PROXYCURL_HEADERS,
-      params: emailLookupParams,
-      timeout: 45000, // Longer timeout for email lookup
-    });
-    workEmailData = emailResponse.data;
+  async fetchPersonalEmails(prospectData, linkedinUrl, logger, usage) {
+    const personalEmailResponse = await proxycurlGet(
+      "personalEmail",
+      PERSONAL_EMAIL_LOOKUP_URL,
+      {
+        params: {
+          linkedin_profile_url: linkedinUrl,
+          email_validation: "include",
+          page_size: "1",
+        },
+        timeout: 45000, // Longer timeout for email lookup
+      },
+      usage,
+      logger
+    );
+    return personalEmailResponse.data;
+  },
+
+  mapPersonalEmails(personalEmailData) {
+    return {
+      emails: personalEmailData?.emails || [],
+      invalidEmails: personalEmailData?.invalid_emails || [],
+    };
+  },
+};
 
-    // --- 3. Process Results ---
-    if (
-      workEmailData &&
-      workEmailData.email &&
-      workEmailData.status === "verified"
-    ) {
-      updateData.workEmail = workEmailData.email;
-      updateData.emailStatus = EMAIL_STATUS.VERIFIED;
-      finalEmailStatus = EMAIL_STATUS.VERIFIED; // Success!
+/**
+ * Finds prospects whose stored LinkedIn URL matches the given profile URL.
+ * @param {string} profileUrl - LinkedIn profile URL from Proxycurl.
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<object[]>} Matching document snapshots (duplicates included).
+ */
+async function findProspectsByLinkedinUrl(profileUrl, db) {
+  const normalized = normalizeLinkedinUrl(profileUrl);
+  if (!normalized) return [];
+  // Enriched prospects hold the normalized URL, raw imports may lack the scheme
+  const candidates = [
+    ...new Set([
+      normalized,
+      normalized + "/",
+      normalized.replace(/^https:\/\/www\./, ""),
+      profileUrl,
+    ]),
+  ];
+  const docsById = new Map();
+  for (const field of ["linkedinProfileUrl", "linkedinUrl"]) {
+    const snapshot = await db
+      .collection("prospects")
+      .where(field, "in", candidates)
+      .get();
+    snapshot.docs.forEach((doc) => docsById.set(doc.id, doc));
+  }
+  return [...docsById.values()];
+}
+
+/**
+ * Applies a late work email result posted by Proxycurl to the callback URL.
+ * Payload shape matches the synchronous lookup: { email, status, profile_url }.
+ * @param {object} payload - Callback JSON body.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<{matched: number, updated: number}>}
+ */
+async function handleWorkEmailCallback(payload, db, logger) {
+  const profileUrl = payload?.profile_url || payload?.linkedin_profile_url;
+  if (!profileUrl) {
+    logger.warn("Proxycurl callback without profile URL. Ignoring.");
+    return { matched: 0, updated: 0 };
+  }
+
+  const docs = await findProspectsByLinkedinUrl(profileUrl, db);
+  if (docs.length === 0) {
+    logger.warn(`No prospect found for Proxycurl callback ${profileUrl}.`);
+    return { matched: 0, updated: 0 };
+  }
+
+  const isVerified = payload.email && payload.status === "verified";
+  let updated = 0;
+  for (const doc of docs) {
+    const prospectData = doc.data();
+    if (!isVerified && prospectData.emailStatus === EMAIL_STATUS.VERIFIED) {
+      // Never replace a verified address with an unverified late result
       logger.info(
-        `Verified email found for ${linkedinUrl}: ${workEmailData.email}`
-      );
-    } else {
-      logger.warn(
-        `Work email lookup failed or not verified for ${linkedinUrl}. Status: ${workEmailData?.status}, Email: ${workEmailData?.email}`
+        `Ignoring unverified Proxycurl callback for already verified prospect ${doc.id}.`
       );
-      // Keep enrichment data from profile step, but mark email as failed.
-      updateData.workEmail = workEmailData.email || "";
-      updateData.emailStatus = EMAIL_STATUS.FAILED;
-      finalEmailStatus = EMAIL_STATUS.FAILED;
+      continue;
     }
-    // get and add personal email from proxycurl
-    
-    const personalEmailLookupParams = {
-        linkedin_profile_url: linkedinUrl,
-        'email_validation': 'include',
-        'page_size': '1',
-      };
-  
-      const personalEmailResponse = await axios.get(PERSONAL_EMAIL_LOOKUP_URL, {
-        headers: PROXYCURL_HEADERS,
-        params: personalEmailLookupParams,
-        timeout: 45000, // Longer timeout for email lookup
-      });
-      personalEmailData = personalEmailResponse.data;
-      logger.info(personalEmailData)
-      if (
-        personalEmailData &&
-        personalEmailData.length > 0
-      ) {
-        updateData.personalEmail = personalEmailData.emails[0] || "";
-        updateData.personal_emails = personalEmailData.emails || [];
-        updateData.invalid_emails = personalEmailData.invalid_emails || [];
-        updateData.emailStatus = EMAIL_STATUS.VERIFIED;
-        finalEmailStatus = EMAIL_STATUS.VERIFIED; // Success!
-        logger.info(
-          `Verified personal email found for ${linkedinUrl}: ${personalEmailData[0].email}`
-        );
-      } else {
-        logger.warn(
-          `personal email lookup failed or not verified for ${linkedinUrl}.`
-        );
-      }
-    
-    updateData.emailStatus = finalEmailStatus;
-    
-    
-  } catch (error) {
-    success = false;
-    logger.error(
-      `Proxycurl API error during enrichment for ${linkedinUrl}:`,
-      error.message
-    );
-    if (error.response) {
-      logger.error(`Proxycurl Error Status: ${error.response.status}`);
-      logger.error(`Proxycurl Error Body:`, error.response.data);
-      // Handle specific errors like 401 (auth), 404 (not found), 429 (rate limit)
-      if (error.response.status === 404) {
-        updateData.emailStatus = EMAIL_STATUS.FAILED; // Mark as failed if profile/email not found
-        updateData.enrichmentTimestamp = admin.firestore.Timestamp.now(); // Update timestamp
-        updateData.enrichmentSuccess = false; // Mark as failed
-        finalEmailStatus = EMAIL_STATUS.FAILED;
-      } else {
-        // For other errors (rate limits, server errors), maybe retry later? For now, mark failed.
-        updateData.emailStatus = EMAIL_STATUS.FAILED;
-        updateData.enrichmentTimestamp = admin.firestore.Timestamp.now(); // Update timestamp
-        updateData.enrichmentSuccess = false; // Mark as failed
-        finalEmailStatus = EMAIL_STATUS.FAILED;
-      }
-    } else {
-      // Network errors etc.
-      updateData.emailStatus = EMAIL_STATUS.FAILED; // Mark failed on network issues too
-      updateData.enrichmentTimestamp = admin.firestore.Timestamp.now(); // Update timestamp
-      updateData.enrichmentSuccess = false; // Mark as failed
-      finalEmailStatus = EMAIL_STATUS.FAILED;
+    const updateData = {
+      workEmail: payload.email || prospectData.workEmail || "",
+      workEmailStatus: payload.status || null,
+      emailStatus: isVerified ? EMAIL_STATUS.VERIFIED : EMAIL_STATUS.FAILED,
+      workEmailLookupPending: false,
+      workEmailCallbackTimestamp: admin.firestore.Timestamp.now(),
+    };
+    if (payload.email && AWAITING_ADDRESS_STATUSES.includes(prospectData.outreachStatus)) {
+      // The work email may be allowed where the other addresses were not
+      updateData.outreachStatus = OUTREACH_STATUS.PENDING_UPLOAD;
+      updateData.outreachStatusMessage = admin.firestore.FieldValue.delete();
     }
+    logger.info(
+      `Proxycurl callback for ${doc.id}: Status: ${payload.status}, Email: ${payload.email}`
+    );
+    await updateProspect(doc.id, updateData, db, logger);
+    updated++;
   }
-  logger.info(
-    `end of try catch for ${linkedinUrl} - ${finalEmailStatus} - ${success} - ${updateData}`
-  );
-
-  updateData.enrichmentTimestamp = admin.firestore.Timestamp.now(); // Always update timestamp
-
-  return { success, updateData, error: success ? null : "Proxycurl API Error" };
+  return { matched: docs.length, updated };
 }
 
-module.exports = { enrichProspectWithProxycurl };
+module.exports = {
+  proxycurlProvider,
+  normalizeLinkedinUrl,
+  isLinkedinProfileUrl,
+  findProspectsByLinkedinUrl,
+  handleWorkEmailCallback,
+};
@@ -0,0 +1,190 @@
+// Chooses which of a prospect's addresses receives outreach. The initial email
+// picks by RECIPIENT_PREFERENCE and RECIPIENT_COUNTRY_RULES; follow-ups stick
+// to the address the initial email went to.
+const {
+  EMAIL_STATUS,
+  RECIPIENT_PREFERENCE,
+  RECIPIENT_COUNTRY_RULES,
+  RECIPIENT_UNKNOWN_COUNTRY_RULE,
+  getCountryISO2Code,
+} = require("./config");
+const { getInitialSendRecipient } = require("./sendLedgerHelper");
+
+const ADDRESS_KINDS = {
+  VERIFIED_WORK: "verified_work",
+  UNVERIFIED_WORK: "unverified_work",
+  PROVIDED: "provided",
+  PERSONAL: "personal",
+};
+
+// An uploaded `email` on one of these is a personal inbox
+const FREE_MAIL_DOMAINS = new Set([
+  "aol.com",
+  "free.fr",
+  "gmail.com",
+  "gmx.com",
+  "gmx.de",
+  "googlemail.com",
+  "hotmail.com",
+  "hotmail.fr",
+  "icloud.com",
+  "laposte.net",
+  "live.com",
+  "mail.com",
+  "me.com",
+  "orange.fr",
+  "outlook.com",
+  "outlook.fr",
+  "proton.me",
+  "protonmail.com",
+  "web.de",
+  "yahoo.com",
+  "yahoo.fr",
+]);
+
+/**
+ * Checks whether the enrichment provider verified the stored work email.
+ * Prospects enriched before `workEmailStatus` existed were verified when the
+ * status is verified without a pending lookup or a personal address.
+ * @param {object} prospectData - Prospect data.
+ * @returns {boolean}
+ */
+function isWorkEmailVerified(prospectData) {
+  if (prospectData.workEmailStatus) {
+    return prospectData.workEmailStatus === "verified";
+  }
+  return (
+    !!prospectData.enrichmentProviders?.workEmail ||
+    (prospectData.emailStatus === EMAIL_STATUS.VERIFIED &&
+      prospectData.workEmailLookupPending !== true &&
+      !prospectData.personalEmail &&
+      !prospectData.personal_emails?.length)
+  );
+}
+
+/**
+ * Lists a prospect's addresses with their kind, without duplicates.
+ * @param {object} prospectData - Prospect data.
+ * @returns {Array<{email: string, kind: string}>}
+ */
+function getCandidateAddresses(prospectData) {
+  const candidates = [];
+  const add = (email, kind) => {
+    if (typeof email !== "string" || !email.includes("@")) return;
+    const normalized = email.trim();
+    const seen = candidates.some(
+      (candidate) => candidate.email.toLowerCase() === normalized.toLowerCase()
+    );
+    if (!seen) candidates.push({ email: normalized, kind });
+  };
+  add(
+    prospectData.workEmail,
+    isWorkEmailVerified(prospectData)
+      ? ADDRESS_KINDS.VERIFIED_WORK
+      : ADDRESS_KINDS.UNVERIFIED_WORK
+  );
+  const providedDomain = (prospectData.email || "").split("@")[1]?.toLowerCase();
+  add(
+    prospectData.email,
+    FREE_MAIL_DOMAINS.has(providedDomain)
+      ? ADDRESS_KINDS.PERSONAL
+      : ADDRESS_KINDS.PROVIDED
+  );
+  add(prospectData.personalEmail, ADDRESS_KINDS.PERSONAL);
+  (Array.isArray(prospectData.personal_emails)
+    ? prospectData.personal_emails
+    : []
+  ).forEach((email) => add(email, ADDRESS_KINDS.PERSONAL));
+  return candidates;
+}
+
+/**
+ * Returns the first RECIPIENT_COUNTRY_RULES entry matching the prospect's country,
+ * or RECIPIENT_UNKNOWN_COUNTRY_RULE when the country is missing or unknown.
+ * @param {object} prospectData - Prospect data.
+ * @returns {object|null} Rule or null.
+ */
+function getCountryRule(prospectData) {
+  const countryCode = prospectData.country
+    ? getCountryISO2Code(prospectData.country)
+    : null;
+  if (!countryCode) {
+    return (
+      RECIPIENT_COUNTRY_RULES.find(
+        (rule) => rule.name === RECIPIENT_UNKNOWN_COUNTRY_RULE
+      ) || null
+    );
+  }
+  return (
+    RECIPIENT_COUNTRY_RULES.find((rule) => rule.countries.includes(countryCode)) ||
+    null
+  );
+}
+
+/**
+ * Picks the recipient of a prospect's initial email.
+ * @param {object} prospectData - Prospect data.
+ * @param {string[]} [preference] - Address kinds in order, see RECIPIENT_PREFERENCE.
+ * @returns {{email: string|null, kind: string|null, rule: string, reason?: string,
+ *   excludedByRule?: boolean}} `rule` names what decided: a country rule or
+ *   'default'. `reason` is set when no address may be used.
+ */
+function resolveRecipient(prospectData, preference = RECIPIENT_PREFERENCE) {
+  const countryRule = getCountryRule(prospectData);
+  const rule = countryRule ? countryRule.name : "default";
+  const allowedKinds = preference.filter(
+    (kind) => !countryRule?.exclude.includes(kind)
+  );
+  const candidates = getCandidateAddresses(prospectData);
+  for (const kind of allowedKinds) {
+    const candidate = candidates.find((address) => address.kind === kind);
+    if (candidate) return { email: candidate.email, kind, rule };
+  }
+  const excludedKinds = [...new Set(candidates.map((address) => address.kind))];
+  return {
+    email: null,
+    kind: null,
+    rule,
+    reason:
+      excludedKinds.length > 0
+        ? `No allowed address (${excludedKinds.join(", ")} excluded by rule ${rule})`
+        : "No email address",
+    excludedByRule: excludedKinds.length > 0,
+  };
+}
+
+/**
+ * Picks the recipient of a follow-up: the address of the initial email, from
+ * `sequenceRecipient` or, for sequences started before it was stored, from the
+ * send ledger. Only prospects with neither fall back to resolveRecipient.
+ * @param {object} prospectData - Prospect data.
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<object>} See resolveRecipient, `rule` is 'sequence' when sticky.
+ */
+async function resolveFollowupRecipient(prospectData, db) {
+  if (prospectData.sequenceRecipient?.email) {
+    return {
+      email: prospectData.sequenceRecipient.email,
+      kind: prospectData.sequenceRecipient.kind || null,
+      rule: "sequence",
+    };
+  }
+  const initialRecipient = await getInitialSendRecipient(prospectData, db);
+  if (initialRecipient) {
+    const candidate = getCandidateAddresses(prospectData).find(
+      (address) => address.email.toLowerCase() === initialRecipient.toLowerCase()
+    );
+    return {
+      email: initialRecipient,
+      kind: candidate?.kind || null,
+      rule: "sequence",
+    };
+  }
+  return resolveRecipient(prospectData);
+}
+
+module.exports = {
+  ADDRESS_KINDS,
+  resolveRecipient,
+  resolveFollowupRecipient,
+};
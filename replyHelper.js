@@ -0,0 +1,361 @@
+const Busboy = require("busboy");
+const admin = require("firebase-admin");
+const { generateJson } = require("./vertexHelper");
+const { OUTREACH_STATUS, OOO_FOLLOWUP_DELAY_DAYS } = require("./config");
+const { getStepNumberFromStatus } = require("./sequenceHelper");
+
+const REPLY_INTENTS = {
+  INTERESTED: "interested",
+  MEETING_BOOKED: "meeting_booked",
+  NOT_INTERESTED: "not_interested",
+  OUT_OF_OFFICE: "out_of_office",
+  WRONG_PERSON: "wrong_person",
+  UNSUBSCRIBE_REQUEST: "unsubscribe_request",
+  OTHER: "other",
+};
+
+// Out-of-office keeps the current status so the sequence continues later.
+const STATUS_BY_INTENT = {
+  [REPLY_INTENTS.INTERESTED]: OUTREACH_STATUS.REPLIED_POSITIVE,
+  [REPLY_INTENTS.MEETING_BOOKED]: OUTREACH_STATUS.MEETING_BOOKED,
+  [REPLY_INTENTS.NOT_INTERESTED]: OUTREACH_STATUS.REPLIED_NEGATIVE,
+  [REPLY_INTENTS.WRONG_PERSON]: OUTREACH_STATUS.REPLIED_NEGATIVE,
+  [REPLY_INTENTS.UNSUBSCRIBE_REQUEST]: OUTREACH_STATUS.UNSUBSCRIBED,
+};
+
+// Compliance statuses are never undone by a later reply.
+const PROTECTED_STATUSES = [
+  OUTREACH_STATUS.UNSUBSCRIBED,
+  OUTREACH_STATUS.DO_NOT_CONTACT,
+];
+
+const MAX_REPLY_TEXT_LENGTH = 4000;
+
+const replyClassificationSchema = {
+  type: "object",
+  properties: {
+    intent: {
+      type: "string",
+      enum: Object.values(REPLY_INTENTS),
+      description: "The main intent of the reply.",
+    },
+    summary: {
+      type: "string",
+      description: "One sentence summary of the reply, in English.",
+    },
+    returnDate: {
+      type: "string",
+      nullable: true,
+      description:
+        "For out-of-office replies, the date the person is back (YYYY-MM-DD), or null if not stated.",
+    },
+    referredContact: {
+      type: "string",
+      nullable: true,
+      description:
+        "For wrong-person replies, the name or email of the person they refer us to, or null.",
+    },
+  },
+  required: ["intent", "summary"],
+};
+
+/**
+ * Parses a SendGrid Inbound Parse multipart/form-data request.
+ * Attachments are ignored.
+ * @param {object} req - Functions Framework request (uses req.rawBody).
+ * @returns {Promise<object>} Map of form field names to values.
+ */
+function parseInboundParseForm(req) {
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    let busboy;
+    try {
+      busboy = Busboy({ headers: req.headers });
+    } catch (error) {
+      reject(error);
+      return;
+    }
+    busboy.on("field", (name, value) => {
+      fields[name] = value;
+    });
+    busboy.on("file", (name, stream) => stream.resume()); // Drop attachments
+    busboy.on("error", reject);
+    busboy.on("close", () => resolve(fields));
+    busboy.end(req.rawBody);
+  });
+}
+
+/**
+ * Extracts the bare address from a header value like `Jane Doe <jane@x.com>`.
+ * @param {string} value - Raw address header value.
+ * @returns {string|null} Lower-cased email address or null.
+ */
+function extractEmailAddress(value) {
+  if (!value) return null;
+  const match = value.match(/<([^>]+)>/);
+  const address = (match ? match[1] : value).trim().toLowerCase();
+  return address.includes("@") ? address : null;
+}
+
+/**
+ * Reads a single header from the raw header block sent by Inbound Parse.
+ * @param {string} rawHeaders - Raw headers, one per line.
+ * @param {string} name - Header name (case-insensitive).
+ * @returns {string|null} Header value or null.
+ */
+function getRawHeader(rawHeaders, name) {
+  if (!rawHeaders) return null;
+  const pattern = new RegExp(`^${name}:\\s*(.+)$`, "im");
+  const match = rawHeaders.match(pattern);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Lists the SendGrid message IDs a reply answers, from its In-Reply-To and
+ * References headers. SendGrid's Message-ID is `<X-Message-Id[.suffix]@host>`.
+ * @param {string} rawHeaders - Raw headers, one per line.
+ * @returns {string[]} X-Message-Id values, most recent first.
+ */
+function getThreadMessageIds(rawHeaders) {
+  const ids = [
+    getRawHeader(rawHeaders, "In-Reply-To"),
+    getRawHeader(rawHeaders, "References"),
+  ]
+    .filter(Boolean)
+    .flatMap((value) => value.match(/<[^>]+>/g) || [])
+    .reverse() // References lists the oldest message first
+    .map((id) => id.slice(1, -1).split("@")[0].split(".")[0])
+    .filter(Boolean);
+  return [...new Set(ids)];
+}
+
+/**
+ * Normalizes Inbound Parse fields into the reply object used below.
+ * @param {object} fields - Parsed form fields.
+ * @returns {object} Reply: from, to, subject, text, threadMessageIds.
+ */
+function buildReplyFromFields(fields) {
+  return {
+    from: extractEmailAddress(fields.from),
+    to: fields.to || "",
+    subject: fields.subject || "",
+    text: (fields.text || "").substring(0, MAX_REPLY_TEXT_LENGTH),
+    threadMessageIds: getThreadMessageIds(fields.headers),
+  };
+}
+
+/**
+ * Finds the prospect a reply belongs to, first by the message it answers
+ * (matched against the `messageId` of every email in the `sends` ledger, then
+ * `lastMessageId` for emails sent before the ledger), then by the sender address.
+ * @param {object} reply - Reply from buildReplyFromFields.
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<{id: string, data: object, matchedBy: string, sequenceStep?: number}|null>}
+ *   `sequenceStep` is the step of the email answered, when matched through the ledger.
+ */
+async function findProspectForReply(reply, db) {
+  const prospects = db.collection("prospects");
+
+  if (reply.threadMessageIds?.length) {
+    // Firestore 'in' queries accept up to 30 values
+    const messageIds = reply.threadMessageIds.slice(0, 30);
+    const sendSnapshot = await db
+      .collection("sends")
+      .where("messageId", "in", messageIds)
+      .limit(1)
+      .get();
+    if (!sendSnapshot.empty) {
+      const send = sendSnapshot.docs[0].data();
+      const prospectDoc = await prospects.doc(send.prospectId).get();
+      if (prospectDoc.exists) {
+        return {
+          id: prospectDoc.id,
+          data: prospectDoc.data(),
+          matchedBy: "sendLedger",
+          sequenceStep: send.sequenceStep,
+        };
+      }
+    }
+    const snapshot = await prospects
+      .where("lastMessageId", "in", messageIds)
+      .limit(1)
+      .get();
+    if (!snapshot.empty) {
+      const doc = snapshot.docs[0];
+      return { id: doc.id, data: doc.data(), matchedBy: "lastMessageId" };
+    }
+  }
+  if (!reply.from) return null;
+
+  // Document IDs are usually the prospect's email
+  const docById = await prospects.doc(reply.from).get();
+  if (docById.exists) {
+    return { id: docById.id, data: docById.data(), matchedBy: "documentId" };
+  }
+
+  for (const field of [
+    "sequenceRecipient.email",
+    "workEmail",
+    "email",
+    "personalEmail",
+  ]) {
+    const snapshot = await prospects.where(field, "==", reply.from).limit(1).get();
+    if (!snapshot.empty) {
+      const doc = snapshot.docs[0];
+      return { id: doc.id, data: doc.data(), matchedBy: field };
+    }
+  }
+  const snapshot = await prospects
+    .where("personal_emails", "array-contains", reply.from)
+    .limit(1)
+    .get();
+  if (!snapshot.empty) {
+    const doc = snapshot.docs[0];
+    return { id: doc.id, data: doc.data(), matchedBy: "personal_emails" };
+  }
+  return null;
+}
+
+/**
+ * Classifies the intent of a reply with Vertex AI.
+ * @param {object} generativeModel - Model from getGenerativeModel.
+ * @param {object} reply - Reply from buildReplyFromFields.
+ * @returns {Promise<object>} Classification: intent, summary, returnDate, referredContact.
+ */
+async function classifyReply(generativeModel, reply) {
+  const promptText = `You classify replies to B2B cold outreach emails sent by ProRecruit.tech (an AI recruitment platform). The reply may be in English or French.
+
+Possible intents:
+* interested: wants to learn more, asks questions, asks for a call or demo.
+* meeting_booked: confirms a meeting, call or demo at a given time, or says they booked one.
+* not_interested: declines, already has a solution, no budget, no need.
+* out_of_office: automatic absence or vacation reply.
+* wrong_person: not responsible for this topic, left the company, or refers us to someone else.
+* unsubscribe_request: asks to stop emailing, to be removed, or mentions GDPR/consent.
+* other: anything else (e.g. unrelated auto-replies, unclear text).
+
+Subject: ${reply.subject}
+Reply text (quoted history may follow):
+"""
+${reply.text}
+"""
+
+Respond ONLY with the JSON object defined in the output schema.`;
+
+  const { data } = await generateJson(
+    generativeModel,
+    promptText,
+    replyClassificationSchema
+  );
+  const intent = Object.values(REPLY_INTENTS).includes(data.intent)
+    ? data.intent
+    : REPLY_INTENTS.OTHER;
+  return {
+    intent,
+    summary: data.summary || "",
+    returnDate: data.returnDate || null,
+    referredContact: data.referredContact || null,
+  };
+}
+
+/**
+ * Computes when follow-ups may resume after an out-of-office reply.
+ * @param {string|null} returnDate - YYYY-MM-DD from the classifier.
+ * @returns {object} Firestore Timestamp.
+ */
+function getOutOfOfficeResumeDate(returnDate) {
+  const now = new Date();
+  let resumeDate = returnDate ? new Date(`${returnDate}T00:00:00Z`) : null;
+  if (!resumeDate || isNaN(resumeDate.getTime()) || resumeDate <= now) {
+    resumeDate = new Date(now);
+    resumeDate.setDate(resumeDate.getDate() + OOO_FOLLOWUP_DELAY_DAYS);
+  } else {
+    resumeDate.setDate(resumeDate.getDate() + 1); // Give them a day to catch up
+  }
+  return admin.firestore.Timestamp.fromDate(resumeDate);
+}
+
+/**
+ * Builds the prospect update for a classified reply. The reply is also recorded
+ * on the email it answers, under `engagement.<email>.replyIntents`.
+ * @param {object} prospectData - Current prospect data.
+ * @param {object} reply - Reply from buildReplyFromFields.
+ * @param {object} classification - Result of classifyReply.
+ * @param {number} [repliedStep] - Sequence step of the email answered (see
+ *   findProspectForReply), else the last email sent is assumed.
+ * @returns {object} Update data for updateProspect.
+ */
+function buildReplyUpdate(prospectData, reply, classification, repliedStep) {
+  const now = admin.firestore.Timestamp.now();
+  const step =
+    repliedStep ??
+    (typeof prospectData.sequenceStep === "number"
+      ? prospectData.sequenceStep
+      : getStepNumberFromStatus(prospectData.outreachStatus));
+  const replyRecord = {
+    from: reply.from || "",
+    subject: reply.subject,
+    snippet: reply.text.substring(0, 500),
+    intent: classification.intent,
+    summary: classification.summary,
+    repliedStep: step ?? null,
+    receivedTimestamp: now,
+  };
+  const updateData = {
+    lastReply: replyRecord,
+    lastReplyTimestamp: now,
+    replyIntent: classification.intent,
+    replies: admin.firestore.FieldValue.arrayUnion(replyRecord),
+    replyCount: admin.firestore.FieldValue.increment(1),
+  };
+  if (typeof step === "number") {
+    const emailKey = step === 0 ? "initial" : `followup_${step}`;
+    updateData[`engagement.${emailKey}.replyIntents`] =
+      admin.firestore.FieldValue.arrayUnion(classification.intent);
+    updateData[`engagement.${emailKey}.lastReplyTimestamp`] = now;
+  }
+
+  if (classification.intent === REPLY_INTENTS.OUT_OF_OFFICE) {
+    updateData.followupNotBefore = getOutOfOfficeResumeDate(
+      classification.returnDate
+    );
+    return updateData;
+  }
+
+  // Any human reply stops the automated sequence
+  updateData.followupNotNeeded = true;
+
+  if (classification.referredContact) {
+    updateData.referredContact = classification.referredContact;
+  }
+
+  const nextStatus = STATUS_BY_INTENT[classification.intent];
+  const currentStatus = prospectData.outreachStatus;
+  if (!nextStatus) {
+    updateData.replyNeedsReview = true;
+  } else if (
+    PROTECTED_STATUSES.includes(currentStatus) &&
+    !PROTECTED_STATUSES.includes(nextStatus)
+  ) {
+    // Keep compliance status, but surface the reply to a human
+    updateData.replyNeedsReview = true;
+  } else if (
+    currentStatus === OUTREACH_STATUS.MEETING_BOOKED &&
+    nextStatus === OUTREACH_STATUS.REPLIED_POSITIVE
+  ) {
+    // Already booked, don't downgrade
+  } else {
+    updateData.outreachStatus = nextStatus;
+    updateData.outreachStatusMessage = `Reply classified as '${classification.intent}': ${classification.summary}`;
+  }
+  return updateData;
+}
+
+module.exports = {
+  REPLY_INTENTS,
+  parseInboundParseForm,
+  buildReplyFromFields,
+  findProspectForReply,
+  classifyReply,
+  buildReplyUpdate,
+};
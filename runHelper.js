@@ -0,0 +1,274 @@
+// Run context shared by the processing phases of one invocation, and the
+// `runs` collection where each invocation's report is kept.
+const admin = require("firebase-admin");
+const {
+  MAX_PROSPECTS_TO_ENRICH_PER_RUN,
+  MAX_AI_EMAILS_PER_RUN,
+  MAX_INITIAL_EMAILS_PER_RUN,
+  MAX_FOLLOWUP_EMAILS_PER_RUN,
+  MAX_CRM_SYNCS_PER_RUN,
+  MAX_EXPERIMENTS_PER_RUN,
+  MAX_LIMIT_OVERRIDES,
+} = require("./config");
+
+// Pipeline phases in execution order
+const PIPELINE_PHASES = [
+  "enrichment",
+  "ai",
+  "initial",
+  "followups",
+  "experiments",
+  "crmSync",
+];
+
+const DEFAULT_PHASE_LIMITS = {
+  enrichment: MAX_PROSPECTS_TO_ENRICH_PER_RUN,
+  ai: MAX_AI_EMAILS_PER_RUN,
+  initial: MAX_INITIAL_EMAILS_PER_RUN,
+  followups: MAX_FOLLOWUP_EMAILS_PER_RUN,
+  experiments: MAX_EXPERIMENTS_PER_RUN,
+  crmSync: MAX_CRM_SYNCS_PER_RUN,
+};
+
+// Outcomes are stored in the run's `outcomes` subcollection, this many per
+// document so each stays well under the 1 MiB Firestore document limit
+const OUTCOMES_PER_DOCUMENT = 200;
+const MAX_STORED_OUTCOMES = 20000;
+// Errors stay on the run document
+const MAX_STORED_ERRORS = 200;
+
+/**
+ * @typedef {object} Run
+ * @property {string} id - Run ID, also the `runs` document ID.
+ * @property {boolean} dryRun - When true, phases plan actions but make no paid
+ *   API calls, send no email and write nothing to Firestore.
+ * @property {Date} now - Reference time for due dates and send windows.
+ * @property {Date} startedAt - When the invocation started.
+ * @property {string} trigger - What started the run ('scheduler', 'manual'...).
+ * @property {string[]} phases - Phases to run, see PIPELINE_PHASES.
+ * @property {object} limits - Maximum prospects handled per phase.
+ * @property {object[]} outcomes - Per-prospect actions, see recordOutcome.
+ * @property {object[]} errors - Phase and prospect errors, see recordError.
+ * @property {number} lowConfidenceSends - Emails sent through the low-confidence
+ *   lane, capped by MAX_LOW_CONFIDENCE_SENDS_PER_RUN.
+ */
+
+/**
+ * Creates the context passed to every processing phase.
+ * @param {object} [options] - { dryRun, now, trigger, phases, limits }.
+ * @returns {Run}
+ */
+function createRun(options = {}) {
+  const startedAt = new Date();
+  return {
+    id: `${startedAt.toISOString().replace(/[:.]/g, "-")}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`,
+    dryRun: !!options.dryRun,
+    now: options.now || startedAt,
+    startedAt,
+    trigger: options.trigger || "manual",
+    phases: options.phases || PIPELINE_PHASES,
+    limits: { ...DEFAULT_PHASE_LIMITS, ...options.limits },
+    outcomes: [],
+    errors: [],
+    lowConfidenceSends: 0,
+  };
+}
+
+/**
+ * Parses a comma separated phase list such as 'enrichment,ai'.
+ * @param {string} [value] - Requested phases, all phases when empty.
+ * @returns {string[]} Phases in execution order.
+ * @throws {Error} If a phase is unknown.
+ */
+function parsePhases(value) {
+  if (!value) return PIPELINE_PHASES;
+  const requested = value.split(",").map((phase) => phase.trim()).filter(Boolean);
+  const unknown = requested.filter((phase) => !PIPELINE_PHASES.includes(phase));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown phase(s): ${unknown.join(", ")}. Valid phases: ${PIPELINE_PHASES.join(", ")}`
+    );
+  }
+  return PIPELINE_PHASES.filter((phase) => requested.includes(phase));
+}
+
+/**
+ * Parses limit overrides such as 'initial:10,followups:20'. Values above
+ * MAX_LIMIT_OVERRIDES are capped.
+ * @param {string} [value] - Requested limits.
+ * @returns {object} Limits by phase, only for the phases given.
+ * @throws {Error} If a phase is unknown or a limit is not a positive integer.
+ */
+function parseLimitOverrides(value) {
+  const limits = {};
+  if (!value) return limits;
+  for (const entry of value.split(",").filter(Boolean)) {
+    const [phase, rawLimit] = entry.split(":").map((part) => part.trim());
+    const limit = Number(rawLimit);
+    if (!PIPELINE_PHASES.includes(phase)) {
+      throw new Error(`Unknown phase '${phase}' in limits.`);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid limit '${rawLimit}' for phase '${phase}'.`);
+    }
+    limits[phase] = Math.min(limit, MAX_LIMIT_OVERRIDES[phase]);
+  }
+  return limits;
+}
+
+/**
+ * Records what happened (or, in a dry run, what would happen) to a prospect.
+ * @param {Run} run - Run context.
+ * @param {string} phase - One of PIPELINE_PHASES.
+ * @param {string} prospectId - Prospect document ID.
+ * @param {string} action - Short action name, e.g. 'send_initial', 'skip'.
+ * @param {string} reason - Why this action was chosen.
+ * @param {object} [details] - Extra data (template ID, recipient, due date...).
+ */
+function recordOutcome(run, phase, prospectId, action, reason, details = {}) {
+  run.outcomes.push({ phase, prospectId, action, reason, ...details });
+}
+
+/**
+ * Records an error raised while processing a phase or a single prospect.
+ * @param {Run} run - Run context.
+ * @param {string} phase - Phase name, see recordOutcome.
+ * @param {Error|string} error - Error or message.
+ * @param {string} [prospectId] - Prospect concerned, if any.
+ */
+function recordError(run, phase, error, prospectId = null) {
+  run.errors.push({
+    phase,
+    prospectId,
+    message: error?.message || String(error),
+  });
+}
+
+/**
+ * Builds the run report returned by processProspects and stored in `runs`.
+ * @param {Run} run - Run context.
+ * @param {object} stats - Stats returned by each phase, keyed by phase.
+ * @param {Date} [finishedAt] - End of the run, defaults to now.
+ * @returns {object} Report with ISO date strings.
+ */
+function buildRunReport(run, stats, finishedAt = new Date()) {
+  return {
+    id: run.id,
+    dryRun: run.dryRun,
+    trigger: run.trigger,
+    phases: run.phases,
+    limits: run.limits,
+    now: run.now.toISOString(),
+    startedAt: run.startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - run.startedAt,
+    status: run.errors.length > 0 ? "completed_with_errors" : "completed",
+    stats,
+    errors: run.errors,
+    outcomes: run.outcomes,
+  };
+}
+
+/**
+ * Saves a run report to the `runs` collection, its outcomes in chunks under
+ * `runs/<id>/outcomes`. Errors are logged, not thrown, so a failed write never
+ * hides the result of the run itself; the caller reports them.
+ * @param {object} report - Result of buildRunReport.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<string|null>} Error message if the run could not be saved.
+ */
+async function saveRunReport(report, db, logger) {
+  const runRef = db.collection("runs").doc(report.id);
+  const outcomes = report.outcomes.slice(0, MAX_STORED_OUTCOMES);
+  const chunkCount = Math.ceil(outcomes.length / OUTCOMES_PER_DOCUMENT);
+  try {
+    // Firestore batches take up to 500 writes
+    for (let first = 0; first < chunkCount; first += 400) {
+      const batch = db.batch();
+      for (let index = first; index < Math.min(first + 400, chunkCount); index++) {
+        batch.set(runRef.collection("outcomes").doc(String(index).padStart(4, "0")), {
+          index,
+          outcomes: outcomes.slice(
+            index * OUTCOMES_PER_DOCUMENT,
+            (index + 1) * OUTCOMES_PER_DOCUMENT
+          ),
+        });
+      }
+      await batch.commit();
+    }
+    const { outcomes: allOutcomes, ...summary } = report;
+    await runRef.set({
+      ...summary,
+      errors: report.errors.slice(0, MAX_STORED_ERRORS),
+      errorsTruncated: report.errors.length > MAX_STORED_ERRORS,
+      outcomesTruncated: allOutcomes.length > MAX_STORED_OUTCOMES,
+      outcomeCount: allOutcomes.length,
+      outcomeDocumentCount: chunkCount,
+      errorCount: report.errors.length,
+      startedTimestamp: admin.firestore.Timestamp.fromDate(
+        new Date(report.startedAt)
+      ),
+    });
+    logger.info(`Saved run ${report.id}.`);
+    return null;
+  } catch (error) {
+    logger.error(
+      `Failed to save run ${report.id} (${report.outcomes.length} outcomes, stats: ${JSON.stringify(report.stats)}):`,
+      error
+    );
+    return error.message || String(error);
+  }
+}
+
+/**
+ * Lists the most recent runs without their outcomes.
+ * @param {object} db - Firestore instance.
+ * @param {number} limit - Maximum number of runs.
+ * @returns {Promise<object[]>}
+ */
+async function listRuns(db, limit) {
+  const snapshot = await db
+    .collection("runs")
+    .orderBy("startedTimestamp", "desc")
+    .limit(limit)
+    .get();
+  return snapshot.docs.map((doc) => {
+    const { outcomes, errors, startedTimestamp, ...summary } = doc.data();
+    return summary;
+  });
+}
+
+/**
+ * Returns one run with its outcomes and errors.
+ * @param {string} runId - Run document ID.
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<object|null>} Run or null if not found.
+ */
+async function getRun(runId, db) {
+  const runRef = db.collection("runs").doc(runId);
+  const doc = await runRef.get();
+  if (!doc.exists) return null;
+  const { startedTimestamp, ...run } = doc.data();
+  // Runs saved before the subcollection keep their outcomes inline
+  if (!run.outcomes) {
+    const snapshot = await runRef.collection("outcomes").orderBy("index").get();
+    run.outcomes = snapshot.docs.flatMap((outcomeDoc) => outcomeDoc.get("outcomes"));
+  }
+  return run;
+}
+
+module.exports = {
+  PIPELINE_PHASES,
+  parsePhases,
+  parseLimitOverrides,
+  createRun,
+  recordOutcome,
+  recordError,
+  buildRunReport,
+  saveRunReport,
+  listRuns,
+  getRun,
+};
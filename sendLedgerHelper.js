@@ -0,0 +1,236 @@
+const admin = require("firebase-admin");
+const { SEND_IN_FLIGHT_TIMEOUT_MINUTES } = require("./config");
+
+const SEND_STATUS = {
+  IN_FLIGHT: "in_flight", // Reserved, SendGrid call not confirmed yet
+  SENT: "sent",
+  FAILED: "failed", // SendGrid rejected it, may be retried
+  DROPPED: "dropped", // Accepted then dropped by SendGrid, never retried
+  // In flight past SEND_IN_FLIGHT_TIMEOUT_MINUTES: SendGrid may have accepted it before
+  // the run crashed. Never retried automatically: set it to 'failed' to send it again
+  NEEDS_REVIEW: "needs_review",
+};
+
+// SendGrid custom arg linking events back to the ledger entry
+const LEDGER_ID_ARG = "sendLedgerId";
+
+/**
+ * Returns the `sends` document ID of one email of a prospect's outreach.
+ * `attempt` is the outreach campaign (0, then +1 per re-engagement), so a
+ * re-engaged prospect can receive the same sequence step again.
+ * @param {object} prospectData - Prospect data.
+ * @param {number} sequenceStep - 0 for the initial email, n for follow-up n.
+ * @returns {string}
+ */
+function getSendLedgerId(prospectData, sequenceStep) {
+  const attempt = prospectData.reEngagementCount || 0;
+  // Prospect IDs are emails and may contain '/'
+  return `${encodeURIComponent(prospectData.id)}:${attempt}:${sequenceStep}`;
+}
+
+/**
+ * Checks whether an in-flight entry was abandoned by a crashed run.
+ * @param {object} entry - Ledger entry.
+ * @param {object} now - Firestore Timestamp.
+ * @returns {boolean}
+ */
+function isStaleInFlight(entry, now) {
+  const timeoutMillis = SEND_IN_FLIGHT_TIMEOUT_MINUTES * 60 * 1000;
+  return (
+    !entry.reservedTimestamp ||
+    entry.reservedTimestamp.toMillis() + timeoutMillis < now.toMillis()
+  );
+}
+
+/**
+ * Returns the address the current outreach's initial email went to.
+ * @param {object} prospectData - Prospect data.
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<string|null>} Recipient, or null without a sent initial email.
+ */
+async function getInitialSendRecipient(prospectData, db) {
+  const doc = await db
+    .collection("sends")
+    .doc(getSendLedgerId(prospectData, 0))
+    .get();
+  if (!doc.exists || doc.data().status !== SEND_STATUS.SENT) return null;
+  return doc.data().recipient || null;
+}
+
+/**
+ * Reserves an email in the `sends` ledger before it is dispatched.
+ * Existing entries decide what happens:
+ * - sent/dropped: never send again (`alreadySent`),
+ * - in flight for less than SEND_IN_FLIGHT_TIMEOUT_MINUTES: another run is sending (`inFlight`),
+ * - in flight for longer without any SendGrid event: the run may have crashed after
+ *   SendGrid accepted it, so it is marked needs_review and not sent (`needsReview`),
+ * - failed: reserved again.
+ * In a dry run the ledger is only read.
+ *
+ * @param {object} prospectData - Prospect data.
+ * @param {object} details - { sequenceId, sequenceStep, recipient, templateId, emailType }.
+ * @param {object} run - Run context (see runHelper.js).
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<{reserved: boolean, ledgerId: string, alreadySent?: boolean,
+ *   inFlight?: boolean, needsReview?: boolean, entry?: object}>}
+ */
+async function reserveSend(prospectData, details, run, db) {
+  const ledgerId = getSendLedgerId(prospectData, details.sequenceStep);
+  const ledgerRef = db.collection("sends").doc(ledgerId);
+  const now = admin.firestore.Timestamp.now();
+
+  const decide = (doc) => {
+    if (!doc.exists) return { reserved: true, ledgerId };
+    const entry = doc.data();
+    if (entry.status === SEND_STATUS.SENT || entry.status === SEND_STATUS.DROPPED) {
+      return { reserved: false, alreadySent: true, ledgerId, entry };
+    }
+    if (entry.status === SEND_STATUS.IN_FLIGHT && !isStaleInFlight(entry, now)) {
+      return { reserved: false, inFlight: true, ledgerId, entry };
+    }
+    if (entry.status === SEND_STATUS.IN_FLIGHT || entry.status === SEND_STATUS.NEEDS_REVIEW) {
+      return { reserved: false, needsReview: true, ledgerId, entry };
+    }
+    return { reserved: true, ledgerId, entry };
+  };
+
+  if (run.dryRun) {
+    return decide(await ledgerRef.get());
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ledgerRef);
+    const decision = decide(doc);
+    if (decision.needsReview && decision.entry.status === SEND_STATUS.IN_FLIGHT) {
+      transaction.update(ledgerRef, {
+        status: SEND_STATUS.NEEDS_REVIEW,
+        previousStatus: SEND_STATUS.IN_FLIGHT,
+        lastModifiedTimestamp: now,
+      });
+    }
+    if (!decision.reserved) return decision;
+
+    const previous = decision.entry;
+    transaction.set(ledgerRef, {
+      prospectId: prospectData.id,
+      attempt: prospectData.reEngagementCount || 0,
+      sequenceId: details.sequenceId || null,
+      sequenceStep: details.sequenceStep,
+      emailType: details.emailType || null,
+      recipient: details.recipient,
+      templateId: details.templateId || null,
+      status: SEND_STATUS.IN_FLIGHT,
+      runId: run.id,
+      dispatchCount: (previous?.dispatchCount || 0) + 1,
+      // Keep track of what was reconciled, for audit
+      previousStatus: previous?.status || null,
+      previousError: previous?.error || null,
+      reservedTimestamp: now,
+      lastModifiedTimestamp: now,
+    });
+    return decision;
+  });
+}
+
+/**
+ * Marks a reserved email as accepted by SendGrid.
+ * @param {string} ledgerId - ID returned by reserveSend.
+ * @param {string|null} messageId - SendGrid `X-Message-Id`.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<void>}
+ */
+async function confirmSend(ledgerId, messageId, db, logger) {
+  const now = admin.firestore.Timestamp.now();
+  try {
+    await db.collection("sends").doc(ledgerId).update({
+      status: SEND_STATUS.SENT,
+      messageId: messageId || null,
+      sentTimestamp: now,
+      lastModifiedTimestamp: now,
+    });
+  } catch (error) {
+    // The SendGrid event webhook confirms the entry as well (see confirmSendsFromEvents)
+    logger.error(`Failed to confirm send ${ledgerId}:`, error);
+  }
+}
+
+/**
+ * Marks a reserved email as rejected by SendGrid so a later run can retry it.
+ * @param {string} ledgerId - ID returned by reserveSend.
+ * @param {Error} sendError - Error thrown by SendGrid.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<void>}
+ */
+async function failSend(ledgerId, sendError, db, logger) {
+  try {
+    await db.collection("sends").doc(ledgerId).update({
+      status: SEND_STATUS.FAILED,
+      error: sendError.message || String(sendError),
+      lastModifiedTimestamp: admin.firestore.Timestamp.now(),
+    });
+  } catch (error) {
+    logger.error(`Failed to record failed send ${ledgerId}:`, error);
+  }
+}
+
+/**
+ * Confirms ledger entries from SendGrid Event Webhook events. Any event proves
+ * SendGrid accepted the email; `dropped` means it will never be delivered.
+ * @param {object[]} events - SendGrid events.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<number>} Number of ledger entries updated.
+ */
+async function confirmSendsFromEvents(events, db, logger) {
+  const updates = new Map();
+  for (const event of events) {
+    const ledgerId = event?.[LEDGER_ID_ARG];
+    if (!ledgerId) continue;
+    const current = updates.get(ledgerId);
+    if (current?.status === SEND_STATUS.DROPPED) continue;
+    updates.set(ledgerId, {
+      status:
+        event.event === "dropped" ? SEND_STATUS.DROPPED : SEND_STATUS.SENT,
+      // Event message IDs are the X-Message-Id plus a filter suffix
+      messageId: event.sg_message_id ? event.sg_message_id.split(".")[0] : null,
+    });
+  }
+
+  let updated = 0;
+  for (const [ledgerId, update] of updates) {
+    const ledgerRef = db.collection("sends").doc(ledgerId);
+    try {
+      const changed = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ledgerRef);
+        if (!doc.exists) return false;
+        const entry = doc.data();
+        if (entry.status === update.status && entry.messageId) return false;
+        transaction.update(ledgerRef, {
+          status:
+            entry.status === SEND_STATUS.DROPPED ? entry.status : update.status,
+          messageId: entry.messageId || update.messageId,
+          confirmedByEvent: true,
+          sentTimestamp: entry.sentTimestamp || admin.firestore.Timestamp.now(),
+          lastModifiedTimestamp: admin.firestore.Timestamp.now(),
+        });
+        return true;
+      });
+      if (changed) updated++;
+    } catch (error) {
+      logger.error(`Failed to confirm send ${ledgerId} from events:`, error);
+    }
+  }
+  return updated;
+}
+
+module.exports = {
+  SEND_STATUS,
+  LEDGER_ID_ARG,
+  getInitialSendRecipient,
+  reserveSend,
+  confirmSend,
+  failSend,
+  confirmSendsFromEvents,
+};
@@ -0,0 +1,149 @@
+const ct = require("countries-and-timezones");
+const {
+  SEND_WINDOW,
+  DEFAULT_TIMEZONE,
+  getCountryISO2Code,
+} = require("./config");
+
+// Countries spanning several timezones: matched on city/province/state keywords
+// found in `city` or `location`, first match wins.
+const REGION_TIMEZONES = {
+  CA: [
+    ["America/Vancouver", ["british columbia", "vancouver", "victoria", "surrey", "burnaby", "kelowna"]],
+    ["America/Edmonton", ["alberta", "calgary", "edmonton"]],
+    ["America/Regina", ["saskatchewan", "regina", "saskatoon"]],
+    ["America/Winnipeg", ["manitoba", "winnipeg"]],
+    ["America/Halifax", ["nova scotia", "new brunswick", "prince edward island", "halifax", "moncton", "fredericton", "charlottetown"]],
+    ["America/St_Johns", ["newfoundland", "st. john's", "st john's"]],
+    ["America/Toronto", ["ontario", "quebec", "québec", "montreal", "montréal", "toronto", "ottawa", "laval", "gatineau", "sherbrooke", "mississauga"]],
+  ],
+  US: [
+    ["America/Los_Angeles", ["california", "oregon", "nevada", "san francisco", "los angeles", "san diego", "san jose", "seattle", "portland", "las vegas", "bay area"]],
+    ["America/Phoenix", ["arizona", "phoenix"]],
+    ["America/Denver", ["colorado", "utah", "new mexico", "montana", "wyoming", "idaho", "denver", "salt lake city", "boise"]],
+    ["America/Chicago", ["illinois", "texas", "minnesota", "missouri", "wisconsin", "tennessee", "louisiana", "oklahoma", "kansas", "iowa", "alabama", "chicago", "houston", "dallas", "austin", "minneapolis", "nashville", "new orleans"]],
+    ["America/New_York", ["new york", "florida", "georgia", "massachusetts", "pennsylvania", "new jersey", "virginia", "north carolina", "ohio", "michigan", "washington, d.c.", "washington dc", "boston", "atlanta", "miami", "philadelphia", "detroit", "charlotte"]],
+  ],
+};
+
+// Fallback for multi-timezone countries when no region matches
+const PRIMARY_TIMEZONES = {
+  CA: "America/Toronto",
+  US: "America/New_York",
+  AU: "Australia/Sydney",
+  BR: "America/Sao_Paulo",
+  MX: "America/Mexico_City",
+  RU: "Europe/Moscow",
+  ES: "Europe/Madrid",
+  PT: "Europe/Lisbon",
+};
+
+/**
+ * Checks that a timezone name is known to the runtime.
+ * @param {string} timezone - IANA timezone.
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolves a prospect's IANA timezone from `timezone`, `country`, `city` and `location`.
+ * @param {object} prospectData - Prospect data.
+ * @returns {{timezone: string, source: string}} Timezone and how it was found.
+ */
+function resolveProspectTimezone(prospectData) {
+  if (prospectData.timezone && isValidTimezone(prospectData.timezone)) {
+    return { timezone: prospectData.timezone, source: "prospect" };
+  }
+
+  const place = [prospectData.city, prospectData.location]
+    .filter(Boolean)
+    .join(", ")
+    .toLowerCase();
+  // Enriched `location` usually ends with the country name ("Montreal, Quebec, Canada")
+  const countryName =
+    prospectData.country || (place ? place.split(",").pop().trim() : "");
+  const countryCode = countryName ? getCountryISO2Code(countryName) : null;
+  if (!countryCode) {
+    return { timezone: DEFAULT_TIMEZONE, source: "default" };
+  }
+
+  for (const [timezone, keywords] of REGION_TIMEZONES[countryCode] || []) {
+    if (keywords.some((keyword) => place.includes(keyword))) {
+      return { timezone, source: "region" };
+    }
+  }
+  if (PRIMARY_TIMEZONES[countryCode]) {
+    return { timezone: PRIMARY_TIMEZONES[countryCode], source: "country" };
+  }
+  const timezones = ct.getCountry(countryCode)?.timezones || [];
+  if (timezones.length > 0 && isValidTimezone(timezones[0])) {
+    return { timezone: timezones[0], source: "country" };
+  }
+  return { timezone: DEFAULT_TIMEZONE, source: "default" };
+}
+
+/**
+ * Returns the weekday (0=Sun) and minutes since midnight of a date in a timezone.
+ * @param {Date} date - Instant to convert.
+ * @param {string} timezone - IANA timezone.
+ * @returns {{day: number, minutes: number, label: string}}
+ */
+function getLocalDayAndTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type)?.value;
+  const day = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(
+    get("weekday")
+  );
+  const hours = parseInt(get("hour"), 10);
+  const minutes = parseInt(get("minute"), 10);
+  return {
+    day,
+    minutes: hours * 60 + minutes,
+    label: `${get("weekday")} ${get("hour")}:${get("minute")}`,
+  };
+}
+
+/**
+ * Converts an `HH:mm` string to minutes since midnight.
+ * @param {string} time - Time like '08:30'.
+ * @returns {number}
+ */
+function parseTimeOfDay(time) {
+  const [hours, minutes] = time.split(":").map((part) => parseInt(part, 10));
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Checks whether it is currently inside the send window in the prospect's timezone.
+ * @param {object} prospectData - Prospect data.
+ * @param {Date} [now] - Current time, injectable for dry runs.
+ * @param {object} [sendWindow] - { days, start, end }, defaults to SEND_WINDOW.
+ * @returns {{allowed: boolean, timezone: string, localTime: string}}
+ */
+function isWithinSendWindow(prospectData, now = new Date(), sendWindow = SEND_WINDOW) {
+  const { timezone } = resolveProspectTimezone(prospectData);
+  const local = getLocalDayAndTime(now, timezone);
+  const allowed =
+    sendWindow.days.includes(local.day) &&
+    local.minutes >= parseTimeOfDay(sendWindow.start) &&
+    local.minutes < parseTimeOfDay(sendWindow.end);
+  return { allowed, timezone, localTime: local.label };
+}
+
+module.exports = {
+  resolveProspectTimezone,
+  isWithinSendWindow,
+};
@@ -0,0 +1,341 @@
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const { confirmSendsFromEvents } = require("./sendLedgerHelper");
+const { getLeadIdForProspect } = require("./leadsHelper");
+const {
+  EMAIL_STATUS,
+  OUTREACH_STATUS,
+  SENDGRID_EVENT_DEDUP_DAYS,
+} = require("./config");
+
+const SIGNATURE_HEADER = "X-Twilio-Email-Event-Webhook-Signature";
+const EVENTS_PER_TRANSACTION = 400;
+const TIMESTAMP_HEADER = "X-Twilio-Email-Event-Webhook-Timestamp";
+
+// SendGrid drops sends to addresses already on its own suppression lists.
+// These reasons mean the address must not be contacted again.
+const SUPPRESSED_DROP_REASONS = {
+  "Bounced Address": OUTREACH_STATUS.DO_NOT_CONTACT,
+  "Spam Reporting Address": OUTREACH_STATUS.DO_NOT_CONTACT,
+  "Invalid": OUTREACH_STATUS.DO_NOT_CONTACT,
+  "Unsubscribed Address": OUTREACH_STATUS.UNSUBSCRIBED,
+};
+
+// Higher rank wins when one batch carries several status-changing events.
+const STATUS_RANK = {
+  [OUTREACH_STATUS.UNSUBSCRIBED]: 1,
+  [OUTREACH_STATUS.DO_NOT_CONTACT]: 2,
+};
+
+// Statuses events never overwrite, except unsubscribed escalating to do_not_contact
+const FINAL_STATUSES = [
+  OUTREACH_STATUS.MOVED_TO_LEADS,
+  OUTREACH_STATUS.REPLIED_POSITIVE,
+  OUTREACH_STATUS.REPLIED_NEGATIVE,
+  OUTREACH_STATUS.MEETING_BOOKED,
+  OUTREACH_STATUS.UNSUBSCRIBED,
+  OUTREACH_STATUS.DO_NOT_CONTACT,
+  OUTREACH_STATUS.SUPPRESSED,
+  OUTREACH_STATUS.UNDELIVERABLE,
+];
+
+/**
+ * Verifies the signature SendGrid attaches to Event Webhook requests.
+ * The public key is the base64 value shown in the SendGrid Mail Settings.
+ *
+ * @param {string} publicKey - Base64 encoded ECDSA public key from SendGrid.
+ * @param {Buffer|string} rawBody - Raw, unparsed request body.
+ * @param {string} signature - Value of the signature header.
+ * @param {string} timestamp - Value of the timestamp header.
+ * @returns {boolean} True if the payload was signed by SendGrid.
+ */
+function verifyEventWebhookSignature(publicKey, rawBody, signature, timestamp) {
+  if (!publicKey || !rawBody || !signature || !timestamp) {
+    return false;
+  }
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.from(publicKey, "base64"),
+      format: "der",
+      type: "spki",
+    });
+    const verifier = crypto.createVerify("sha256");
+    verifier.update(timestamp);
+    verifier.update(rawBody);
+    verifier.end();
+    return verifier.verify(key, Buffer.from(signature, "base64"));
+  } catch (error) {
+    // Malformed key or signature, treat as unverified
+    return false;
+  }
+}
+
+/**
+ * Returns the outreach status an event forces on a prospect, if any.
+ * @param {object} event - A single SendGrid event.
+ * @returns {string|null} OUTREACH_STATUS value or null.
+ */
+function getStatusForEvent(event) {
+  switch (event.event) {
+    case "unsubscribe":
+    case "group_unsubscribe":
+      return OUTREACH_STATUS.UNSUBSCRIBED;
+    case "spamreport":
+      return OUTREACH_STATUS.DO_NOT_CONTACT;
+    case "bounce":
+      // 'blocked' is a soft bounce (e.g. reputation, content), 'bounce' is a hard one
+      return event.type === "blocked" ? null : OUTREACH_STATUS.DO_NOT_CONTACT;
+    case "dropped":
+      return SUPPRESSED_DROP_REASONS[event.reason] || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks whether events may change a prospect's outreach status to `status`.
+ * @param {object} prospectData - Current prospect data.
+ * @param {string} status - Status forced by the events.
+ * @returns {boolean}
+ */
+function canForceStatus(prospectData, status) {
+  if (prospectData.archived) return false;
+  const current = prospectData.outreachStatus;
+  if (!FINAL_STATUSES.includes(current)) return true;
+  return (STATUS_RANK[current] || 0) > 0 && STATUS_RANK[status] > STATUS_RANK[current];
+}
+
+/**
+ * Folds a list of SendGrid events for one prospect into a Firestore update.
+ * Engagement is stored both as latest top-level fields and per email under
+ * `engagement` (`initial`, `followup_1`, ... from customArgs emailType/sequenceStep).
+ * Opens and clicks are counted per email, timestamps only move forward (events
+ * arrive out of order) and a forced status never replaces a final one.
+ *
+ * @param {object[]} events - New events belonging to the same prospect.
+ * @param {object} [prospectData] - Current prospect data.
+ * @returns {object} Update data for the prospect.
+ */
+function buildProspectUpdateFromEvents(events, prospectData = {}) {
+  const updateData = {};
+  const counts = {};
+  // Newest event per timestamp field, with the fields written along with it
+  const latest = {};
+  let forcedStatus = null;
+  let forcingEvent = null;
+  let bounced = false;
+
+  const setLatest = (field, eventTime, fields = {}) => {
+    const current =
+      latest[field]?.time ||
+      field.split(".").reduce((value, key) => value?.[key], prospectData);
+    if (current?.toMillis && current.toMillis() > eventTime.toMillis()) return;
+    latest[field] = { time: eventTime, fields };
+  };
+  const count = (field) => {
+    counts[field] = (counts[field] || 0) + 1;
+  };
+
+  for (const event of events) {
+    const emailType =
+      event.emailType === "followup" && event.sequenceStep
+        ? `followup_${event.sequenceStep}`
+        : event.emailType || "unknown";
+    const eventTime = admin.firestore.Timestamp.fromMillis(
+      (event.timestamp || Date.now() / 1000) * 1000
+    );
+
+    switch (event.event) {
+      case "delivered":
+        setLatest("lastDeliveredTimestamp", eventTime);
+        setLatest(`engagement.${emailType}.deliveredTimestamp`, eventTime);
+        break;
+      case "open":
+        setLatest("lastOpenedTimestamp", eventTime);
+        setLatest(`engagement.${emailType}.lastOpenedTimestamp`, eventTime);
+        count(`engagement.${emailType}.opens`);
+        break;
+      case "click":
+        setLatest("lastClickedTimestamp", eventTime, { lastClickedUrl: event.url || "" });
+        setLatest(`engagement.${emailType}.lastClickedTimestamp`, eventTime);
+        count(`engagement.${emailType}.clicks`);
+        break;
+      case "bounce":
+      case "dropped":
+        bounced = true;
+        setLatest("bounceTimestamp", eventTime, {
+          bounceType: event.type || event.event,
+          bounceReason: event.reason || "",
+        });
+        setLatest(`engagement.${emailType}.bounceTimestamp`, eventTime);
+        break;
+      case "spamreport":
+        setLatest("spamReportTimestamp", eventTime);
+        break;
+      case "unsubscribe":
+      case "group_unsubscribe":
+        setLatest("unsubscribedTimestamp", eventTime);
+        break;
+      default:
+        // processed, deferred, group_resubscribe... only tracked as last event
+        break;
+    }
+
+    const status = getStatusForEvent(event);
+    if (status && (STATUS_RANK[status] || 0) > (STATUS_RANK[forcedStatus] || 0)) {
+      forcedStatus = status;
+      forcingEvent = event;
+    }
+    setLatest("lastEmailEventTimestamp", eventTime, { lastEmailEvent: event.event });
+  }
+
+  for (const [field, { time, fields }] of Object.entries(latest)) {
+    updateData[field] = time;
+    Object.assign(updateData, fields);
+  }
+  for (const [field, total] of Object.entries(counts)) {
+    updateData[field] = admin.firestore.FieldValue.increment(total);
+  }
+  if (forcedStatus && canForceStatus(prospectData, forcedStatus)) {
+    updateData.outreachStatus = forcedStatus;
+    updateData.outreachStatusMessage = `Set by SendGrid '${forcingEvent.event}' event`;
+    updateData.followupNotNeeded = true;
+    if (bounced && forcedStatus === OUTREACH_STATUS.DO_NOT_CONTACT) {
+      updateData.emailStatus = EMAIL_STATUS.BOUNCED;
+    }
+  }
+  return updateData;
+}
+
+/**
+ * Applies one prospect's events in a transaction, skipping events already
+ * applied (by `sg_event_id`, recorded in `sendgridEvents`) so a batch retried
+ * by SendGrid is not counted twice. Events of a prospect moved to leads update
+ * the lead.
+ * @param {string} prospectId - Prospect document ID.
+ * @param {object[]} events - Events belonging to the prospect.
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<object|null>} Update applied (empty if every event was already
+ *   applied), or null if the prospect does not exist.
+ */
+async function applyProspectEvents(prospectId, events, db) {
+  const prospectRef = db.collection("prospects").doc(prospectId);
+  const eventIds = [...new Set(events.map((event) => event.sg_event_id).filter(Boolean))];
+  const eventRefs = eventIds.map((eventId) => db.collection("sendgridEvents").doc(eventId));
+
+  return db.runTransaction(async (transaction) => {
+    const [prospectDoc, ...eventDocs] = await transaction.getAll(prospectRef, ...eventRefs);
+    if (!prospectDoc.exists) return null;
+    let targetRef = prospectRef;
+    let targetData = prospectDoc.data();
+    const leadId = getLeadIdForProspect(targetData);
+    if (leadId) {
+      const leadDoc = await transaction.get(db.collection("leads").doc(leadId));
+      if (leadDoc.exists) {
+        targetRef = leadDoc.ref;
+        targetData = leadDoc.data();
+      }
+    }
+    const skipped = new Set(eventDocs.filter((doc) => doc.exists).map((doc) => doc.id));
+    const newEvents = events.filter((event) => {
+      if (!event.sg_event_id) return true;
+      if (skipped.has(event.sg_event_id)) return false;
+      // The same event twice in one batch
+      skipped.add(event.sg_event_id);
+      return true;
+    });
+    if (newEvents.length === 0) return {};
+
+    const now = admin.firestore.Timestamp.now();
+    const updateData = buildProspectUpdateFromEvents(newEvents, targetData);
+    transaction.update(targetRef, { ...updateData, lastModifiedTimestamp: now });
+    const expiresAt = admin.firestore.Timestamp.fromMillis(
+      now.toMillis() + SENDGRID_EVENT_DEDUP_DAYS * 24 * 60 * 60 * 1000
+    );
+    for (const event of newEvents) {
+      if (!event.sg_event_id) continue;
+      transaction.set(db.collection("sendgridEvents").doc(event.sg_event_id), {
+        prospectId,
+        event: event.event,
+        appliedTimestamp: now,
+        expiresAt,
+      });
+    }
+    return updateData;
+  });
+}
+
+/**
+ * Applies a batch of SendGrid Event Webhook events to the prospects they belong to.
+ * Events are matched through the `prospectId` custom arg set in prepareSendgridOptions.
+ * Errors are thrown so the webhook answers 500 and SendGrid retries the batch;
+ * events applied before the error are skipped on the retry.
+ *
+ * @param {object[]} events - Parsed webhook payload.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<object>} Stats: received, prospectsUpdated, statusChanges, sendsConfirmed, skipped.
+ */
+async function processSendgridEvents(events, db, logger) {
+  const eventsByProspect = new Map();
+  let skipped = 0;
+
+  for (const event of events) {
+    if (!event || !event.prospectId) {
+      logger.warn(
+        `SendGrid event '${event?.event}' for ${event?.email} has no prospectId custom arg. Skipping.`
+      );
+      skipped++;
+      continue;
+    }
+    if (!eventsByProspect.has(event.prospectId)) {
+      eventsByProspect.set(event.prospectId, []);
+    }
+    eventsByProspect.get(event.prospectId).push(event);
+  }
+
+  let prospectsUpdated = 0;
+  let statusChanges = 0;
+  for (const [prospectId, prospectEvents] of eventsByProspect) {
+    let updated = false;
+    // Stay under the 500 writes of a transaction (one per event ID, plus the prospect)
+    for (let i = 0; i < prospectEvents.length; i += EVENTS_PER_TRANSACTION) {
+      const updateData = await applyProspectEvents(
+        prospectId,
+        prospectEvents.slice(i, i + EVENTS_PER_TRANSACTION),
+        db
+      );
+      if (!updateData) {
+        logger.warn(`SendGrid events for unknown prospect ${prospectId}. Skipping.`);
+        skipped += prospectEvents.length;
+        break;
+      }
+      if (updateData.outreachStatus) {
+        logger.info(
+          `Prospect ${prospectId} moved to ${updateData.outreachStatus} by SendGrid events.`
+        );
+        statusChanges++;
+      }
+      if (Object.keys(updateData).length > 0) updated = true;
+    }
+    if (updated) prospectsUpdated++;
+  }
+
+  const sendsConfirmed = await confirmSendsFromEvents(events, db, logger);
+
+  return {
+    received: events.length,
+    prospectsUpdated,
+    statusChanges,
+    sendsConfirmed,
+    skipped,
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  verifyEventWebhookSignature,
+  buildProspectUpdateFromEvents,
+  processSendgridEvents,
+};
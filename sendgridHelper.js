@@ -11,9 +11,9 @@ const sgMail = require("@sendgrid/mail");
  * @param {string} toEmail The recipient's email address.
  * @param {string} templateId The SendGrid template ID.
  * @param {object} templateData The data to be used in the template.
- * @param {object} [options] Optional SendGrid parameters (categories, trackingSettings, customArgs).
+ * @param {object} [options] Optional SendGrid parameters (categories, trackingSettings, customArgs, headers, ipPoolName).
  * @param {object} logger - Logger instance.
- * @return {Promise<void>}
+ * @return {Promise<string|null>} SendGrid message ID (X-Message-Id header).
  */
 async function sendEmail(
   toEmail,
@@ -67,6 +67,8 @@ async function sendEmail(
       trackingSettings: options.trackingSettings,
     }),
     ...(options.customArgs && { customArgs: options.customArgs }),
+    ...(options.headers && { headers: options.headers }),
+    ...(options.ipPoolName && { ipPoolName: options.ipPoolName }),
   };
 
   // Retry configuration (adjust as needed)
@@ -81,6 +83,7 @@ async function sendEmail(
       logger.info(
         `Email sent successfully to ${toEmail} using template ${templateId}. Status: ${response[0].statusCode}`
       );
+      return response[0].headers?.["x-message-id"] || null;
     } catch (error) {
       logger.error(
         `Error sending email to ${toEmail} using template ${templateId}:`,
@@ -175,6 +178,7 @@ function convertTextToHtml(text) {
  * @param {string} body - Raw email body content (plain text).
  * @param {object} options - SendGrid options object (containing trackingSettings, customArgs, categories, etc.).
  * @param {object} logger - Logger instance (e.g., from firebase-functions).
+ * @returns {Promise<string|null>} SendGrid message ID (X-Message-Id header).
  * @throws {Error} Throws an error if sending fails or configuration is missing.
  */
 async function sendRawEmail(to, subject, body, options, logger) {
@@ -237,8 +241,7 @@ async function sendRawEmail(to, subject, body, options, logger) {
       logger.info(
         `Raw email sent successfully to ${to}. Subject: "${subject}". SendGrid Response Status: ${response[0]?.statusCode}`
       );
-      // You can return the response if needed by the caller
-      // return response;
+      return response[0]?.headers?.["x-message-id"] || null;
     } catch (error) {
       // Log detailed error information from SendGrid if available
       const errorMessage = error.response
@@ -0,0 +1,243 @@
+const {
+  OUTREACH_STATUS,
+  TEMPLATE_IDS,
+  DEFAULT_SEQUENCE_ID,
+  DEFAULT_SEQUENCES,
+  resolveTemplateId,
+} = require("./config");
+
+// Firestore 'in' queries accept up to 30 values (initial status + follow-ups)
+const MAX_SEQUENCE_STEPS = 25;
+
+/**
+ * @typedef {object} SequenceStep
+ * @property {number} delayDays - Days to wait after the previous email.
+ * @property {string} [templateType] - Key of TEMPLATE_IDS, defaults to 'followup'.
+ * @property {object} [templateIds] - Template IDs per locale (`en_US`, `fr_general`...), overrides templateType.
+ * @property {boolean} [aiGenerated] - Send an AI follow-up for this step (generated when due,
+ *   see followupAiHelper.js). Defaults to true for prospects whose initial email was AI generated.
+ */
+
+/**
+ * @typedef {object} Sequence
+ * @property {string} id - Sequence ID, stored on the prospect as `sequenceId`.
+ * @property {string} [name] - Human readable name.
+ * @property {number} [priority] - Higher priority sequences are matched first.
+ * @property {boolean} [active] - Inactive sequences get no new prospects but keep running.
+ * @property {object} [match] - Criteria: jobTitleKeywords, segments, languages, countries.
+ * @property {SequenceStep[]} steps - Follow-up steps after the initial email.
+ * @property {number} [completeAfterDays] - Days after the last step before moving to leads.
+ * @property {object} [exitConditions] - { onReply, onClick, onOpen } stop the sequence early.
+ */
+
+/**
+ * Returns the outreach status of a prospect after `stepNumber` emails of a sequence.
+ * Step 0 is the initial email, so the statuses match OUTREACH_STATUS.FOLLOWUP_1/2.
+ * @param {number} stepNumber - Number of follow-ups sent.
+ * @returns {string} Outreach status.
+ */
+function getFollowupStatus(stepNumber) {
+  return stepNumber === 0
+    ? OUTREACH_STATUS.SEQUENCE_STARTED
+    : `followup_${stepNumber}`;
+}
+
+/**
+ * Reverse of getFollowupStatus, used for prospects without `sequenceStep`.
+ * @param {string} status - Outreach status.
+ * @returns {number|null} Step number or null if not a sequence status.
+ */
+function getStepNumberFromStatus(status) {
+  if (status === OUTREACH_STATUS.SEQUENCE_STARTED) return 0;
+  const match = /^followup_(\d+)$/.exec(status || "");
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Checks a sequence definition.
+ * @param {Sequence} sequence - Sequence to check.
+ * @returns {string|null} Error message or null if valid.
+ */
+function validateSequence(sequence) {
+  if (!sequence.id) return "Missing id";
+  if (!Array.isArray(sequence.steps)) return "steps must be an array";
+  if (sequence.steps.length > MAX_SEQUENCE_STEPS) {
+    return `More than ${MAX_SEQUENCE_STEPS} steps`;
+  }
+  for (const [index, step] of sequence.steps.entries()) {
+    if (typeof step.delayDays !== "number" || step.delayDays < 0) {
+      return `Step ${index + 1} has an invalid delayDays`;
+    }
+    if (!step.templateIds && !TEMPLATE_IDS[step.templateType || "followup"]) {
+      return `Step ${index + 1} has an unknown templateType '${step.templateType}'`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads sequences: built-in defaults overridden/extended by the `sequences` collection.
+ * Invalid Firestore definitions are logged and ignored.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<Sequence[]>} Sequences sorted by descending priority.
+ */
+async function loadSequences(db, logger) {
+  const sequencesById = new Map(
+    DEFAULT_SEQUENCES.map((sequence) => [sequence.id, sequence])
+  );
+  try {
+    const snapshot = await db.collection("sequences").get();
+    for (const doc of snapshot.docs) {
+      const sequence = { ...doc.data(), id: doc.id };
+      const error = validateSequence(sequence);
+      if (error) {
+        logger.error(`Ignoring invalid sequence ${doc.id}: ${error}`);
+        continue;
+      }
+      sequencesById.set(doc.id, sequence);
+    }
+  } catch (error) {
+    logger.error("Could not load sequences from Firestore, using defaults:", error);
+  }
+  return [...sequencesById.values()].sort(
+    (a, b) => (b.priority || 0) - (a.priority || 0)
+  );
+}
+
+/**
+ * Checks whether a prospect satisfies the `match` criteria of a sequence.
+ * Every criterion present must match; an empty `match` matches everyone.
+ * @param {object} prospectData - Prospect data.
+ * @param {Sequence} sequence - Sequence definition.
+ * @returns {boolean}
+ */
+function matchesSequence(prospectData, sequence) {
+  const match = sequence.match || {};
+  const lower = (value) => (value || "").toString().toLowerCase();
+  const inList = (list, value) =>
+    list.map(lower).includes(lower(value));
+
+  if (match.jobTitleKeywords?.length) {
+    const jobTitle = lower(prospectData.jobTitle || prospectData.occupation);
+    if (!match.jobTitleKeywords.some((keyword) => jobTitle.includes(lower(keyword)))) {
+      return false;
+    }
+  }
+  if (match.segments?.length && !inList(match.segments, prospectData.segment)) {
+    return false;
+  }
+  if (match.languages?.length && !inList(match.languages, prospectData.language)) {
+    return false;
+  }
+  if (match.countries?.length && !inList(match.countries, prospectData.country)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Chooses the sequence for a prospect entering outreach.
+ * @param {object} prospectData - Prospect data.
+ * @param {Sequence[]} sequences - Result of loadSequences.
+ * @returns {Sequence}
+ */
+function selectSequence(prospectData, sequences) {
+  const assigned = sequences.find((s) => s.id === prospectData.sequenceId);
+  if (assigned) return assigned;
+  return (
+    sequences.find(
+      (s) => s.active !== false && matchesSequence(prospectData, s)
+    ) || getDefaultSequence(sequences)
+  );
+}
+
+/**
+ * Returns the default sequence, falling back to the built-in one.
+ * @param {Sequence[]} sequences - Result of loadSequences.
+ * @returns {Sequence}
+ */
+function getDefaultSequence(sequences) {
+  return (
+    sequences.find((s) => s.id === DEFAULT_SEQUENCE_ID) ||
+    DEFAULT_SEQUENCES.find((s) => s.id === DEFAULT_SEQUENCE_ID)
+  );
+}
+
+/**
+ * Returns the sequence a prospect is running and how many follow-ups it got.
+ * Prospects contacted before sequences existed continue on the default sequence.
+ * @param {object} prospectData - Prospect data.
+ * @param {Sequence[]} sequences - Result of loadSequences.
+ * @returns {{sequence: Sequence, stepNumber: number|null}}
+ */
+function getProspectSequencePosition(prospectData, sequences) {
+  const sequence =
+    sequences.find((s) => s.id === prospectData.sequenceId) ||
+    getDefaultSequence(sequences);
+  const stepNumber =
+    typeof prospectData.sequenceStep === "number"
+      ? prospectData.sequenceStep
+      : getStepNumberFromStatus(prospectData.outreachStatus);
+  return { sequence, stepNumber };
+}
+
+/**
+ * Returns why a prospect should leave its sequence early, if it should.
+ * Relies on the engagement fields written by the SendGrid and reply webhooks.
+ * @param {Sequence} sequence - Sequence definition.
+ * @param {object} prospectData - Prospect data.
+ * @returns {string|null} 'replied', 'clicked', 'opened' or null.
+ */
+function getSequenceExitReason(sequence, prospectData) {
+  const exitConditions = sequence.exitConditions || {};
+  // Out-of-office replies only pause the sequence (see followupNotBefore)
+  const hasReplied =
+    prospectData.lastReplyTimestamp && prospectData.replyIntent !== "out_of_office";
+  if (exitConditions.onReply !== false && hasReplied) {
+    return "replied";
+  }
+  if (exitConditions.onClick && prospectData.lastClickedTimestamp) {
+    return "clicked";
+  }
+  if (exitConditions.onOpen && prospectData.lastOpenedTimestamp) {
+    return "opened";
+  }
+  return null;
+}
+
+/**
+ * Resolves the SendGrid template of a sequence step for a prospect's locale.
+ * @param {object} prospectData - Prospect data.
+ * @param {SequenceStep} step - Sequence step.
+ * @returns {string|null} Template ID or null.
+ */
+function resolveStepTemplateId(prospectData, step) {
+  const templateSet = step.templateIds || TEMPLATE_IDS[step.templateType || "followup"];
+  return templateSet ? resolveTemplateId(prospectData, templateSet) : null;
+}
+
+/**
+ * Lists every outreach status in which a prospect may be waiting for a follow-up.
+ * @param {Sequence[]} sequences - Result of loadSequences.
+ * @returns {string[]}
+ */
+function getSequenceStatuses(sequences) {
+  const maxSteps = Math.max(0, ...sequences.map((s) => s.steps.length));
+  const statuses = [];
+  for (let stepNumber = 0; stepNumber <= maxSteps; stepNumber++) {
+    statuses.push(getFollowupStatus(stepNumber));
+  }
+  return statuses;
+}
+
+module.exports = {
+  getFollowupStatus,
+  getStepNumberFromStatus,
+  loadSequences,
+  selectSequence,
+  getProspectSequencePosition,
+  getSequenceExitReason,
+  resolveStepTemplateId,
+  getSequenceStatuses,
+};
@@ -0,0 +1,209 @@
+const admin = require("firebase-admin");
+const { parse } = require("csv-parse/sync");
+
+const SUPPRESSION_TYPES = {
+  EMAIL: "email",
+  DOMAIN: "domain",
+  COMPANY: "company",
+};
+
+// Firestore batches accept up to 500 writes
+const IMPORT_BATCH_SIZE = 400;
+
+/**
+ * Normalizes a suppression value so lookups are case and format insensitive.
+ * @param {string} type - One of SUPPRESSION_TYPES.
+ * @param {string} value - Raw email, domain or company name.
+ * @returns {string|null} Normalized value or null if empty/invalid.
+ */
+function normalizeSuppressionValue(type, value) {
+  if (typeof value !== "string") return null;
+  let normalized = value.trim().toLowerCase();
+  switch (type) {
+    case SUPPRESSION_TYPES.EMAIL:
+      return normalized.includes("@") ? normalized : null;
+    case SUPPRESSION_TYPES.DOMAIN:
+      normalized = normalized
+        .replace(/^[a-z]+:\/\//, "")
+        .replace(/^.*@/, "")
+        .replace(/^www\./, "")
+        .replace(/\/.*$/, "");
+      return normalized.includes(".") ? normalized : null;
+    case SUPPRESSION_TYPES.COMPANY:
+      normalized = normalized.replace(/[.,'"]/g, "").replace(/\s+/g, " ");
+      return normalized || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns the document ID of a suppression entry.
+ * @param {string} type - One of SUPPRESSION_TYPES.
+ * @param {string} normalizedValue - Value from normalizeSuppressionValue.
+ * @returns {string}
+ */
+function getSuppressionDocId(type, normalizedValue) {
+  // Company names may contain '/', which Firestore IDs cannot
+  return `${type}:${encodeURIComponent(normalizedValue)}`;
+}
+
+/**
+ * Lists the email, domain and company keys under which a prospect may be suppressed.
+ * Every known address of the prospect is checked, not only the recipient, so a
+ * person stored twice under different document IDs is still caught.
+ * @param {object} prospectData - Prospect data.
+ * @param {string} recipientEmail - Address about to be emailed.
+ * @returns {Array<{type: string, value: string}>}
+ */
+function getSuppressionKeys(prospectData, recipientEmail) {
+  const emails = [
+    recipientEmail,
+    prospectData.workEmail,
+    prospectData.email,
+    prospectData.personalEmail,
+    ...(Array.isArray(prospectData.personal_emails)
+      ? prospectData.personal_emails
+      : []),
+  ];
+  const domains = [
+    ...emails,
+    prospectData.hsEmailDomain,
+    prospectData.companyWebsite,
+  ];
+  const companies = [prospectData.companyName, prospectData.company];
+
+  const keys = new Map();
+  const add = (type, value) => {
+    const normalized = normalizeSuppressionValue(type, value);
+    if (normalized) {
+      keys.set(getSuppressionDocId(type, normalized), { type, value: normalized });
+    }
+  };
+  emails.forEach((email) => add(SUPPRESSION_TYPES.EMAIL, email));
+  domains.forEach((domain) => add(SUPPRESSION_TYPES.DOMAIN, domain));
+  companies.forEach((company) => add(SUPPRESSION_TYPES.COMPANY, company));
+  return [...keys.entries()].map(([id, key]) => ({ id, ...key }));
+}
+
+/**
+ * Checks the `suppressions` collection before contacting a prospect.
+ * @param {object} prospectData - Prospect data.
+ * @param {string} recipientEmail - Address about to be emailed.
+ * @param {object} db - Firestore instance.
+ * @returns {Promise<{suppressed: boolean, reason?: string}>}
+ */
+async function checkSuppression(prospectData, recipientEmail, db) {
+  const keys = getSuppressionKeys(prospectData, recipientEmail);
+  if (keys.length === 0) return { suppressed: false };
+
+  const refs = keys.map((key) => db.collection("suppressions").doc(key.id));
+  const docs = await db.getAll(...refs);
+  const match = docs.find((doc) => doc.exists);
+  if (!match) return { suppressed: false };
+
+  const entry = match.data();
+  return {
+    suppressed: true,
+    reason: `${entry.type} '${entry.value}' is suppressed${
+      entry.reason ? ` (${entry.reason})` : ""
+    }`,
+  };
+}
+
+/**
+ * Converts uploaded rows into suppression entries.
+ * Supported formats:
+ * - our CSV/JSON: `type,value,reason` rows,
+ * - one column per type: `email`, `domain` and/or `company` (+ optional `reason`),
+ * - SendGrid suppression exports (bounces, blocks, spam reports, invalid emails,
+ *   global/group unsubscribes): `email,created,...` CSV or the API JSON array.
+ * @param {object[]} rows - Parsed rows (CSV records or JSON objects).
+ * @param {string} source - Where the entries come from (e.g. 'sendgrid_bounces').
+ * @returns {{entries: object[], rejected: number}}
+ */
+function buildSuppressionEntries(rows, source) {
+  const entries = [];
+  let rejected = 0;
+  for (const row of rows) {
+    const record = Object.fromEntries(
+      Object.entries(row || {}).map(([key, value]) => [
+        key.trim().toLowerCase(),
+        typeof value === "string" ? value.trim() : value,
+      ])
+    );
+    const reason = record.reason || record.status || source;
+    const candidates = record.type
+      ? [{ type: record.type.toLowerCase(), value: record.value }]
+      : Object.values(SUPPRESSION_TYPES)
+          .filter((type) => record[type])
+          .map((type) => ({ type, value: record[type] }));
+
+    if (candidates.length === 0) {
+      rejected++;
+      continue;
+    }
+    for (const candidate of candidates) {
+      const value = normalizeSuppressionValue(candidate.type, candidate.value);
+      if (!value) {
+        rejected++;
+        continue;
+      }
+      entries.push({ type: candidate.type, value, reason, source });
+    }
+  }
+  return { entries, rejected };
+}
+
+/**
+ * Parses an uploaded suppression file body.
+ * @param {string|Buffer|object[]} body - CSV text or already parsed JSON array.
+ * @returns {object[]} Rows.
+ * @throws {Error} If the body is neither CSV text nor a JSON array.
+ */
+function parseSuppressionUpload(body) {
+  if (Array.isArray(body)) return body;
+  if (typeof body !== "string" && !Buffer.isBuffer(body)) {
+    throw new Error("Body must be CSV text or a JSON array of rows");
+  }
+  return parse(body.toString(), {
+    columns: true,
+    skip_empty_lines: true,
+    bom: true,
+    trim: true,
+  });
+}
+
+/**
+ * Writes suppression entries, overwriting existing ones with the same key.
+ * @param {object[]} entries - Result of buildSuppressionEntries.
+ * @param {object} db - Firestore instance.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<number>} Number of entries written.
+ */
+async function saveSuppressions(entries, db, logger) {
+  const now = admin.firestore.Timestamp.now();
+  let written = 0;
+  for (let i = 0; i < entries.length; i += IMPORT_BATCH_SIZE) {
+    const batch = db.batch();
+    for (const entry of entries.slice(i, i + IMPORT_BATCH_SIZE)) {
+      const ref = db
+        .collection("suppressions")
+        .doc(getSuppressionDocId(entry.type, entry.value));
+      batch.set(ref, { ...entry, createdTimestamp: now });
+    }
+    await batch.commit();
+    written += Math.min(IMPORT_BATCH_SIZE, entries.length - i);
+  }
+  logger.info(`Saved ${written} suppression entries.`);
+  return written;
+}
+
+module.exports = {
+  SUPPRESSION_TYPES,
+  normalizeSuppressionValue,
+  checkSuppression,
+  buildSuppressionEntries,
+  parseSuppressionUpload,
+  saveSuppressions,
+};
@@ -0,0 +1,100 @@
+// Shared Vertex AI settings and response parsing helpers.
+
+const DEFAULT_MODEL = process.env.VERTEX_MODEL || "gemini-2.0-flash";
+
+const SAFETY_SETTINGS = [
+  {
+    category: "HARM_CATEGORY_HATE_SPEECH",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+  {
+    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+  {
+    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+  {
+    category: "HARM_CATEGORY_HARASSMENT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+];
+
+/**
+ * Creates a generative model with the shared safety settings.
+ * @param {object} vertexai - Initialized VertexAI client.
+ * @param {number} [temperature=0.7] - Sampling temperature.
+ * @returns {object} Generative model instance.
+ */
+function getGenerativeModel(vertexai, temperature = 0.7) {
+  return vertexai.getGenerativeModel({
+    model: DEFAULT_MODEL,
+    generation_config: { temperature },
+    safetySettings: SAFETY_SETTINGS,
+  });
+}
+
+// Cleans strings to prevent prompt injection
+
+function cleanString(str) {
+  // Remove backticks and any surrounding text
+  let cleaned = str.trim();
+  if (cleaned.startsWith("```json")) {
+    cleaned = cleaned.substring(7);
+  }
+  if (cleaned.endsWith("```")) {
+    cleaned = cleaned.substring(0, cleaned.length - 3);
+  }
+
+  // Remove any additional text before the opening brace
+  const firstBraceIndex = cleaned.indexOf("{");
+  if (firstBraceIndex > 0) {
+    cleaned = cleaned.substring(firstBraceIndex);
+  }
+  //cleaned = cleaned.replace(/\/\/[^\n]*\n/g, ""); // removes comments
+  return cleaned.trim();
+}
+
+/**
+ * Returns the text of the first candidate of a Vertex AI response, if any.
+ * @param {object} aggregatedResponse - `response.response` from generateContent.
+ * @returns {string|null} Candidate text or null.
+ */
+function getResponseText(aggregatedResponse) {
+  const text =
+    aggregatedResponse?.candidates?.[0]?.content?.parts?.[0]?.text;
+  return text && text.length > 0 ? text : null;
+}
+
+/**
+ * Sends a single-prompt JSON request and parses the structured answer.
+ * @param {object} generativeModel - Model from getGenerativeModel.
+ * @param {string} promptText - Prompt to send.
+ * @param {object} responseSchema - JSON schema the answer must follow.
+ * @returns {Promise<{data: object, aggregatedResponse: object}>}
+ * @throws {Error} If the model returns no usable text or invalid JSON.
+ */
+async function generateJson(generativeModel, promptText, responseSchema) {
+  const response = await generativeModel.generateContent({
+    contents: [{ role: "user", parts: [{ text: promptText }] }],
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema,
+    },
+  });
+  const aggregatedResponse = await response.response;
+  const text = getResponseText(aggregatedResponse);
+  if (!text) {
+    throw new Error("AI response did not contain any text");
+  }
+  return { data: JSON.parse(cleanString(text)), aggregatedResponse };
+}
+
+module.exports = {
+  SAFETY_SETTINGS,
+  getGenerativeModel,
+  cleanString,
+  getResponseText,
+  generateJson,
+};